@@ -1,36 +1,54 @@
 import { getDB } from "../lib/db.js";
 import { ObjectId } from "mongodb";
 import { getReceiverSocketId, io } from "../lib/socket.js";
+import {
+  emitToRoomForDelivery,
+  formatReceipt,
+} from "../services/receipt.service.js";
+import {
+  buildReplySnapshot,
+  formatReplyTo,
+} from "../services/conversation.service.js";
+import { ApiError } from "../lib/ApiError.js";
+import { verifyFileType } from "../lib/fileType.js";
+import { deleteMessageForScope } from "../services/deletion.service.js";
+import {
+  createAttachmentMessage,
+  formatAttachmentFields,
+  getAttachmentForParticipant,
+  getScanStatus,
+} from "../services/attachment.service.js";
+import { queueAttachmentScan } from "../services/scan.service.js";
+import {
+  releaseBlob,
+  storeAttachmentContent,
+} from "../services/blob.service.js";
+import {
+  getParticipantRole,
+  releaseStorageReservation,
+  reserveStorage,
+} from "../services/quota.service.js";
+import { getImageVariantKey } from "../services/imagePreview.service.js";
+import { requestedDisposition, sendStoredFile } from "../lib/download.js";
+import {
+  decodeUploadName,
+  discardUpload,
+  getStorageKey,
+  uploadTempDestination,
+} from "../lib/storage/index.js";
 import multer from "multer";
 import path from "path";
 import { v4 as uuidv4 } from "uuid";
-import fs from "fs";
 import mime from "mime-types";
-import { fileURLToPath } from "url";
 
-// Derive __dirname equivalent for ES Modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create dedicated upload directory for expert chat
-const uploadDir = path.join(__dirname, "../Uploads/expertChat");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage for expert file uploads
+// Uploads go to a temp directory and are moved into storage by
+// uploadFileExpert
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(process.cwd(), "Uploads", "expertChat");
-
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-
-    cb(null, uploadPath);
-  },
+  destination: uploadTempDestination,
   filename: (req, file, cb) => {
+    // Keep the client's name as sent, not as multer decoded it
+    file.originalname = decodeUploadName(file.originalname);
+
     // Generate unique filename with timestamp and UUID
     const fileExt = path.extname(file.originalname);
     const fileName = `expert_${Date.now()}_${uuidv4()}${fileExt}`;
@@ -38,40 +56,46 @@ const storage = multer.diskStorage({
   },
 });
 
+// Allowed file types for expert communications. The multer filter checks the
+// declared type; uploadFileExpert then checks the content against the same
+// list
+const ALLOWED_FILE_TYPES = [
+  // Images
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/bmp",
+  // Documents
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  // Text files
+  "text/plain",
+  "text/csv",
+  // Archives
+  "application/zip",
+  "application/x-rar-compressed",
+  "application/x-7z-compressed",
+  // Audio/Video (for expert presentations)
+  "audio/mpeg",
+  "audio/wav",
+  "video/mp4",
+  "video/avi",
+];
+
+// Whether a declared type may be uploaded (also used by resumable uploads)
+export const isAllowedFileType = (mimeType) =>
+  ALLOWED_FILE_TYPES.includes(mimeType);
+
 // Enhanced file filter for expert communications
 const fileFilter = (req, file, cb) => {
-  // Define allowed file types for expert communications
-  const allowedTypes = [
-    // Images
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-    "image/bmp",
-    // Documents
-    "application/pdf",
-    "application/msword",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    "application/vnd.ms-excel",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    "application/vnd.ms-powerpoint",
-    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-    // Text files
-    "text/plain",
-    "text/csv",
-    // Archives
-    "application/zip",
-    "application/x-rar-compressed",
-    "application/x-7z-compressed",
-    // Audio/Video (for expert presentations)
-    "audio/mpeg",
-    "audio/wav",
-    "video/mp4",
-    "video/avi",
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAllowedFileType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(
@@ -83,12 +107,15 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Largest file accepted, by multer and by resumable uploads
+export const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
 // Configure multer with enhanced limits for expert files (25MB)
 const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: 25 * 1024 * 1024, // 25MB limit for expert files
+    fileSize: MAX_FILE_SIZE, // 25MB limit for expert files
     files: 1, // Only one file per upload
   },
 });
@@ -98,6 +125,8 @@ export const uploadMiddleware = upload.single("file");
 
 // Upload file for expert-to-expert chat with real-time updates
 export const uploadFileExpert = async (req, res) => {
+  let reservation;
+  let content;
   try {
     if (!req.file) {
       return res.status(400).json({ message: "No file uploaded" });
@@ -106,82 +135,110 @@ export const uploadFileExpert = async (req, res) => {
     const senderId = req.expert ? req.expert._id : null;
     if (!senderId || !receiverId) {
       // Remove uploaded file if validation fails
-      if (req.file.path) {
-        fs.unlinkSync(req.file.path);
-      }
+      await discardUpload(req.file);
       return res.status(400).json({ message: "Missing sender or receiver ID" });
     }
-    const db = getDB();
-    const messageCollection = db.collection("expertMessages");
-    // Create file document
-    const fileDoc = {
-      originalName: req.file.originalname,
-      fileName: req.file.filename,
-      mimeType: req.file.mimetype,
+    const replyTo = await buildReplySnapshot({
+      collectionName: "expertMessages",
+      replyToId: req.body?.replyToId,
+      senderId,
+      receiverId,
+    });
+    // Hold its size against the sender's quota until the attachment is
+    // saved; refused when it would take them over
+    reservation = await reserveStorage({
+      participantId: senderId,
+      role: getParticipantRole(req),
       size: req.file.size,
-      path: req.file.path,
-      uploadDate: new Date(),
-      senderId:
-        typeof senderId === "string" ? new ObjectId(senderId) : senderId,
-      receiverId: new ObjectId(receiverId),
-    };
-    // Save file metadata to database
-    const fileResult = await messageCollection.insertOne(fileDoc);
+    });
 
-    // Create a corresponding message for this file
-    const newMessage = {
-      senderId: fileDoc.senderId,
-      receiverId: fileDoc.receiverId,
-      text: `File: ${req.file.originalname}`,
-      fileId: fileResult.insertedId,
-      isFile: true,
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
-      createdAt: new Date(),
-    };
+    // The declared type is only the client's word; check the content
+    const mimeType = await verifyFileType(req.file, ALLOWED_FILE_TYPES);
+
+    // Stored once per distinct content: a file already sent in any
+    // conversation is referenced again instead of copied
+    content = await storeAttachmentContent(req.file, mimeType);
+
+    // Save the attachment and the message that carries it
+    const { attachment, message } = await createAttachmentMessage({
+      collectionName: "expertMessages",
+      kind: "file",
+      file: req.file,
+      mimeType,
+      storageKey: content.storageKey,
+      contentHash: content.contentHash,
+      senderId,
+      receiverId,
+      replyTo,
+    });
 
     // Format the response
     const responseMessage = {
-      _id: fileResult.insertedId,
-      senderId: newMessage.senderId.toString(),
-      receiverId: newMessage.receiverId.toString(),
-      text: `File: ${req.file.originalname}`,
-      fileId: newMessage.fileId.toString(),
-      isFile: true,
-      fileType: newMessage.fileType,
-      fileSize: newMessage.fileSize,
-      time: newMessage.createdAt,
+      _id: message._id,
+      senderId: message.senderId.toString(),
+      receiverId: message.receiverId.toString(),
+      text: message.text,
+      ...formatAttachmentFields(message),
+      time: message.createdAt,
+      replyTo: formatReplyTo(replyTo),
+      ...formatReceipt(message),
     };
 
-    // Notify both experts via socket.io using the conversation room
+    // Notify both experts via socket.io using the conversation room; the
+    // receiver's ack marks it delivered
     const roomId = [senderId.toString(), receiverId.toString()].sort().join('-');
     console.log(`Emitting newExpertMessage to room: ${roomId}`);
-    io.to(roomId).emit("newExpertMessage", responseMessage);
+    emitToRoomForDelivery({
+      roomId,
+      senderId,
+      receiverId,
+      eventName: "newExpertMessage",
+      message: responseMessage,
+      collectionName: "expertMessages",
+    });
+
+    // Scan in the background; both sides hear the result through
+    // attachmentScanned
+    queueAttachmentScan(attachment);
 
     // Send success response
     res.status(201).json({
       message: "File uploaded successfully",
       file: {
-        id: fileResult.insertedId,
-        name: req.file.originalname,
-        type: req.file.mimetype,
-        size: req.file.size,
+        id: attachment._id,
+        name: attachment.originalName,
+        type: attachment.mimeType,
+        size: attachment.size,
       },
-      messageId: fileResult.insertedId,
+      messageId: message._id,
       ...responseMessage,
     });
   } catch (error) {
     console.error("❌ Error in uploadFile:", error.message);
 
     // Clean up file if it was uploaded but there was a database error
-    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    await discardUpload(req.file);
+    await releaseBlob(content?.contentHash);
 
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal Server Error" });
+  } finally {
+    await releaseStorageReservation(reservation);
   }
 };
 
+// Whether both experts of a file's conversation still have accounts
+const hasActiveExperts = async (fileDoc) => {
+  const expertCollection = getDB().collection("expert");
+  const [senderExpert, receiverExpert] = await Promise.all([
+    expertCollection.findOne({ _id: fileDoc.senderId }),
+    expertCollection.findOne({ _id: fileDoc.receiverId }),
+  ]);
+  return Boolean(senderExpert && receiverExpert);
+};
+
 // Download file for expert-to-expert chat with real-time tracking
 export const downloadFileExpert = async (req, res) => {
   try {
@@ -200,33 +257,6 @@ export const downloadFileExpert = async (req, res) => {
       });
     }
 
-    const db = getDB();
-    const messageCollection = db.collection("expertMessages");
-    const expertCollection = db.collection("expert");
-
-    console.log("🔍 Searching for file in expertMessages collection...");
-
-    // Find file document
-    const fileDoc = await messageCollection.findOne({
-      _id: new ObjectId(fileId),
-    });
-
-    if (!fileDoc) {
-      console.log("❌ File not found in database");
-      return res.status(404).json({
-        message: "File not found or has been deleted",
-        success: false,
-      });
-    }
-
-    console.log("✅ File found:", {
-      originalName: fileDoc.originalName,
-      mimeType: fileDoc.mimeType,
-      size: fileDoc.size,
-      senderId: fileDoc.senderId,
-      receiverId: fileDoc.receiverId,
-    });
-
     // Validate expert authorization
     const expertId = req.expert ? req.expert._id : null;
 
@@ -238,32 +268,24 @@ export const downloadFileExpert = async (req, res) => {
       });
     }
 
-    const expertIdObj =
-      typeof expertId === "string" ? new ObjectId(expertId) : expertId;
-
-    console.log("🔐 Checking authorization...");
-    console.log("Requesting expert ID:", expertIdObj);
-    console.log("File sender ID:", fileDoc.senderId);
-    console.log("File receiver ID:", fileDoc.receiverId);
+    // Only the sender or receiver expert can download the file
+    const fileDoc = await getAttachmentForParticipant({
+      collectionName: "expertMessages",
+      attachmentId: fileId,
+      participantId: expertId,
+      kind: "file",
+    });
 
-    if (
-      !fileDoc.senderId.equals(expertIdObj) &&
-      !fileDoc.receiverId.equals(expertIdObj)
-    ) {
-      console.log("❌ Not authorized to download this file");
-      return res.status(403).json({
-        message: "Not authorized to download this file",
-        success: false,
-      });
-    }
+    console.log("✅ File found:", {
+      originalName: fileDoc.originalName,
+      mimeType: fileDoc.mimeType,
+      size: fileDoc.size,
+      senderId: fileDoc.senderId,
+      receiverId: fileDoc.receiverId,
+    });
 
     // Additional validation: Ensure both participants are still active experts
-    const [senderExpert, receiverExpert] = await Promise.all([
-      expertCollection.findOne({ _id: fileDoc.senderId }),
-      expertCollection.findOne({ _id: fileDoc.receiverId }),
-    ]);
-
-    if (!senderExpert || !receiverExpert) {
+    if (!(await hasActiveExperts(fileDoc))) {
       console.log("❌ Invalid expert conversation or inactive expert");
       return res.status(403).json({
         message: "Invalid expert conversation or expert account inactive",
@@ -271,30 +293,19 @@ export const downloadFileExpert = async (req, res) => {
       });
     }
 
-    // Check if file exists on disk
-    if (!fileDoc.path) {
-      console.log("❌ File path not found in database");
+    // Check if file exists in storage
+    const storageKey = getStorageKey(fileDoc);
+    if (!storageKey) {
+      console.log("❌ Storage key not found in database");
       return res.status(404).json({
         message: "File path not found",
         success: false,
       });
     }
 
-    if (!fs.existsSync(fileDoc.path)) {
-      console.log("❌ File not found on server at path:", fileDoc.path);
-      return res.status(404).json({
-        message: "File not found on server",
-        success: false,
-      });
-    }
-
-    console.log("✅ File exists on disk, preparing download...");
-
-    // Determine MIME type
-    const mimeType =
-      fileDoc.mimeType ||
-      mime.lookup(fileDoc.originalName) ||
-      "application/octet-stream";
+    // MIME type verified from the content at upload; the original name is
+    // the client's and is not trusted for it
+    const mimeType = fileDoc.mimeType || "application/octet-stream";
     console.log("🔍 Determined MIME type:", mimeType);
 
     // Ensure filename has correct extension
@@ -303,38 +314,25 @@ export const downloadFileExpert = async (req, res) => {
       ? fileDoc.originalName
       : `${fileDoc.originalName}.${fileExtension}`;
 
-    // Get file stats
-    const fileStats = fs.statSync(fileDoc.path);
-
-    // Set headers
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${encodeURIComponent(safeFileName)}"`
-    );
-    res.setHeader("Content-Type", mimeType);
-    res.setHeader("Content-Length", fileStats.size);
-    res.setHeader("Cache-Control", "no-cache");
     res.setHeader("X-Chat-Type", "expert-to-expert");
     res.setHeader("X-File-Source", "expert-messages");
 
     console.log("📤 Streaming file to client...");
 
-    // Stream the file
-    const fileStream = fs.createReadStream(fileDoc.path);
-
-    fileStream.on("error", (streamError) => {
-      console.error("❌ File stream error:", streamError);
-      if (!res.headersSent) {
-        res.status(500).json({ message: "Error reading file" });
-      }
-    });
-
-    fileStream.on("end", () => {
-      console.log("✅ File download completed successfully");
+    // Ranges, conditional requests and ?inline=true for PDFs and images
+    await sendStoredFile(req, res, {
+      storageKey,
+      contentType: mimeType,
+      fileName: safeFileName,
+      disposition: requestedDisposition(req, mimeType),
+      contentHash: fileDoc.contentHash,
     });
-
-    fileStream.pipe(res);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, success: false });
+    }
     console.error("❌ Error in downloadFileExpert:", error);
     console.error("Error stack:", error.stack);
 
@@ -351,15 +349,77 @@ export const downloadFileExpert = async (req, res) => {
   }
 };
 
-// Delete file for expert-to-expert chat with real-time updates
+// Stream the "thumbnail" or "preview" rendering of an image attachment,
+// with the same access rules as downloadFileExpert
+const sendImageVariant = async (req, res, variant) => {
+  try {
+    const expertId = req.expert ? req.expert._id : null;
+
+    if (!expertId) {
+      return res.status(401).json({
+        message: "Expert authentication required",
+        success: false,
+      });
+    }
+
+    const fileDoc = await getAttachmentForParticipant({
+      collectionName: "expertMessages",
+      attachmentId: req.params.fileId,
+      participantId: expertId,
+      kind: "file",
+    });
+
+    if (!(await hasActiveExperts(fileDoc))) {
+      return res.status(403).json({
+        message: "Invalid expert conversation or expert account inactive",
+        success: false,
+      });
+    }
+
+    res.setHeader("X-Chat-Type", "expert-to-expert");
+    await sendStoredFile(req, res, {
+      storageKey: getImageVariantKey(fileDoc, variant),
+      contentType: "image/webp",
+      disposition: "inline",
+      notFoundMessage: "Preview not found on server",
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, success: false });
+    }
+    console.error(`❌ Error sending expert image ${variant}:`, error);
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        message: "Internal Server Error",
+        success: false,
+      });
+    }
+  }
+};
+
+// Small thumbnail of an image file, for chat bubbles and file lists
+export const getExpertFileThumbnail = (req, res) =>
+  sendImageVariant(req, res, "thumbnail");
+
+// Medium preview of an image file, for the in-chat viewer
+export const getExpertFilePreview = (req, res) =>
+  sendImageVariant(req, res, "preview");
+
+// Delete file for expert-to-expert chat with real-time updates: for the
+// caller only (scope "me") or, for its sender, for everyone (the default).
+// The older deleteType "soft" / "hard" both mean "everyone"
 export const deleteFileExpert = async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const deleteType = req.body.deleteType || "soft"; // "soft" or "hard"
+    const fileId = req.params.fileId || req.body.fileId || req.body.messageId;
+    const scope =
+      req.body.scope || (req.body.deleteType ? "everyone" : undefined);
 
     console.log("🗑️ Starting expert file deletion...");
     console.log("File ID:", fileId);
-    console.log("Delete type:", deleteType);
+    console.log("Delete scope:", scope || "everyone");
     console.log("Requesting expert:", req.expert);
 
     // Validate file ID
@@ -371,25 +431,6 @@ export const deleteFileExpert = async (req, res) => {
       });
     }
 
-    const db = getDB();
-    const messageCollection = db.collection("expertMessages");
-    const expertCollection = db.collection("experts");
-
-    // Find the file/message
-    const fileDoc = await messageCollection.findOne({
-      _id: new ObjectId(fileId),
-      isFile: true,
-    });
-
-    if (!fileDoc) {
-      console.log("❌ File not found");
-      return res.status(404).json({
-        message: "File not found",
-        success: false,
-      });
-    }
-
-    // Authorization check - only sender can delete
     const expertId = req.expert ? req.expert._id : null;
 
     if (!expertId) {
@@ -403,152 +444,120 @@ export const deleteFileExpert = async (req, res) => {
     const expertIdObj =
       typeof expertId === "string" ? new ObjectId(expertId) : expertId;
 
-    // Only sender can delete the file
-    if (!fileDoc.senderId.equals(expertIdObj)) {
-      console.log("❌ Not authorized to delete this file");
-      return res.status(403).json({
-        message: "Only the sender can delete this file",
-        success: false,
-      });
-    }
-
-    // Validate expert is still active
-    const senderExpert = await expertCollection.findOne({
-      _id: expertIdObj,
-      status: "active",
+    const result = await deleteMessageForScope({
+      collectionName: "expertMessages",
+      messageId: fileId,
+      participantId: expertIdObj,
+      scope,
     });
 
-    if (!senderExpert) {
-      console.log("❌ Expert not found or inactive");
-      return res.status(403).json({
-        message: "Expert account not found or inactive",
-        success: false,
-      });
-    }
-
-    let deletionResult;
-    const now = new Date();
-
-    if (deleteType === "hard") {
-      // Hard delete: Remove from database and file system
-      console.log("🔥 Performing hard delete...");
-
-      // Delete file from disk first
-      if (fileDoc.path && fs.existsSync(fileDoc.path)) {
-        try {
-          fs.unlinkSync(fileDoc.path);
-          console.log("✅ File removed from disk");
-        } catch (fsError) {
-          console.warn("⚠️ Failed to remove file from disk:", fsError);
-          // Continue with database deletion even if file removal fails
-        }
-      }
-
-      // Remove from database
-      deletionResult = await messageCollection.deleteOne({
-        _id: new ObjectId(fileId),
-      });
-    } else {
-      // Soft delete: Mark as deleted but keep in database
-      console.log("🔄 Performing soft delete...");
-
-      deletionResult = await messageCollection.updateOne(
-        { _id: new ObjectId(fileId) },
-        {
-          $set: {
-            status: "deleted",
-            deletedAt: now,
-            deletedBy: expertIdObj,
-          },
-        }
-      );
-    }
-
-    if (
-      deletionResult.deletedCount === 0 &&
-      deletionResult.modifiedCount === 0
-    ) {
-      console.log("❌ Failed to delete file");
-      return res.status(500).json({
-        message: "Failed to delete file",
+    if (result.alreadyDeleted) {
+      console.log("❌ File not found or already deleted");
+      return res.status(404).json({
+        message: "File not found",
         success: false,
       });
     }
 
     console.log("✅ File deleted successfully");
 
-    // Prepare real-time notification data
-    const notificationData = {
-      messageId: fileId,
-      fileId: fileId,
-      fileName: fileDoc.originalName,
-      deletedBy: {
-        _id: senderExpert._id.toString(),
-        name: senderExpert.name,
-        specialization: senderExpert.specialization,
-      },
-      deletedAt: now,
-      deleteType: deleteType,
-      chatType: "expert-to-expert",
-    };
-
-    // Real-time notification to both experts using the conversation room
-    const roomId = [expertIdObj.toString(), fileDoc.receiverId.toString()].sort().join('-');
-    console.log(`Emitting expertFileDeleted and expertMessageDeleted to room: ${roomId}`);
-    io.to(roomId).emit("expertFileDeleted", notificationData);
-    io.to(roomId).emit("expertMessageDeleted", {
+    const fileDoc = result.message;
+    const now = result.deletedAt || new Date();
+    const deleteEvent = {
       messageId: fileId,
-      senderId: expertIdObj.toString(),
+      senderId: fileDoc.senderId.toString(),
       receiverId: fileDoc.receiverId.toString(),
       isFile: true,
-      deleteType: deleteType,
-    });
+      scope: result.scope,
+      deleteType: result.scope,
+    };
 
-    // Confirmation to sender
-    const senderSocketId = getReceiverSocketId(expertIdObj.toString());
-    if (senderSocketId) {
-      io.to(senderSocketId).emit("expertFileDeleteConfirmation", {
-        messageId: fileId,
-        status: "deleted",
-        deleteType: deleteType,
-        timestamp: now,
-      });
-    }
+    if (result.scope === "me") {
+      // Only the caller's other devices need to hide it
+      const ownSocketId = getReceiverSocketId(expertIdObj.toString());
+      if (ownSocketId) {
+        io.to(ownSocketId).emit("expertMessageDeleted", deleteEvent);
+      }
+    } else {
+      const db = getDB();
+      const senderExpert = await db
+        .collection("expert")
+        .findOne({ _id: expertIdObj });
 
-    // Log deletion activity for audit
-    try {
-      const deletionLog = {
-        fileId: new ObjectId(fileId),
-        originalFileName: fileDoc.originalName,
-        deletedBy: expertIdObj,
-        receiverId: fileDoc.receiverId,
+      // Prepare real-time notification data
+      const notificationData = {
+        messageId: fileId,
+        fileId: fileId,
+        fileName: fileDoc.originalName,
+        deletedBy: {
+          _id: expertIdObj.toString(),
+          name: senderExpert?.name,
+          specialization: senderExpert?.specialization,
+        },
         deletedAt: now,
-        deleteType: deleteType,
-        fileSize: fileDoc.size,
-        ipAddress: req.ip || req.connection.remoteAddress,
+        deleteType: result.scope,
+        chatType: "expert-to-expert",
       };
 
-      const deletionCollection = db.collection("expertFileDeletions");
-      await deletionCollection.insertOne(deletionLog);
-    } catch (logError) {
-      console.warn("⚠️ Failed to log deletion activity:", logError);
-      // Don't fail the deletion if logging fails
+      // Real-time notification to both experts using the conversation room
+      const roomId = [expertIdObj.toString(), fileDoc.receiverId.toString()].sort().join('-');
+      console.log(`Emitting expertFileDeleted and expertMessageDeleted to room: ${roomId}`);
+      io.to(roomId).emit("expertFileDeleted", notificationData);
+      io.to(roomId).emit("expertMessageDeleted", deleteEvent);
+
+      // Confirmation to sender
+      const senderSocketId = getReceiverSocketId(expertIdObj.toString());
+      if (senderSocketId) {
+        io.to(senderSocketId).emit("expertFileDeleteConfirmation", {
+          messageId: fileId,
+          status: "deleted",
+          deleteType: result.scope,
+          timestamp: now,
+        });
+      }
+
+      // Log deletion activity for audit
+      try {
+        const deletionLog = {
+          fileId: new ObjectId(fileId),
+          originalFileName: fileDoc.originalName,
+          deletedBy: expertIdObj,
+          receiverId: fileDoc.receiverId,
+          deletedAt: now,
+          deleteType: result.scope,
+          fileSize: fileDoc.fileSize,
+          ipAddress: req.ip || req.connection.remoteAddress,
+        };
+
+        const deletionCollection = db.collection("expertFileDeletions");
+        await deletionCollection.insertOne(deletionLog);
+      } catch (logError) {
+        console.warn("⚠️ Failed to log deletion activity:", logError);
+        // Don't fail the deletion if logging fails
+      }
     }
 
     // Send success response
     res.status(200).json({
-      message: `File ${
-        deleteType === "hard" ? "permanently deleted" : "deleted"
-      } successfully`,
+      message:
+        result.scope === "me"
+          ? "File deleted for you"
+          : "File deleted successfully",
       success: true,
       data: {
         messageId: fileId,
         fileName: fileDoc.originalName,
-        deleteType: deleteType,
-        deletedAt: now,
+        scope: result.scope,
+        deleteType: result.scope,
+        deletedAt: result.deletedAt || null,
       },
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, success: false });
+    }
     console.error("❌ Error in deleteFileExpert:", error);
     console.error("Error stack:", error.stack);
 
@@ -584,74 +593,30 @@ export const getExpertFileInfo = async (req, res) => {
       });
     }
 
-    const db = getDB();
-
-    // Use expert_messages collection for expert-to-expert chat
-    const expertMessagesCollection = db.collection("expertMessages");
-
     console.log("🔍 Searching for file with ID:", fileId);
 
-    const fileDoc = await expertMessagesCollection.findOne({
-      _id: new ObjectId(fileId),
-    });
-
-    if (!fileDoc) {
-      console.error("❌ File not found in expert_messages collection:", fileId);
-      return res.status(404).json({
-        message: "File not found",
-        error: "FILE_NOT_FOUND",
-      });
-    }
-
-    console.log("✅ File found:", {
-      id: fileDoc._id,
-      senderId: fileDoc.senderId,
-      receiverId: fileDoc.receiverId,
-      originalName: fileDoc.originalName,
-    });
-
-    // Get current expert ID and ensure it's an ObjectId
-    const currentExpertId = req.expert._id;
-    const currentExpertIdObj =
-      typeof currentExpertId === "string"
-        ? new ObjectId(currentExpertId)
-        : currentExpertId;
-
-    console.log("🔐 Authorization check:", {
-      currentExpertId: currentExpertIdObj.toString(),
-      fileSenderId: fileDoc.senderId?.toString(),
-      fileReceiverId: fileDoc.receiverId?.toString(),
-    });
-
     // Authorization: Only sender or receiver expert can access the file
-    const isSender =
-      fileDoc.senderId && fileDoc.senderId.equals(currentExpertIdObj);
-    const isReceiver =
-      fileDoc.receiverId && fileDoc.receiverId.equals(currentExpertIdObj);
-
-    if (!isSender && !isReceiver) {
-      console.error("❌ Expert not authorized to access file:", {
-        expertId: currentExpertIdObj.toString(),
-        senderId: fileDoc.senderId?.toString(),
-        receiverId: fileDoc.receiverId?.toString(),
-      });
-      return res.status(403).json({
-        message: "Not authorized to access this file",
-        error: "ACCESS_FORBIDDEN",
-      });
-    }
+    const fileDoc = await getAttachmentForParticipant({
+      collectionName: "expertMessages",
+      attachmentId: fileId,
+      participantId: req.expert._id,
+      kind: "file",
+      downloadable: false,
+    });
 
     console.log("✅ Expert authorized to access file");
 
     // Prepare response with comprehensive file information
     const fileInfo = {
       id: fileDoc._id,
+      messageId: fileDoc.messageId,
       originalName: fileDoc.originalName,
       mimeType: fileDoc.mimeType,
       size: fileDoc.size,
-      uploadDate: fileDoc.uploadDate,
+      uploadDate: fileDoc.createdAt,
       senderId: fileDoc.senderId.toString(),
       receiverId: fileDoc.receiverId.toString(),
+      scanStatus: getScanStatus(fileDoc),
     };
 
     console.log("✅ Returning file info successfully");
@@ -662,6 +627,9 @@ export const getExpertFileInfo = async (req, res) => {
       message: "File information retrieved successfully",
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in getExpertFileInfo:", {
       message: error.message,
       stack: error.stack,
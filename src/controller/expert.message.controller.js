@@ -1,6 +1,44 @@
 import { getDB } from "../lib/db.js";
 import { ObjectId } from "mongodb";
 import { getExpertSocketId, io } from "../lib/socket.js"; // Use getExpertSocketId for experts
+import { ApiError } from "../lib/ApiError.js";
+import {
+  emitToRoomForDelivery,
+  formatReceipt,
+  markConversationRead,
+} from "../services/receipt.service.js";
+import { setReaction, summarizeReactions } from "../services/reaction.service.js";
+import {
+  deleteConversationForScope,
+  deleteMessageForScope,
+  formatTombstone,
+} from "../services/deletion.service.js";
+import { formatAttachmentFields } from "../services/attachment.service.js";
+import { searchMessages } from "../services/search.service.js";
+import { getStorageUsageReport } from "../services/quota.service.js";
+import {
+  EXPORT_FORMATS,
+  buildConversationExport,
+  parseExportFormat,
+  parseTimezone,
+  renderTranscript,
+  streamExportArchive,
+} from "../services/export.service.js";
+import {
+  findAllConfirmedExpertSessions,
+  getReadableCounterpartIds,
+} from "../services/session.service.js";
+import {
+  getRevisionHistory,
+  reviseMessageText,
+} from "../services/revision.service.js";
+import {
+  buildReplySnapshot,
+  findConversationPage,
+  formatReplyTo,
+  getConversationSummaries,
+  withConversationSummaries,
+} from "../services/conversation.service.js";
 
 // Get connected experts for sidebar (unchanged)
 export const getExpertsForSidebar = async (req, res) => {
@@ -57,8 +95,16 @@ export const getExpertsForSidebar = async (req, res) => {
       )
       .toArray();
 
+    const summaries = await getConversationSummaries({
+      collectionName: "expertMessages",
+      participantId: currentExpertId,
+      counterpartIds: connectedExperts.map((expert) => expert._id),
+    });
+
     console.log(`Found ${connectedExperts.length} connected experts`);
-    return res.status(200).json(connectedExperts);
+    return res
+      .status(200)
+      .json(withConversationSummaries(connectedExperts, summaries));
   } catch (error) {
     console.error("❌ Error in getExpertsForSidebar:", error.message);
     res.status(500).json({
@@ -71,8 +117,6 @@ export const getExpertsForSidebar = async (req, res) => {
 // Get messages between current expert and selected expert (unchanged)
 export const getExpertMessages = async (req, res) => {
   try {
-    const db = getDB();
-    const expertMessageCollection = db.collection("expertMessages");
     const { id: receiverId } = req.params;
 
     if (!req.expert || !req.expert._id) {
@@ -90,30 +134,51 @@ export const getExpertMessages = async (req, res) => {
     console.log("Expert Sender ID:", senderObjectId);
     console.log("Expert Receiver ID:", receiverObjectId);
 
-    const messages = await expertMessageCollection
-      .find({
-        $or: [
-          { senderId: senderObjectId, receiverId: receiverObjectId },
-          { senderId: receiverObjectId, receiverId: senderObjectId },
-        ],
-      })
-      .sort({ createdAt: 1 })
-      .toArray();
-
-    console.log(`Found ${messages.length} expert messages`);
+    // Cursor pagination: ?before=<messageId|timestamp> pages back from the
+    // newest message, ?after=<messageId|timestamp> loads newer ones
+    const { before, after, limit } = req.query;
+    const page = await findConversationPage({
+      collectionName: "expertMessages",
+      participantId: senderObjectId,
+      counterpartId: receiverObjectId,
+      before,
+      after,
+      limit,
+    });
 
-    const formattedMessages = messages.map((msg) => ({
-      _id: msg._id,
-      senderId: msg.senderId.toString(),
-      receiverId: msg.receiverId.toString(),
-      text: msg.text,
-      time: msg.createdAt,
-      isEdited: msg.isEdited || false,
-      attachments: msg.attachments || [],
-    }));
+    console.log(`Found ${page.messages.length} expert messages`);
+
+    const formattedMessages = page.messages.map((msg) =>
+      msg.deletedForEveryone
+        ? { ...formatTombstone(msg), ...formatReceipt(msg) }
+        : {
+            _id: msg._id,
+            senderId: msg.senderId.toString(),
+            receiverId: msg.receiverId.toString(),
+            text: msg.text,
+            time: msg.createdAt,
+            isEdited: msg.isEdited || false,
+            revisionCount: msg.revisions?.length || 0,
+            attachments: msg.attachments || [],
+            replyTo: formatReplyTo(msg.replyTo),
+            ...formatReceipt(msg),
+            reactions: summarizeReactions(msg.reactions, senderObjectId),
+            ...formatAttachmentFields(msg),
+          }
+    );
 
-    res.status(200).json({ messages: formattedMessages });
+    res.status(200).json({
+      messages: formattedMessages,
+      limit: page.limit,
+      hasMoreBefore: page.hasMoreBefore,
+      hasMoreAfter: page.hasMoreAfter,
+      beforeCursor: page.beforeCursor,
+      afterCursor: page.afterCursor,
+    });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in getExpertMessages:", error.message);
     res.status(500).json({ message: "Internal Server Error" });
   }
@@ -126,7 +191,7 @@ export const sendExpertMessage = async (req, res) => {
     const expertMessageCollection = db.collection("expertMessages");
 
     const { id: receiverId } = req.params;
-    const { text, attachments } = req.body;
+    const { text, attachments, replyToId } = req.body;
     const senderId = req.expert._id;
 
     if (!senderId || !receiverId) {
@@ -139,6 +204,13 @@ export const sendExpertMessage = async (req, res) => {
         .json({ message: "Message must contain text or attachments" });
     }
 
+    const replyTo = await buildReplySnapshot({
+      collectionName: "expertMessages",
+      replyToId,
+      senderId,
+      receiverId,
+    });
+
     // Create the new message
     const newMessage = {
       senderId:
@@ -148,6 +220,9 @@ export const sendExpertMessage = async (req, res) => {
       attachments: attachments || [],
       createdAt: new Date(),
     };
+    if (replyTo) {
+      newMessage.replyTo = replyTo;
+    }
 
     // Insert the message into the database
     const result = await expertMessageCollection.insertOne(newMessage);
@@ -160,31 +235,42 @@ export const sendExpertMessage = async (req, res) => {
       text: newMessage.text,
       attachments: newMessage.attachments,
       time: newMessage.createdAt,
+      replyTo: formatReplyTo(replyTo),
+      ...formatReceipt(newMessage),
     };
 
-    // Emit to the conversation room
+    // Emit to the conversation room; the receiver's ack marks it delivered
     const roomId = [senderId.toString(), receiverId.toString()]
       .sort()
       .join("-");
     console.log(`Emitting newExpertMessage to room: ${roomId}`);
-    io.to(roomId).emit("newExpertMessage", responseMessage);
+    emitToRoomForDelivery({
+      roomId,
+      senderId,
+      receiverId,
+      eventName: "newExpertMessage",
+      message: responseMessage,
+      collectionName: "expertMessages",
+    });
 
     // Send success response
     res.status(201).json(responseMessage);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in sendExpertMessage:", error.message);
     res.status(500).json({ message: "Internal Server Error" });
   }
 };
 
-// Delete a specific message between experts (updated)
+// Delete a message between experts, for the caller only (scope "me") or,
+// for its sender, for everyone (the default)
 export const deleteExpertMessage = async (req, res) => {
-  const { messageID } = req.body;
+  const { messageID, scope } = req.body;
 
   try {
     const senderID = req.expert._id;
-    const db = getDB();
-    const expertMessages = db.collection("expertMessages");
 
     if (
       !messageID ||
@@ -197,61 +283,56 @@ export const deleteExpertMessage = async (req, res) => {
       });
     }
 
-    let messageObjectId;
-    try {
-      messageObjectId = new ObjectId(messageID);
-    } catch (err) {
-      console.error("Invalid ObjectId format:", err);
-      return res.status(400).json({
-        success: false,
-        message: "Invalid message ID format",
-      });
-    }
-
-    const message = await expertMessages.findOne({ _id: messageObjectId });
+    const result = await deleteMessageForScope({
+      collectionName: "expertMessages",
+      messageId: messageID,
+      participantId: senderID,
+      scope,
+    });
 
-    if (!message) {
-      console.log(`Message not found: ${messageID}`);
+    if (result.alreadyDeleted) {
+      console.log(`Message not found or already deleted: ${messageID}`);
       return res.status(200).json({
         message: "Message already deleted or not found",
         alreadyDeleted: true,
       });
     }
 
-    if (!message.senderId.equals(new ObjectId(senderID))) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this message" });
-    }
-
-    const receiverId = message.receiverId;
-    const result = await expertMessages.deleteOne({ _id: messageObjectId });
+    const payload = {
+      messageID: messageID,
+      senderID: result.message.senderId.toString(),
+      receiverID: result.message.receiverId.toString(),
+      scope: result.scope,
+      deletedAt: result.deletedAt || null,
+    };
 
-    if (result.deletedCount === 0) {
-      return res.status(200).json({
-        message: "Message already deleted",
-        alreadyDeleted: true,
-      });
+    if (result.scope === "me") {
+      // Only the caller's other devices need to hide it
+      const ownSocketId = getExpertSocketId(senderID.toString());
+      if (ownSocketId) {
+        io.to(ownSocketId).emit("expertMessageDeleted", payload);
+      }
+    } else {
+      // Emit to the conversation room
+      const roomId = [payload.senderID, payload.receiverID].sort().join("-");
+      console.log(`Emitting expertMessageDeleted to room: ${roomId}`);
+      io.to(roomId).emit("expertMessageDeleted", payload);
     }
 
-    // Emit to the conversation room
-    const roomId = [senderID.toString(), receiverId.toString()]
-      .sort()
-      .join("-");
-    console.log(`Emitting expertMessageDeleted to room: ${roomId}`);
-    io.to(roomId).emit("expertMessageDeleted", {
-      messageID: messageID,
-      senderID: senderID.toString(),
-      receiverID: receiverId.toString(),
-    });
-
     return res.status(200).json({
       success: true,
       message: "Message deleted successfully",
       messageId: messageID,
       deleted: true,
+      scope: result.scope,
+      deletedAt: result.deletedAt || null,
     });
   } catch (err) {
+    if (err instanceof ApiError) {
+      return res
+        .status(err.statusCode)
+        .json({ success: false, message: err.message });
+    }
     console.error("❌ Error deleting expert message:", err.message);
     return res.status(500).json({
       success: false,
@@ -260,9 +341,10 @@ export const deleteExpertMessage = async (req, res) => {
   }
 };
 
-// Delete all messages between experts (updated)
+// Delete a conversation between experts: scope "me" hides it for the caller,
+// "everyone" (the default) deletes the caller's own messages for both
 export const deleteAllExpertMessages = async (req, res) => {
-  const { senderID, receiverID } = req.body; // Fixed typo
+  const { senderID, receiverID, scope } = req.body; // Fixed typo
 
   // Validate inputs
   if (!senderID || !receiverID) {
@@ -279,54 +361,64 @@ export const deleteAllExpertMessages = async (req, res) => {
         .json({ message: "Invalid senderID or receiverID format" });
     }
 
-    const db = getDB();
-    const expertMessages = db.collection("expertMessages");
-
-    const senderObjId = new ObjectId(senderID);
-    const receiverObjId = new ObjectId(receiverID);
-
-    console.log("Deleting messages between:", { senderObjId, receiverObjId });
+    if (senderID.toString() !== req.expert._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to delete these messages" });
+    }
 
-    // Check if messages exist before deletion
-    const messageCount = await expertMessages.countDocuments({
-      $or: [
-        { senderId: senderObjId, receiverId: receiverObjId },
-        { senderId: receiverObjId, receiverId: senderObjId },
-      ],
-    });
-    console.log(`Found ${messageCount} messages to delete`);
+    console.log("Deleting messages between:", { senderID, receiverID });
 
-    const result = await expertMessages.deleteMany({
-      $or: [
-        { senderId: senderObjId, receiverId: receiverObjId },
-        { senderId: receiverObjId, receiverId: senderObjId },
-      ],
+    const result = await deleteConversationForScope({
+      collectionName: "expertMessages",
+      participantId: senderID,
+      counterpartId: receiverID,
+      scope,
     });
 
     if (result.deletedCount === 0) {
       return res.status(200).json({
         message: "No messages found to delete",
         alreadyDeleted: true,
+        skippedCount: result.skippedCount || 0,
       });
     }
 
-    // Emit to the conversation room only on successful deletion
-    const roomId = [senderID.toString(), receiverID.toString()]
-      .sort()
-      .join("-");
-    console.log(`Emitting allExpertMessagesDeleted to room: ${roomId}`);
-    io.to(roomId).emit("allExpertMessagesDeleted", {
+    const payload = {
       senderID,
       receiverID, // Fixed typo
       deletedBy: senderID,
-      deletedAt: new Date(),
-    });
+      deletedAt: result.deletedAt || new Date(),
+      scope: result.scope,
+    };
+
+    if (result.scope === "me") {
+      const ownSocketId = getExpertSocketId(senderID.toString());
+      if (ownSocketId) {
+        io.to(ownSocketId).emit("allExpertMessagesDeleted", payload);
+      }
+    } else {
+      // Emit to the conversation room only on successful deletion
+      const roomId = [senderID.toString(), receiverID.toString()]
+        .sort()
+        .join("-");
+      console.log(`Emitting allExpertMessagesDeleted to room: ${roomId}`);
+      io.to(roomId).emit("allExpertMessagesDeleted", payload);
+    }
 
     return res.status(200).json({
-      message: "All messages deleted",
+      message:
+        result.scope === "me"
+          ? "All messages deleted for you"
+          : "All messages deleted",
+      scope: result.scope,
       deletedCount: result.deletedCount,
+      skippedCount: result.skippedCount || 0,
     });
   } catch (err) {
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     console.error("❌ Error deleting expert messages:", err);
     return res
       .status(500)
@@ -375,24 +467,26 @@ export const editExpertMessage = async (req, res) => {
         .json({ message: "Only the sender can edit this message" });
     }
 
-    const result = await expertMessages.updateOne(
-      { _id: messageObjectId },
-      {
-        $set: { text: newText, isEdited: true, editedAt: new Date() },
-      }
-    );
+    if (newText === undefined || newText === null || String(newText) === "") {
+      return res.status(400).json({ message: "Message text is required" });
+    }
 
-    if (result.modifiedCount === 0) {
-      return res.status(200).json({
-        success: false,
-        message: "Message update failed, message may have been deleted",
+    let updatedMessageDoc;
+    try {
+      updatedMessageDoc = await reviseMessageText({
+        collection: expertMessages,
+        message,
+        newText,
       });
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      // Failed updates are reported in the body with a 200, as before
+      if (err.statusCode === 409) {
+        return res.status(200).json({ success: false, message: err.message });
+      }
+      return res.status(err.statusCode).json({ message: err.message });
     }
 
-    const updatedMessageDoc = await expertMessages.findOne({
-      _id: messageObjectId,
-    });
-
     const updatedMessage = {
       _id: updatedMessageDoc._id.toString(),
       senderId: updatedMessageDoc.senderId.toString(),
@@ -400,8 +494,9 @@ export const editExpertMessage = async (req, res) => {
       text: updatedMessageDoc.text,
       attachments: updatedMessageDoc.attachments || [],
       time: updatedMessageDoc.createdAt,
-      isEdited: true,
+      isEdited: updatedMessageDoc.isEdited || false,
       editedAt: updatedMessageDoc.editedAt,
+      revisionCount: updatedMessageDoc.revisions?.length || 0,
     };
 
     // Emit to the conversation room
@@ -417,3 +512,196 @@ export const editExpertMessage = async (req, res) => {
     return res.status(500).json({ message: "Internal Server Error" });
   }
 };
+
+// Mark messages received from another expert as read, up to a message id
+export const markExpertMessagesRead = async (req, res) => {
+  try {
+    const { id: counterpartId } = req.params;
+    const { messageId } = req.body;
+
+    const result = await markConversationRead({
+      collectionName: "expertMessages",
+      readerId: req.expert._id,
+      counterpartId,
+      upToMessageId: messageId,
+    });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in markExpertMessagesRead:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Add an emoji reaction to a message between experts
+export const addExpertReaction = async (req, res) => {
+  try {
+    const { messageId, emoji } = req.body;
+
+    const result = await setReaction({
+      collectionName: "expertMessages",
+      messageId,
+      participantId: req.expert._id,
+      emoji,
+      action: "add",
+    });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in addExpertReaction:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Remove the caller's emoji reaction from a message between experts
+export const removeExpertReaction = async (req, res) => {
+  try {
+    const { messageId, emoji } = req.body;
+
+    const result = await setReaction({
+      collectionName: "expertMessages",
+      messageId,
+      participantId: req.expert._id,
+      emoji,
+      action: "remove",
+    });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in removeExpertReaction:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Revision history of a message between experts, for either participant
+export const getExpertMessageRevisions = async (req, res) => {
+  try {
+    const history = await getRevisionHistory({
+      collectionName: "expertMessages",
+      messageId: req.params.messageId,
+      participantId: req.expert?._id,
+    });
+
+    return res.status(200).json(history);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in getExpertMessageRevisions:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Search the caller's expert <-> expert conversations:
+// ?q=&counterpartId=&from=&to=&type=text|file|voice&page=&limit=
+export const searchExpertConversations = async (req, res) => {
+  try {
+    const expertObjId = new ObjectId(req.expert._id);
+    const sessions = await findAllConfirmedExpertSessions(expertObjId);
+
+    // Only conversations whose session has opened are searchable
+    const allowedCounterpartIds = getReadableCounterpartIds(
+      sessions,
+      (session) =>
+        session.consultingExpertID?.equals(expertObjId)
+          ? session.expertId
+          : session.consultingExpertID
+    );
+
+    const { q, counterpartId, from, to, type, page, limit } = req.query;
+    const results = await searchMessages({
+      collectionName: "expertMessages",
+      participantId: expertObjId,
+      allowedCounterpartIds,
+      query: q,
+      counterpartId,
+      from,
+      to,
+      type,
+      page,
+      limit,
+    });
+
+    return res.status(200).json(results);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in searchExpertConversations:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Download a transcript of the conversation with :id:
+// ?format=json|html|txt&timezone=<IANA name>&bundle=zip to include attachments
+export const exportExpertConversation = async (req, res) => {
+  try {
+    const { id: counterpartId } = req.params;
+    const format = parseExportFormat(req.query.format);
+    const timezone = parseTimezone(req.query.timezone);
+    const bundle = req.query.bundle === "zip";
+
+    const exportData = await buildConversationExport({
+      collectionName: "expertMessages",
+      participantId: req.expert._id,
+      counterpartId,
+      timezone,
+    });
+
+    const date = exportData.exportedAt.toISOString().slice(0, 10);
+    const baseName = `conversation-${counterpartId}-${date}`;
+
+    if (bundle) {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${baseName}.zip"`
+      );
+      return await streamExportArchive(res, exportData, format, baseName);
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}.${extension}"`
+    );
+    return res.status(200).send(renderTranscript(exportData, format));
+  } catch (error) {
+    console.error("❌ Error in exportExpertConversation:", error.message);
+    // A streamed archive may already be under way
+    if (res.headersSent) return;
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Attachment storage the expert is using against their quota, by type and by
+// conversation in either chat
+export const getExpertStorageUsage = async (req, res) => {
+  try {
+    const report = await getStorageUsageReport({
+      participantId: req.expert._id,
+      role: "expert",
+    });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in getExpertStorageUsage:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
@@ -1,25 +1,50 @@
-import { getDB } from "../lib/db.js";
 import { ObjectId } from "mongodb";
 import { getReceiverSocketId, io } from "../lib/socket.js";
+import { emitForDelivery, formatReceipt } from "../services/receipt.service.js";
+import {
+  buildReplySnapshot,
+  formatReplyTo,
+} from "../services/conversation.service.js";
+import { ApiError } from "../lib/ApiError.js";
+import { verifyFileType } from "../lib/fileType.js";
+import { deleteMessageById } from "../services/message.service.js";
+import {
+  createAttachmentMessage,
+  formatAttachmentFields,
+  getAttachmentForParticipant,
+  getScanStatus,
+  listConversationAttachments,
+} from "../services/attachment.service.js";
+import { queueAttachmentScan } from "../services/scan.service.js";
+import {
+  releaseBlob,
+  storeAttachmentContent,
+} from "../services/blob.service.js";
+import {
+  getParticipantRole,
+  releaseStorageReservation,
+  reserveStorage,
+} from "../services/quota.service.js";
+import { getImageVariantKey } from "../services/imagePreview.service.js";
+import { requestedDisposition, sendStoredFile } from "../lib/download.js";
+import {
+  decodeUploadName,
+  discardUpload,
+  getStorageKey,
+  uploadTempDestination,
+} from "../lib/storage/index.js";
 import multer from "multer";
 import path from "path";
-import fs from "fs";
 import mime from 'mime-types';
 import { v4 as uuidv4 } from "uuid";
 
-// Configure storage for file uploads
+// Uploads go to a temp directory and are moved into storage by uploadFile
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(process.cwd(), "uploads");
-
-    // Create uploads directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-
-    cb(null, uploadDir);
-  },
+  destination: uploadTempDestination,
   filename: (req, file, cb) => {
+    // Keep the client's name as sent, not as multer decoded it
+    file.originalname = decodeUploadName(file.originalname);
+
     // Generate unique filename with original extension
     const fileExt = path.extname(file.originalname);
     const fileName = `${uuidv4()}${fileExt}`;
@@ -27,31 +52,36 @@ const storage = multer.diskStorage({
   },
 });
 
+// Allowed file types. The multer filter checks the declared type; uploadFile
+// then checks the content against the same list
+const ALLOWED_FILE_TYPES = [
+  // Images
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  // Documents
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  // Text
+  "text/plain",
+  // Archives
+  "application/zip",
+  "application/x-rar-compressed",
+];
+
+// Whether a declared type may be uploaded (also used by resumable uploads)
+export const isAllowedFileType = (mimeType) =>
+  ALLOWED_FILE_TYPES.includes(mimeType);
+
 // File filter to validate uploads
 const fileFilter = (req, file, cb) => {
-  // Define allowed file types
-  const allowedTypes = [
-    // Images
-    "image/jpeg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-    // Documents
-    "application/pdf",
-    "application/msword",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    "application/vnd.ms-excel",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    "application/vnd.ms-powerpoint",
-    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-    // Text
-    "text/plain",
-    // Archives
-    "application/zip",
-    "application/x-rar-compressed",
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAllowedFileType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(
@@ -63,11 +93,14 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Largest file accepted, by multer and by resumable uploads
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
 // Configure multer with size limits (10MB)
 const upload = multer({
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: MAX_FILE_SIZE },
 });
 
 // Helper to get base file upload middleware
@@ -75,6 +108,8 @@ export const uploadMiddleware = upload.single("file");
 
 // Upload a file in a chat
 export const uploadFile = async (req, res) => {
+  let reservation;
+  let content;
   try {
     // File should be available on req.file after multer middleware
     if (!req.file) {
@@ -86,84 +121,98 @@ export const uploadFile = async (req, res) => {
 
     if (!senderId || !receiverId) {
       // Remove uploaded file if validation fails
-      if (req.file.path) {
-        fs.unlinkSync(req.file.path);
-      }
+      await discardUpload(req.file);
       return res.status(400).json({ message: "Missing sender or receiver ID" });
     }
 
-    const db = getDB();
-    const messageCollection = db.collection("messages");
+    const replyTo = await buildReplySnapshot({
+      collectionName: "messages",
+      replyToId: req.body?.replyToId,
+      senderId,
+      receiverId,
+    });
 
-    // Create file document
-    const fileDoc = {
-      originalName: req.file.originalname,
-      fileName: req.file.filename,
-      mimeType: req.file.mimetype,
+    // Hold its size against the sender's quota until the attachment is
+    // saved; refused when it would take them over
+    reservation = await reserveStorage({
+      participantId: senderId,
+      role: getParticipantRole(req),
       size: req.file.size,
-      path: req.file.path,
-      uploadDate: new Date(),
-      senderId:
-        typeof senderId === "string" ? new ObjectId(senderId) : senderId,
-      receiverId: new ObjectId(receiverId),
-    };
+    });
 
-    // Save file metadata to database
-    const fileResult = await messageCollection.insertOne(fileDoc);
-
-    // Create a corresponding message for this file
-    const newMessage = {
-      senderId: fileDoc.senderId,
-      receiverId: fileDoc.receiverId,
-      text: `File: ${req.file.originalname}`,
-      fileId: fileResult.insertedId,
-      isFile: true,
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
-      createdAt: new Date(),
-    };
+    // The declared type is only the client's word; check the content
+    const mimeType = await verifyFileType(req.file, ALLOWED_FILE_TYPES);
+
+    // Stored once per distinct content: a file already sent in any
+    // conversation is referenced again instead of copied
+    content = await storeAttachmentContent(req.file, mimeType);
+
+    // Save the attachment and the message that carries it
+    const { attachment, message } = await createAttachmentMessage({
+      collectionName: "messages",
+      kind: "file",
+      file: req.file,
+      mimeType,
+      storageKey: content.storageKey,
+      contentHash: content.contentHash,
+      senderId,
+      receiverId,
+      replyTo,
+    });
 
     // Format the response
     const responseMessage = {
-      _id: fileResult.insertedId,
-      senderId: newMessage.senderId.toString(),
-      receiverId: newMessage.receiverId.toString(),
-      text: `File: ${req.file.originalname}`,
-      fileId: newMessage.fileId.toString(),
-      isFile: true,
-      fileType: newMessage.fileType,
-      fileSize: newMessage.fileSize,
-      time: newMessage.createdAt,
+      _id: message._id,
+      senderId: message.senderId.toString(),
+      receiverId: message.receiverId.toString(),
+      text: message.text,
+      ...formatAttachmentFields(message),
+      time: message.createdAt,
+      replyTo: formatReplyTo(replyTo),
+      ...formatReceipt(message),
     };
 
-    // Notify receiver via socket.io
+    // Notify receiver via socket.io; their ack marks it delivered
     const receiverSocketId = getReceiverSocketId(receiverId);
     if (receiverSocketId) {
       console.log(`Sending file notification to socket: ${receiverSocketId}`);
-      io.to(receiverSocketId).emit("newMessage", responseMessage);
+      emitForDelivery({
+        to: receiverSocketId,
+        eventName: "newMessage",
+        message: responseMessage,
+        collectionName: "messages",
+      });
     }
 
+    // Scan in the background; both sides hear the result through
+    // attachmentScanned
+    queueAttachmentScan(attachment);
+
     // Send success response
     res.status(201).json({
       message: "File uploaded successfully",
       file: {
-        id: fileResult.insertedId,
-        name: req.file.originalname,
-        type: req.file.mimetype,
-        size: req.file.size,
+        id: attachment._id,
+        name: attachment.originalName,
+        type: attachment.mimeType,
+        size: attachment.size,
       },
-      messageId: fileResult.insertedId,
+      messageId: message._id,
       ...responseMessage,
     });
   } catch (error) {
     console.error("❌ Error in uploadFile:", error.message);
 
     // Clean up file if it was uploaded but there was a database error
-    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    await discardUpload(req.file);
+    await releaseBlob(content?.contentHash);
 
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal Server Error" });
+  } finally {
+    await releaseStorageReservation(reservation);
   }
 };
 
@@ -176,251 +225,147 @@ export const getFileInfo = async (req, res) => {
       return res.status(400).json({ message: "Invalid file ID" });
     }
 
-    const db = getDB();
-    const fileCollection = db.collection("messages");
-
-    const fileDoc = await fileCollection.findOne({ _id: new ObjectId(fileId) });
-
-    if (!fileDoc) {
-      return res.status(404).json({ message: "File not found" });
-    }
-
-    // Check authorization
-    const userId = req.user ? req.user._id : req.expert._id;
-    const userIdObj =
-      typeof userId === "string" ? new ObjectId(userId) : userId;
-
-    // Only allow sender or receiver to access the file
-    if (
-      !fileDoc.senderId.equals(userIdObj) &&
-      !fileDoc.receiverId.equals(userIdObj)
-    ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to access this file" });
-    }
+    const attachment = await getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: fileId,
+      participantId: req.user ? req.user._id : req.expert._id,
+      kind: "file",
+      downloadable: false,
+    });
 
     res.status(200).json({
-      id: fileDoc._id,
-      originalName: fileDoc.originalName,
-      mimeType: fileDoc.mimeType,
-      size: fileDoc.size,
-      uploadDate: fileDoc.uploadDate,
-      senderId: fileDoc.senderId.toString(),
-      receiverId: fileDoc.receiverId.toString(),
+      id: attachment._id,
+      messageId: attachment.messageId,
+      originalName: attachment.originalName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      uploadDate: attachment.createdAt,
+      senderId: attachment.senderId.toString(),
+      receiverId: attachment.receiverId.toString(),
+      scanStatus: getScanStatus(attachment),
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in getFileInfo:", error.message);
     res.status(500).json({ message: "Internal Server Error" });
   }
 };
 
-// Download file for expert to expert chat
+// Download a file from a user <-> expert chat
 export const downloadFile = async (req, res) => {
   try {
     const { fileId } = req.params;
 
-    console.log("🔽 Starting expert file download...");
-    console.log("File ID:", fileId);
-    console.log("Requesting expert:", req.expert);
-
     if (!fileId || !ObjectId.isValid(fileId)) {
-      console.log("❌ Invalid file ID");
       return res.status(400).json({ message: "Invalid file ID" });
     }
 
-    const db = getDB();
-    const fileCollection = db.collection("expertMessages"); // Use expert messages collection
-
-    console.log("🔍 Searching for file in expertMessages collection...");
-    const fileDoc = await fileCollection.findOne({ _id: new ObjectId(fileId) });
-
-    if (!fileDoc) {
-      console.log("❌ File not found in database");
-      return res.status(404).json({ message: "File not found" });
-    }
-
-    console.log("✅ File found:", {
-      originalName: fileDoc.originalName,
-      mimeType: fileDoc.mimeType,
-      size: fileDoc.size,
-      senderId: fileDoc.senderId,
-      receiverId: fileDoc.receiverId,
+    // Only the sender or receiver can download the file
+    const fileDoc = await getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: fileId,
+      participantId: req.user ? req.user._id : req.expert._id,
+      kind: "file",
     });
 
-    // Check authorization - only experts involved in the conversation can download
-    const expertId = req.expert ? req.expert._id : null;
-
-    if (!expertId) {
-      console.log("❌ No expert ID found in request");
-      return res.status(401).json({ message: "Authentication required" });
-    }
-
-    const expertIdObj =
-      typeof expertId === "string" ? new ObjectId(expertId) : expertId;
-
-    console.log("🔐 Checking authorization...");
-    console.log("Requesting expert ID:", expertIdObj);
-    console.log("File sender ID:", fileDoc.senderId);
-    console.log("File receiver ID:", fileDoc.receiverId);
-
-    // Only allow sender or receiver to download the file
-    if (
-      !fileDoc.senderId.equals(expertIdObj) &&
-      !fileDoc.receiverId.equals(expertIdObj)
-    ) {
-      console.log("❌ Not authorized to download this file");
-      return res
-        .status(403)
-        .json({ message: "Not authorized to download this file" });
-    }
-
-    // Additional validation: Ensure both sender and receiver are experts
-    const expertCollection = db.collection("experts");
-    const [senderExpert, receiverExpert] = await Promise.all([
-      expertCollection.findOne({ _id: fileDoc.senderId }),
-      expertCollection.findOne({ _id: fileDoc.receiverId }),
-    ]);
-
-    if (!senderExpert || !receiverExpert) {
-      console.log("❌ Invalid expert conversation");
-      return res.status(403).json({ message: "Invalid expert conversation" });
-    }
-
-    // Check if file exists on disk
-    if (!fileDoc.path) {
-      console.log("❌ File path not found in database");
-      return res.status(404).json({ message: "File path not found" });
+    // mimeType is the type verified from the content at upload; PDFs and
+    // images open in the browser with ?inline=true
+    const mimeType = fileDoc.mimeType || "application/octet-stream";
+    await sendStoredFile(req, res, {
+      storageKey: getStorageKey(fileDoc),
+      contentType: mimeType,
+      fileName: fileDoc.originalName,
+      disposition: requestedDisposition(req, mimeType),
+      contentHash: fileDoc.contentHash,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error("❌ Error in downloadFile:", error);
 
-    if (!fs.existsSync(fileDoc.path)) {
-      console.log("❌ File not found on server at path:", fileDoc.path);
-      return res.status(404).json({ message: "File not found on server" });
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Internal Server Error" });
     }
+  }
+};
 
-    console.log("✅ File exists on disk, starting download...");
-
-    try {
-      // Get file stats for additional info
-      const fileStats = fs.statSync(fileDoc.path);
-
-      // Set appropriate headers for download
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${encodeURIComponent(fileDoc.originalName)}"`
-      );
-      res.setHeader(
-        "Content-Type",
-        fileDoc.mimeType || "application/octet-stream"
-      );
-      res.setHeader("Content-Length", fileStats.size);
-      res.setHeader("Cache-Control", "no-cache");
-
-      // Add headers to identify this as expert-to-expert file
-      res.setHeader("X-Chat-Type", "expert-to-expert");
-      res.setHeader("X-File-Source", "expert-messages");
-
-      console.log("📤 Streaming file to client...");
-
-      // Stream the file to the response
-      const fileStream = fs.createReadStream(fileDoc.path);
-
-      // Handle stream errors
-      fileStream.on("error", (streamError) => {
-        console.error("❌ File stream error:", streamError);
-        if (!res.headersSent) {
-          res.status(500).json({ message: "Error reading file" });
-        }
-      });
-
-      fileStream.on("end", () => {
-        console.log("✅ File download completed successfully");
-      });
+// Stream the "thumbnail" or "preview" rendering of an image attachment,
+// with the same access rules as downloadFile
+const sendImageVariant = async (req, res, variant) => {
+  try {
+    const fileDoc = await getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: req.params.fileId,
+      participantId: req.user ? req.user._id : req.expert._id,
+      kind: "file",
+    });
 
-      fileStream.pipe(res);
-    } catch (fileError) {
-      console.error("❌ Error accessing file:", fileError);
-      return res.status(500).json({ message: "Error accessing file" });
-    }
+    await sendStoredFile(req, res, {
+      storageKey: getImageVariantKey(fileDoc, variant),
+      contentType: "image/webp",
+      disposition: "inline",
+      notFoundMessage: "Preview not found on server",
+    });
   } catch (error) {
-    console.error("❌ Error in downloadFileExpert:", error);
-    console.error("Error stack:", error.stack);
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`❌ Error sending image ${variant}:`, error);
 
     if (!res.headersSent) {
-      res.status(500).json({
-        message: "Internal Server Error",
-        error:
-          process.env.NODE_ENV === "development" ? error.message : undefined,
-      });
+      res.status(500).json({ message: "Internal Server Error" });
     }
   }
 };
 
-// Delete a file
+// Small thumbnail of an image file, for chat bubbles and file lists
+export const getFileThumbnail = (req, res) =>
+  sendImageVariant(req, res, "thumbnail");
+
+// Medium preview of an image file, for the in-chat viewer
+export const getFilePreview = (req, res) =>
+  sendImageVariant(req, res, "preview");
+
+// Delete a file message, for the caller only (scope "me") or, for its
+// sender, for everyone (the default)
 export const deleteFile = async (req, res) => {
   try {
-    const { messageId, fileId } = req.body;
-
-    if (
-      !fileId ||
-      !ObjectId.isValid(fileId) ||
-      !messageId ||
-      !ObjectId.isValid(messageId)
-    ) {
+    const { messageId, fileId, scope } = req.body;
+    // A file attachment shares its message's id, so either id names it
+    const targetId = messageId || fileId;
+
+    if (!targetId || !ObjectId.isValid(targetId)) {
       return res.status(400).json({ message: "Invalid message or file ID" });
     }
 
-    const db = getDB();
-    const messageCollection = db.collection("messages");
+    const senderId = req.user ? req.user._id : req.expert._id;
 
-    // Find the message
-    const message = await messageCollection.findOne({
-      _id: new ObjectId(messageId),
-      fileId: new ObjectId(fileId),
+    const result = await deleteMessageById({
+      messageId: targetId,
+      userId: senderId,
+      scope,
     });
 
-    if (!message) {
+    if (result.alreadyDeleted) {
       return res.status(200).json({
         message: "Message already deleted or not found",
         alreadyDeleted: true,
       });
     }
 
-    // Authorization check - only sender can delete
-    const senderId = req.user ? req.user._id : req.expert._id;
-    const senderIdObj =
-      typeof senderId === "string" ? new ObjectId(senderId) : senderId;
-
-    if (!fileDoc.senderId.equals(senderIdObj)) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this file" });
-    }
-
-    // Delete file from disk
-    if (fs.existsSync(fileDoc.path)) {
-      fs.unlinkSync(fileDoc.path);
-    }
-
-    // Delete the corresponding message
-    await messageCollection.deleteOne({ _id: new ObjectId(messageId) });
-
-    // Notify receiver
-    const receiverSocketId = getReceiverSocketId(fileDoc.receiverId.toString());
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageDeleted", {
-        messageID: messageId,
-        senderID: senderIdObj.toString(),
-        isFile: true,
-        fileId: fileId,
-      });
-    }
-
     return res.status(200).json({
       message: "File deleted successfully",
       deleted: true,
+      scope: result.scope,
+      deletedAt: result.deletedAt,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in deleteFile:", error.message);
     res.status(500).json({ message: "Internal Server Error" });
   }
@@ -440,27 +385,22 @@ export const getConversationFiles = async (req, res) => {
       typeof userId === "string" ? new ObjectId(userId) : userId;
     const otherIdObj = new ObjectId(otherId);
 
-    const db = getDB();
-    const fileCollection = db.collection("chatFiles");
-
     // Find all files exchanged between these two users
-    const files = await fileCollection
-      .find({
-        $or: [
-          { senderId: userIdObj, receiverId: otherIdObj },
-          { senderId: otherIdObj, receiverId: userIdObj },
-        ],
-      })
-      .sort({ uploadDate: -1 })
-      .toArray();
+    const files = await listConversationAttachments({
+      collectionName: "messages",
+      participantId: userIdObj,
+      counterpartId: otherIdObj,
+      kind: "file",
+    });
 
     // Format the response
     const formattedFiles = files.map((file) => ({
       id: file._id.toString(),
+      messageId: file.messageId.toString(),
       originalName: file.originalName,
       mimeType: file.mimeType,
       size: file.size,
-      uploadDate: file.uploadDate,
+      uploadDate: file.createdAt,
       senderId: file.senderId.toString(),
       senderIsCurrentUser: file.senderId.equals(userIdObj),
     }));
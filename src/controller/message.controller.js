@@ -3,7 +3,41 @@
 
 import { getDB } from "../lib/db.js";
 import { ObjectId } from "mongodb";
-import { getReceiverSocketId, io } from "../lib/socket.js";
+import { ApiError } from "../lib/ApiError.js";
+import {
+  createMessage,
+  editMessageText,
+  deleteMessageById,
+  deleteConversation,
+} from "../services/message.service.js";
+import {
+  formatReceipt,
+  markConversationRead,
+} from "../services/receipt.service.js";
+import { setReaction, summarizeReactions } from "../services/reaction.service.js";
+import { getRevisionHistory } from "../services/revision.service.js";
+import { formatTombstone } from "../services/deletion.service.js";
+import { formatAttachmentFields } from "../services/attachment.service.js";
+import { searchMessages } from "../services/search.service.js";
+import {
+  getParticipantRole,
+  getStorageUsageReport,
+} from "../services/quota.service.js";
+import {
+  EXPORT_FORMATS,
+  buildConversationExport,
+  parseExportFormat,
+  parseTimezone,
+  renderTranscript,
+  streamExportArchive,
+} from "../services/export.service.js";
+import { getReadableCounterpartIds } from "../services/session.service.js";
+import {
+  findConversationPage,
+  formatReplyTo,
+  getConversationSummaries,
+  withConversationSummaries,
+} from "../services/conversation.service.js";
 
 // Get users for sidebar - used in frontend chat component
 export const getUserForSidebar = async (req, res) => {
@@ -29,7 +63,15 @@ export const getUserForSidebar = async (req, res) => {
         )
         .toArray();
 
-      return res.status(200).json(experts);
+      const summaries = await getConversationSummaries({
+        collectionName: "messages",
+        participantId: req.user._id,
+        counterpartIds: experts.map((expert) => expert._id),
+      });
+
+      return res
+        .status(200)
+        .json(withConversationSummaries(experts, summaries));
     }
 
     // If an expert is logged in, find user(s) from session
@@ -51,8 +93,14 @@ export const getUserForSidebar = async (req, res) => {
         )
         .toArray();
 
+      const summaries = await getConversationSummaries({
+        collectionName: "messages",
+        participantId: req.expert._id,
+        counterpartIds: users.map((user) => user._id),
+      });
+
       console.log("Users found for expert:", users);
-      return res.status(200).json(users);
+      return res.status(200).json(withConversationSummaries(users, summaries));
     }
 
     // If no users found, return empty array instead of message object
@@ -72,7 +120,6 @@ export const getMessages = async (req, res) => {
   try {
     const db = getDB();
     if (!db) throw new Error("Database connection failed");
-    const messageCollection = db.collection("messages");
     const { id: receiverId } = req.params;
 
     // Get sender ID from authenticated user or expert
@@ -91,26 +138,24 @@ export const getMessages = async (req, res) => {
       typeof senderId === "string" ? new ObjectId(senderId) : senderId;
     const receiverObjectId = new ObjectId(receiverId);
 
-    // Pagination parameters (optional, from query)
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
-
-    // Find messages between the two users
-    const messages = await messageCollection
-      .find({
-        $or: [
-          { senderId: senderObjectId, receiverId: receiverObjectId },
-          { senderId: receiverObjectId, receiverId: senderObjectId },
-        ],
-      })
-      .sort({ createdAt: 1 })
-      .skip(skip)
-      .limit(limit)
-      .toArray();
+    // Cursor pagination: ?before=<messageId|timestamp> pages back from the
+    // newest message, ?after=<messageId|timestamp> loads newer ones
+    const { before, after, limit } = req.query;
+    const page = await findConversationPage({
+      collectionName: "messages",
+      participantId: senderObjectId,
+      counterpartId: receiverObjectId,
+      before,
+      after,
+      limit,
+    });
 
     // Format messages for frontend
-    const formattedMessages = messages.map((msg) => {
+    const formattedMessages = page.messages.map((msg) => {
+      if (msg.deletedForEveryone) {
+        return { ...formatTombstone(msg), ...formatReceipt(msg) };
+      }
+
       const formattedMsg = {
         _id: msg._id.toString(),
         senderId: msg.senderId.toString(),
@@ -118,42 +163,27 @@ export const getMessages = async (req, res) => {
         text: msg.text,
         time: msg.createdAt,
         isEdited: msg.isEdited || false,
+        revisionCount: msg.revisions?.length || 0,
+        replyTo: formatReplyTo(msg.replyTo),
+        ...formatReceipt(msg),
+        reactions: summarizeReactions(msg.reactions, senderObjectId),
       };
 
-      // File message formatting
-      if (msg.isFile) {
-        formattedMsg.isFile = true;
-        formattedMsg.fileId = msg.fileId?.toString() || null;
-        formattedMsg.fileType = msg.fileType;
-        formattedMsg.fileSize = msg.fileSize;
-      }
-
-      // Voice message formatting
-      if (msg.isVoice) {
-        formattedMsg.isVoice = true;
-        formattedMsg.voiceId = msg.voiceId?.toString() || null;
-        formattedMsg.voiceDuration = msg.voiceDuration || null;
-        formattedMsg.voiceMimeType = msg.voiceMimeType || "audio/webm";
-      }
-
-      return formattedMsg;
-    });
-
-    // Get total message count for pagination (optional)
-    const totalMessages = await messageCollection.countDocuments({
-      $or: [
-        { senderId: senderObjectId, receiverId: receiverObjectId },
-        { senderId: receiverObjectId, receiverId: senderObjectId },
-      ],
+      return { ...formattedMsg, ...formatAttachmentFields(msg) };
     });
 
     res.status(200).json({
       messages: formattedMessages,
-      totalMessages,
-      page,
-      limit,
+      limit: page.limit,
+      hasMoreBefore: page.hasMoreBefore,
+      hasMoreAfter: page.hasMoreAfter,
+      beforeCursor: page.beforeCursor,
+      afterCursor: page.afterCursor,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in getMessages:", error.message);
     if (error.message.includes("ObjectId")) {
       return res.status(400).json({ message: "Invalid ID format" });
@@ -165,48 +195,23 @@ export const getMessages = async (req, res) => {
 // Send a new message
 export const sendMessage = async (req, res) => {
   try {
-    const db = getDB();
-    const messageCollection = db.collection("messages");
-
     const { id: receiverId } = req.params;
-    const { text } = req.body;
+    const { text, replyToId } = req.body;
     const senderId = req.user ? req.user._id : req.expert._id;
 
-    if (!senderId || !receiverId || !text) {
-      return res.status(400).json({ message: "Missing required fields" });
-    }
-
-    // Create the new message with proper field names
-    const newMessage = {
-      senderId:
-        typeof senderId === "string" ? new ObjectId(senderId) : senderId,
-      receiverId: new ObjectId(receiverId), // FIXED: reciverId -> receiverId
-      text: String(text),
-      createdAt: new Date(),
-    };
-
-    // Insert the message into the database
-    const result = await messageCollection.insertOne(newMessage);
-
-    // Format the response message
-    const responseMessage = {
-      _id: result.insertedId,
-      senderId: newMessage.senderId.toString(),
-      receiverId: newMessage.receiverId.toString(), // FIXED: reciverId -> receiverId
-      text: newMessage.text,
-      time: newMessage.createdAt,
-    };
-
-    // Emit the message through socket.io if receiver is online
-    const receiverSocketId = getReceiverSocketId(receiverId);
-    if (receiverSocketId) {
-      console.log(`Sending message to socket: ${receiverSocketId}`);
-      io.to(receiverSocketId).emit("newMessage", responseMessage);
-    }
+    const responseMessage = await createMessage({
+      senderId,
+      receiverId,
+      text,
+      replyToId,
+    });
 
     // Send success response
     res.status(201).json(responseMessage);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in sendMessage:", error.message);
     res.status(500).json({ message: "Internal Server Error" });
   }
@@ -247,72 +252,36 @@ export const getLogginUser = async (req, res) => {
 };
 
 export const deleteOneMessage = async (req, res) => {
-  const { messageID } = req.body;
+  const { messageID, scope } = req.body;
 
   try {
     const senderID = req.user?._id || req.expert?._id;
-    const db = getDB();
-    const messages = db.collection("messages");
 
     console.log(`Attempting to delete message ID: ${messageID}`);
 
-    // Validate messageID
-    if (!messageID || !ObjectId.isValid(messageID)) {
-      console.error(`Invalid message ID: ${messageID}`);
-      return res.status(400).json({ message: "Invalid message ID" });
-    }
-
-    const messageObjId = new ObjectId(messageID);
-
-    // Find the message first
-    const message = await messages.findOne({ _id: messageObjId });
+    const result = await deleteMessageById({
+      messageId: messageID,
+      userId: senderID,
+      scope,
+    });
 
-    if (!message) {
-      console.log(`Message not found: ${messageID}`);
+    if (result.alreadyDeleted) {
       return res.status(200).json({
-        // Changed from 404 to 200
         message: "Message already deleted or not found",
         alreadyDeleted: true,
       });
     }
 
-    // Authorization check
-    if (!message.senderId.equals(new ObjectId(senderID))) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this message" });
-    }
-
-    // Store receiver info before deleting
-    const receiverId = message.receiverId || message.reciverId;
-
-    // Delete the message
-    const result = await messages.deleteOne({ _id: messageObjId });
-
-    if (result.deletedCount === 0) {
-      return res.status(200).json({
-        // Changed from 404 to 200
-        message: "Message already deleted",
-        alreadyDeleted: true,
-      });
-    }
-
-    console.log(`Message deleted, notifying receiver: ${receiverId}`);
-
-    // Emit socket event to receiver
-    const receiverSocketId = getReceiverSocketId(receiverId.toString());
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageDeleted", {
-        messageID: messageID,
-        senderID: senderID.toString(),
-      });
-    }
-
     return res.status(200).json({
       message: "Message deleted successfully",
       deleted: true,
+      scope: result.scope,
+      deletedAt: result.deletedAt,
     });
   } catch (err) {
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     console.error("Error deleting message:", err);
     return res.status(500).json({ message: "Internal server error" });
   }
@@ -320,56 +289,39 @@ export const deleteOneMessage = async (req, res) => {
 
 // Delete all messages between two users
 export const deleteAllMessage = async (req, res) => {
-  const { senderID, reciverID } = req.body;
+  const { senderID, reciverID, scope } = req.body;
 
   try {
-    const db = getDB();
-    const messages = db.collection("messages");
-
-    const senderObjId = new ObjectId(senderID);
-    const receiverObjId = new ObjectId(reciverID);
-
-    // Only sender can perform this delete action (security check)
     const userId = req.user?._id || req.expert?._id;
-    if (!userId || !senderObjId.equals(userId)) {
-      return res
-        .status(403)
-        .json({ message: "You are not authorized to delete these messages" });
-    }
 
-    // Find and delete all messages from sender to receiver and vice versa
-    // FIXED: Use receiverId instead of reciverId
-    const result = await messages.deleteMany({
-      $or: [
-        { senderId: senderObjId, receiverId: receiverObjId },
-        { senderId: receiverObjId, receiverId: senderObjId },
-      ],
+    const result = await deleteConversation({
+      userId,
+      senderId: senderID,
+      receiverId: reciverID,
+      scope,
     });
 
-    if (result.deletedCount === 0) {
+    if (result.alreadyDeleted) {
       return res.status(200).json({
         message: "No messages found to delete",
         alreadyDeleted: true,
-      });
-    }
-
-    // Emit to the receiver that all messages have been deleted
-    const receiverSocketId = getReceiverSocketId(reciverID);
-    if (receiverSocketId) {
-      console.log(
-        `Emitting delete all messages event to socket: ${receiverSocketId}`
-      );
-      io.to(receiverSocketId).emit("allMessagesDeleted", {
-        senderID: senderID,
-        reciverID: reciverID,
+        skippedCount: result.skippedCount || 0,
       });
     }
 
     return res.status(200).json({
-      message: "Messages deleted for everyone",
+      message:
+        result.scope === "me"
+          ? "Messages deleted for you"
+          : "Messages deleted for everyone",
+      scope: result.scope,
       deletedCount: result.deletedCount,
+      skippedCount: result.skippedCount || 0,
     });
   } catch (err) {
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     console.error("❌ Error deleting messages:", err.message);
     return res.status(500).json({ message: "Error deleting messages" });
   }
@@ -379,137 +331,224 @@ export const editMessage = async (req, res) => {
   const { messageID, newText } = req.body;
 
   try {
-    const db = getDB();
-    const messages = db.collection("messages");
-
-    // Validate messageID format
-    if (
-      !messageID ||
-      typeof messageID !== "string" ||
-      messageID.trim() === ""
-    ) {
+    const userId = req.user?._id || req.expert?._id;
+
+    const updatedMessage = await editMessageText({
+      messageId: messageID,
+      userId,
+      newText,
+    });
+
+    console.log("Message updated successfully:", updatedMessage);
+
+    // Respond with success and the updated message
+    return res.status(200).json({
+      success: true,
+      message: updatedMessage,
+    });
+  } catch (err) {
+    // Edit failures are reported in the body with a 200, as clients expect
+    if (err instanceof ApiError) {
       return res.status(200).json({
         success: false,
-        message: "Invalid message ID format",
+        message: err.message,
       });
     }
+    console.error("❌ Error updating message:", err.message);
+    return res.status(200).json({
+      success: false,
+      message: "Server error while processing message edit",
+    });
+  }
+};
 
-    let messageObjectId;
-    try {
-      messageObjectId = new ObjectId(String(messageID));
-    } catch (err) {
-      console.error("Invalid ObjectId format:", err);
-      return res.status(200).json({
-        success: false,
-        message: "Invalid message ID format",
-      });
+// Mark messages received from the counterpart as read, up to a message id
+export const markMessagesRead = async (req, res) => {
+  try {
+    const { id: counterpartId } = req.params;
+    const { messageId } = req.body;
+    const readerId = req.user?._id || req.expert?._id;
+
+    const result = await markConversationRead({
+      collectionName: "messages",
+      readerId,
+      counterpartId,
+      upToMessageId: messageId,
+    });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error("❌ Error in markMessagesRead:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    // Find the message by its ID first
-    const message = await messages.findOne({
-      _id: messageObjectId,
+// Add an emoji reaction to a message
+export const addReaction = async (req, res) => {
+  try {
+    const { messageId, emoji } = req.body;
+
+    const result = await setReaction({
+      collectionName: "messages",
+      messageId,
+      participantId: req.user?._id || req.expert?._id,
+      emoji,
+      action: "add",
     });
 
-    if (!message) {
-      console.log(`Message not found with ID: ${messageID}`);
-      return res.status(200).json({
-        success: false,
-        message: "Message not found or has been deleted",
-      });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error("❌ Error in addReaction:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    // Get the authenticated user ID from the middleware
-    const userId = req.user?._id || req.expert?._id;
-    if (!userId) {
-      return res.status(200).json({
-        success: false,
-        message: "Authentication required",
-      });
+// Remove the caller's emoji reaction from a message
+export const removeReaction = async (req, res) => {
+  try {
+    const { messageId, emoji } = req.body;
+
+    const result = await setReaction({
+      collectionName: "messages",
+      messageId,
+      participantId: req.user?._id || req.expert?._id,
+      emoji,
+      action: "remove",
+    });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error("❌ Error in removeReaction:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    // Check if the authenticated user is the sender of the message
-    // Convert userId to ObjectId for comparison if it's not already
-    const userObjectId =
-      typeof userId === "string" ? new ObjectId(userId) : userId;
+// Revision history of a message, for either participant
+export const getMessageRevisions = async (req, res) => {
+  try {
+    const history = await getRevisionHistory({
+      collectionName: "messages",
+      messageId: req.params.messageId,
+      participantId: req.user?._id || req.expert?._id,
+    });
 
-    if (!message.senderId.equals(userObjectId)) {
-      return res.status(200).json({
-        success: false,
-        message: "Only the sender can edit this message",
-      });
+    return res.status(200).json(history);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error("❌ Error in getMessageRevisions:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    // Update the message
-    const updateResult = await messages.updateOne(
-      { _id: messageObjectId },
-      {
-        $set: {
-          text: newText,
-          isEdited: true,
-          editedAt: new Date(),
-        },
-      }
+// Search the caller's user <-> expert conversations:
+// ?q=&counterpartId=&from=&to=&type=text|file|voice&page=&limit=
+export const searchConversations = async (req, res) => {
+  try {
+    const participantId = req.user?._id || req.expert?._id;
+    const counterpartField = req.user ? "expertId" : "userId";
+
+    // Only conversations whose session has opened are searchable
+    const allowedCounterpartIds = getReadableCounterpartIds(
+      req.session || [],
+      (session) => session[counterpartField]
     );
 
-    console.log("Update result:", updateResult);
+    const { q, counterpartId, from, to, type, page, limit } = req.query;
+    const results = await searchMessages({
+      collectionName: "messages",
+      participantId,
+      allowedCounterpartIds,
+      query: q,
+      counterpartId,
+      from,
+      to,
+      type,
+      page,
+      limit,
+    });
 
-    // Check if update was successful
-    if (updateResult.modifiedCount === 0) {
-      return res.status(200).json({
-        success: false,
-        message: "Message update failed, message may have been deleted",
-      });
+    return res.status(200).json(results);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error("❌ Error in searchConversations:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    // Get the updated message for emitting via socket
-    const updatedMessageDoc = await messages.findOne({ _id: messageObjectId });
-
-    // IMPORTANT: Format the updated message correctly to match client expectations
-    const updatedMessage = {
-      _id: updatedMessageDoc._id.toString(),
-      senderId: updatedMessageDoc.senderId.toString(),
-      receiverId: updatedMessageDoc.receiverId.toString(),
-      text: updatedMessageDoc.text,
-      time: updatedMessageDoc.createdAt,
-      createdAt: updatedMessageDoc.createdAt,
-      isEdited: true,
-      editedAt: updatedMessageDoc.editedAt,
-      // Include any other fields that might be in your message objects
-    };
-
-    console.log("Message updated successfully:", updatedMessage);
+// Download a transcript of the conversation with :id:
+// ?format=json|html|txt&timezone=<IANA name>&bundle=zip to include attachments
+export const exportConversation = async (req, res) => {
+  try {
+    const { id: counterpartId } = req.params;
+    const format = parseExportFormat(req.query.format);
+    const timezone = parseTimezone(req.query.timezone);
+    const bundle = req.query.bundle === "zip";
+
+    const exportData = await buildConversationExport({
+      collectionName: "messages",
+      participantId: req.user?._id || req.expert?._id,
+      counterpartId,
+      timezone,
+    });
 
-    // Emit socket event to both sender and receiver
-    // Get socket IDs for both users
-    const senderSocketId = getReceiverSocketId(
-      updatedMessageDoc.senderId.toString()
-    );
-    const receiverSocketId = getReceiverSocketId(
-      updatedMessageDoc.receiverId.toString()
-    );
+    const date = exportData.exportedAt.toISOString().slice(0, 10);
+    const baseName = `conversation-${counterpartId}-${date}`;
 
-    // Emit to sender
-    if (senderSocketId) {
-      io.to(senderSocketId).emit("messageEdited", updatedMessage);
-      console.log("Socket event emitted to sender");
+    if (bundle) {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${baseName}.zip"`
+      );
+      return await streamExportArchive(res, exportData, format, baseName);
     }
 
-    // Emit to receiver
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageEdited", updatedMessage);
-      console.log("Socket event emitted to receiver");
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}.${extension}"`
+    );
+    return res.status(200).send(renderTranscript(exportData, format));
+  } catch (error) {
+    console.error("❌ Error in exportConversation:", error.message);
+    // A streamed archive may already be under way
+    if (res.headersSent) return;
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    // Respond with success and the updated message
-    return res.status(200).json({
-      success: true,
-      message: updatedMessage,
-    });
-  } catch (err) {
-    console.error("❌ Error updating message:", err.message);
-    return res.status(200).json({
-      success: false,
-      message: "Server error while processing message edit",
+// Attachment storage the caller is using against their quota, by type and by
+// conversation (across both chats for experts)
+export const getStorageUsage = async (req, res) => {
+  try {
+    const report = await getStorageUsageReport({
+      participantId: req.user?._id || req.expert?._id,
+      role: getParticipantRole(req),
     });
+
+    return res.status(200).json(report);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("❌ Error in getStorageUsage:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
   }
 };
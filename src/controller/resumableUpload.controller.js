@@ -0,0 +1,273 @@
+import path from "path";
+import { ObjectId } from "mongodb";
+import { v4 as uuidv4 } from "uuid";
+import { ApiError } from "../lib/ApiError.js";
+import {
+  MAX_CHUNK_SIZE,
+  RECOMMENDED_CHUNK_SIZE,
+  TUS_VERSION,
+  claimCompletedUpload,
+  createResumableUpload,
+  getResumableUpload,
+  parseUploadMetadata,
+  removeResumableUpload,
+  writeUploadChunk,
+} from "../services/resumableUpload.service.js";
+import {
+  assertStorageQuota,
+  getParticipantRole,
+} from "../services/quota.service.js";
+import { buildReplySnapshot } from "../services/conversation.service.js";
+import {
+  MAX_FILE_SIZE,
+  isAllowedFileType,
+  uploadFile,
+} from "./file.controller.js";
+import {
+  MAX_FILE_SIZE as MAX_EXPERT_FILE_SIZE,
+  isAllowedFileType as isAllowedExpertFileType,
+  uploadFileExpert,
+} from "./expert.file.controller.js";
+import {
+  MAX_VOICE_SIZE,
+  isAllowedVoiceType,
+  uploadVoiceMessage,
+} from "./voice.controller.js";
+import {
+  MAX_VOICE_SIZE as MAX_EXPERT_VOICE_SIZE,
+  isAllowedVoiceType as isAllowedExpertVoiceType,
+  uploadVoiceMessage as uploadExpertVoiceMessage,
+} from "./expert.voiceController.js";
+
+// What each chat accepts as resumable uploads: the size limit (the one its
+// multer route enforces, so chunking is no way around it), the declared
+// types allowed, how the finished file is named (as the multer config of the
+// matching route names it) and the controller that turns it into a message
+const UPLOAD_TARGETS = {
+  messages: {
+    file: {
+      maxSize: MAX_FILE_SIZE,
+      isAllowedType: isAllowedFileType,
+      fileName: (ext) => `${uuidv4()}${ext}`,
+      complete: uploadFile,
+    },
+    voice: {
+      maxSize: MAX_VOICE_SIZE,
+      isAllowedType: isAllowedVoiceType,
+      fileName: (ext) => `voice-${uuidv4()}${ext || ".mp3"}`,
+      complete: uploadVoiceMessage,
+    },
+  },
+  expertMessages: {
+    file: {
+      maxSize: MAX_EXPERT_FILE_SIZE,
+      isAllowedType: isAllowedExpertFileType,
+      fileName: (ext) => `expert_${Date.now()}_${uuidv4()}${ext}`,
+      complete: uploadFileExpert,
+    },
+    voice: {
+      maxSize: MAX_EXPERT_VOICE_SIZE,
+      isAllowedType: isAllowedExpertVoiceType,
+      fileName: (ext) => `expert-voice-${uuidv4()}${ext || ".mp3"}`,
+      complete: uploadExpertVoiceMessage,
+    },
+  },
+};
+
+const getParticipantId = (req) => (req.user || req.expert)?._id;
+
+const setUploadHeaders = (res, upload) => {
+  res.setHeader("Tus-Resumable", TUS_VERSION);
+  res.setHeader("Upload-Offset", upload.offset);
+  res.setHeader("Upload-Length", upload.size);
+  res.setHeader("Upload-Expires", upload.expiresAt.toUTCString());
+  res.setHeader("Cache-Control", "no-store");
+};
+
+const sendError = (res, error, handlerName) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`❌ Error in ${handlerName}:`, error.message);
+  res.status(500).json({ message: "Internal Server Error" });
+};
+
+// Handlers for one chat collection; routes are /:id (the receiver) for
+// creating an upload and /:id/:uploadId for the rest
+const resumableUploadHandlers = (collectionName) => {
+  const targets = UPLOAD_TARGETS[collectionName];
+
+  const loadUpload = (req) =>
+    getResumableUpload({
+      uploadId: req.params.uploadId,
+      ownerId: getParticipantId(req),
+      collectionName,
+      receiverId: req.params.id,
+    });
+
+  // Create an upload from a JSON body ({ kind, fileName, mimeType, size,
+  // duration?, replyToId? }) or tus' Upload-Length / Upload-Metadata
+  // (filename, filetype, kind, duration, replyToId)
+  const init = async (req, res) => {
+    try {
+      const { id: receiverId } = req.params;
+      if (!receiverId || !ObjectId.isValid(receiverId)) {
+        return res.status(400).json({ message: "Invalid receiver ID" });
+      }
+
+      const body = req.body || {};
+      const metadata = parseUploadMetadata(req.get("Upload-Metadata"));
+      const kind = body.kind || metadata.kind || "file";
+      const target = targets[kind];
+      if (!target) {
+        return res.status(400).json({ message: "Invalid upload kind" });
+      }
+
+      const details = {
+        originalName: body.fileName ?? metadata.filename,
+        mimeType: body.mimeType ?? metadata.filetype,
+        size: body.size ?? req.get("Upload-Length"),
+        duration: body.duration ?? metadata.duration,
+        replyToId: body.replyToId ?? metadata.replyToId,
+      };
+
+      if (!details.mimeType || !target.isAllowedType(details.mimeType)) {
+        return res.status(415).json({
+          message: `Invalid file type: ${details.mimeType || "missing"}`,
+        });
+      }
+
+      // A reply must quote a message of this conversation; checked again
+      // on completion, when the snapshot is taken
+      await buildReplySnapshot({
+        collectionName,
+        replyToId: details.replyToId,
+        senderId: getParticipantId(req),
+        receiverId,
+      });
+
+      // Refuse before any bytes arrive when the file could not fit in the
+      // quota; completion checks again through the upload controller
+      await assertStorageQuota({
+        participantId: getParticipantId(req),
+        role: getParticipantRole(req),
+        size: details.size,
+      });
+
+      const upload = await createResumableUpload({
+        ownerId: getParticipantId(req),
+        target: { collectionName, kind, receiverId },
+        details,
+        fileName: target.fileName(path.extname(String(details.originalName))),
+        maxSize: target.maxSize,
+      });
+
+      setUploadHeaders(res, upload);
+      res.setHeader("Location", `${req.baseUrl}${req.path}/${upload._id}`);
+      res.status(201).json({
+        uploadId: upload._id,
+        kind: upload.kind,
+        size: upload.size,
+        offset: upload.offset,
+        chunkSize: RECOMMENDED_CHUNK_SIZE,
+        maxChunkSize: MAX_CHUNK_SIZE,
+        expiresAt: upload.expiresAt,
+      });
+    } catch (error) {
+      sendError(res, error, "initUpload");
+    }
+  };
+
+  // tus HEAD: where to resume from
+  const status = async (req, res) => {
+    try {
+      const upload = await loadUpload(req);
+      setUploadHeaders(res, upload);
+      res.status(200).end();
+    } catch (error) {
+      sendError(res, error, "getUploadStatus");
+    }
+  };
+
+  // PUT or PATCH one chunk, with Upload-Offset and Upload-Checksum headers
+  const chunk = async (req, res) => {
+    try {
+      const upload = await loadUpload(req);
+      const offset = await writeUploadChunk({
+        upload,
+        stream: req,
+        offset: req.get("Upload-Offset"),
+        checksum: req.get("Upload-Checksum"),
+        contentLength: req.get("Content-Length"),
+      });
+
+      setUploadHeaders(res, { ...upload, offset });
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, "uploadChunk");
+    }
+  };
+
+  // Hand the assembled file to the chat's normal upload controller, which
+  // verifies, stores and announces it and sends the response
+  const complete = async (req, res) => {
+    let upload;
+    try {
+      upload = await loadUpload(req);
+      req.file = await claimCompletedUpload(upload);
+    } catch (error) {
+      return sendError(res, error, "completeUpload");
+    }
+
+    req.body = {
+      ...(req.body || {}),
+      replyToId: upload.replyToId ?? undefined,
+      duration: upload.duration ?? undefined,
+    };
+
+    try {
+      await targets[upload.kind].complete(req, res);
+    } finally {
+      await removeResumableUpload(upload).catch((error) => {
+        console.error("❌ Failed to remove resumable upload:", error.message);
+      });
+    }
+  };
+
+  // tus termination
+  const cancel = async (req, res) => {
+    try {
+      const upload = await loadUpload(req);
+      if (upload.status !== "uploading") {
+        return res
+          .status(409)
+          .json({ message: "Upload is already being completed" });
+      }
+
+      await removeResumableUpload(upload);
+      res.setHeader("Tus-Resumable", TUS_VERSION);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, "cancelUpload");
+    }
+  };
+
+  return { init, status, chunk, complete, cancel };
+};
+
+const userUploads = resumableUploadHandlers("messages");
+const expertUploads = resumableUploadHandlers("expertMessages");
+
+// User <-> expert chat
+export const initUpload = userUploads.init;
+export const getUploadStatus = userUploads.status;
+export const uploadChunk = userUploads.chunk;
+export const completeUpload = userUploads.complete;
+export const cancelUpload = userUploads.cancel;
+
+// Expert <-> expert chat
+export const initExpertUpload = expertUploads.init;
+export const getExpertUploadStatus = expertUploads.status;
+export const uploadExpertChunk = expertUploads.chunk;
+export const completeExpertUpload = expertUploads.complete;
+export const cancelExpertUpload = expertUploads.cancel;
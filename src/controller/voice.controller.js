@@ -1,23 +1,45 @@
 import { getDB } from "../lib/db.js";
 import { ObjectId } from "mongodb";
 import { getReceiverSocketId, io } from "../lib/socket.js";
+import { emitForDelivery, formatReceipt } from "../services/receipt.service.js";
+import {
+  buildReplySnapshot,
+  formatReplyTo,
+} from "../services/conversation.service.js";
+import { ApiError } from "../lib/ApiError.js";
+import { normalizeMimeType, verifyFileType } from "../lib/fileType.js";
+import { deleteMessageById } from "../services/message.service.js";
+import {
+  createAttachmentMessage,
+  formatAttachmentFields,
+  getAttachmentForParticipant,
+  getScanStatus,
+  listConversationAttachments
+} from "../services/attachment.service.js";
+import { queueAttachmentScan } from "../services/scan.service.js";
+import { sendStoredFile } from "../lib/download.js";
+import {
+  releaseBlob,
+  storeAttachmentContent
+} from "../services/blob.service.js";
+import {
+  getParticipantRole,
+  releaseStorageReservation,
+  reserveStorage
+} from "../services/quota.service.js";
+import {
+  discardUpload,
+  getStorageKey,
+  uploadTempDestination,
+} from "../lib/storage/index.js";
 import multer from "multer";
 import path from "path";
-import fs from "fs";
 import { v4 as uuidv4 } from "uuid";
 
-// Configure storage for voice message uploads
+// Uploads go to a temp directory and are moved into storage by
+// uploadVoiceMessage
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const voiceDir = path.join(process.cwd(), "uploads", "voice");
-    
-    // Create uploads/voice directory if it doesn't exist
-    if (!fs.existsSync(voiceDir)) {
-      fs.mkdirSync(voiceDir, { recursive: true });
-    }
-    
-    cb(null, voiceDir);
-  },
+  destination: uploadTempDestination,
   filename: (req, file, cb) => {
     // Generate unique filename with original extension
     const fileExt = path.extname(file.originalname) || '.mp3';
@@ -26,25 +48,32 @@ const storage = multer.diskStorage({
   }
 });
 
+// Audio types accepted as voice messages, checked against the declared type
+// and, once uploaded, against the content (aliases such as audio/x-m4a count
+// as their type)
+const ALLOWED_VOICE_TYPES = [
+  'audio/mpeg',           // .mp3
+  'audio/mp4',            // .m4a
+  'audio/webm',           // .webm
+  'audio/ogg',            // .ogg
+  'audio/wav',            // .wav
+  'audio/x-wav',
+  'audio/aac',            // .aac
+  'audio/x-m4a',
+  'audio/basic',
+  'audio/vnd.wave'
+];
+
+// Whether a declared type may be uploaded (also used by resumable uploads)
+export const isAllowedVoiceType = (mimeType) =>
+  ALLOWED_VOICE_TYPES.map(normalizeMimeType).includes(
+    normalizeMimeType(mimeType)
+  );
+
 // Enhanced file filter to validate voice uploads
 const fileFilter = (req, file, cb) => {
-  // Extended list of allowed audio file types
-  const allowedTypes = [
-    'audio/mpeg',           // .mp3
-    'audio/mp4',            // .m4a
-    'audio/webm',           // .webm
-    'audio/ogg',            // .ogg
-    'audio/wav',            // .wav
-    'audio/x-wav',
-    'audio/aac',            // .aac
-    'audio/x-m4a',
-    'audio/basic',
-    'audio/vnd.wave',
-    'audio/*'               // Allow any audio/* MIME type as fallback
-  ];
-  
   // Check MIME type
-  if (allowedTypes.includes(file.mimetype) || file.mimetype.startsWith('audio/')) {
+  if (isAllowedVoiceType(file.mimetype)) {
     cb(null, true);
   } else {
     // Log the rejected file type for debugging
@@ -53,11 +82,14 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Largest voice message accepted, by multer and by resumable uploads
+export const MAX_VOICE_SIZE = 10 * 1024 * 1024;
+
 // Configure multer with size limits (10MB for voice messages - increased from 5MB)
 const upload = multer({
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit for voice messages
+  limits: { fileSize: MAX_VOICE_SIZE } // 10MB limit for voice messages
 });
 
 // Helper to get voice upload middleware
@@ -113,23 +145,11 @@ const safeObjectId = (id) => {
   return null;
 };
 
-// Helper function to ensure directory exists
-const ensureDirectoryExists = (dirPath) => {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-    console.log(`Created directory: ${dirPath}`);
-  }
-};
-
 // Upload a voice message in a chat
 export const uploadVoiceMessage = async (req, res) => {
+  let reservation;
+  let content;
   try {
-    // Check if uploads directory exists and create if not
-    const uploadsDir = path.join(process.cwd(), "uploads");
-    const voiceDir = path.join(uploadsDir, "voice");
-    ensureDirectoryExists(uploadsDir);
-    ensureDirectoryExists(voiceDir);
-    
     // Voice file should be available on req.file after multer middleware
     if (!req.file) {
       return res.status(400).json({ 
@@ -142,9 +162,7 @@ export const uploadVoiceMessage = async (req, res) => {
     const { id: receiverId } = req.params;
     if (!receiverId) {
       // Clean up file if parameters are invalid
-      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      await discardUpload(req.file);
       return res.status(400).json({ 
         error: true, 
         message: "Receiver ID is required"
@@ -155,9 +173,7 @@ export const uploadVoiceMessage = async (req, res) => {
     const senderId = req.user ? req.user._id : (req.expert ? req.expert._id : null);
     if (!senderId) {
       // Clean up file if user is not authenticated
-      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      await discardUpload(req.file);
       return res.status(401).json({ 
         error: true, 
         message: "User not authenticated"
@@ -172,116 +188,107 @@ export const uploadVoiceMessage = async (req, res) => {
 
     if (!senderIdObj || !receiverIdObj) {
       // Remove uploaded file if validation fails
-      if (req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      await discardUpload(req.file);
       return res.status(400).json({ 
         error: true, 
         message: "Invalid sender or receiver ID"
       });
     }
 
-    const db = getDB();
-    const voiceCollection = db.collection("messages");
-    const messageCollection = db.collection("messages");
-
-    // Create voice message document
-    const voiceDoc = {
-      fileName: req.file.filename,
-      mimeType: req.file.mimetype,
-      size: req.file.size,
-      path: req.file.path,
-      duration: duration ? parseFloat(duration) : null,
-      uploadDate: new Date(),
+    const replyTo = await buildReplySnapshot({
+      collectionName: "messages",
+      replyToId: req.body.replyToId,
       senderId: senderIdObj,
       receiverId: receiverIdObj
-    };
+    });
 
-    // Save voice metadata to database
-    const voiceResult = await voiceCollection.insertOne(voiceDoc);
-    
-    if (!voiceResult.acknowledged || !voiceResult.insertedId) {
-      // Remove uploaded file if database insertion fails
-      if (req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(500).json({ 
-        error: true, 
-        message: "Failed to save voice message metadata"
-      });
-    }
+    // Hold its size against the sender's quota until the attachment is
+    // saved; refused when it would take them over
+    reservation = await reserveStorage({
+      participantId: senderIdObj,
+      role: getParticipantRole(req),
+      size: req.file.size
+    });
 
-    // Create a corresponding message for this voice message
-    const newMessage = {
-      senderId: voiceDoc.senderId,
-      receiverId: voiceDoc.receiverId,
-      text: "Voice message",
-      voiceId: voiceResult.insertedId,
-      isVoice: true,
-      voiceDuration: voiceDoc.duration,
-      voiceSize: req.file.size,
-      createdAt: new Date()
-    };
+    // The declared type is only the client's word; check the content
+    const mimeType = await verifyFileType(req.file, ALLOWED_VOICE_TYPES);
 
-    // Save message to database
-    const messageResult = await messageCollection.insertOne(newMessage);
-    
-    if (!messageResult.acknowledged || !messageResult.insertedId) {
-      // Remove uploaded file and voice document if message insertion fails
-      if (req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      await voiceCollection.deleteOne({ _id: voiceResult.insertedId });
-      return res.status(500).json({ 
-        error: true, 
-        message: "Failed to save message data"
-      });
-    }
+    // Stored once per distinct content, like files
+    content = await storeAttachmentContent(req.file, mimeType);
+
+    // Save the attachment and the message that carries it
+    const { attachment, message } = await createAttachmentMessage({
+      collectionName: "messages",
+      kind: "voice",
+      file: req.file,
+      mimeType,
+      storageKey: content.storageKey,
+      contentHash: content.contentHash,
+      senderId: senderIdObj,
+      receiverId: receiverIdObj,
+      duration: duration ? parseFloat(duration) : null,
+      replyTo
+    });
 
     // Format the response
     const responseMessage = {
-      _id: messageResult.insertedId,
-      senderId: newMessage.senderId.toString(),
-      receiverId: newMessage.receiverId.toString(),
-      text: newMessage.text,
-      voiceId: newMessage.voiceId.toString(),
-      isVoice: true,
-      voiceDuration: newMessage.voiceDuration,
-      voiceSize: newMessage.voiceSize,
-      time: newMessage.createdAt
+      _id: message._id,
+      senderId: message.senderId.toString(),
+      receiverId: message.receiverId.toString(),
+      text: message.text,
+      ...formatAttachmentFields(message),
+      time: message.createdAt,
+      replyTo: formatReplyTo(replyTo),
+      ...formatReceipt(message)
     };
 
-    // Notify receiver via socket.io
+    // Notify receiver via socket.io; their ack marks it delivered
     const receiverSocketId = getReceiverSocketId(receiverId);
     if (receiverSocketId) {
       console.log(`Sending voice message notification to socket: ${receiverSocketId}`);
-      io.to(receiverSocketId).emit("newMessage", responseMessage);
+      emitForDelivery({
+        to: receiverSocketId,
+        eventName: "newMessage",
+        message: responseMessage,
+        collectionName: "messages"
+      });
     }
 
+    // Scan in the background; both sides hear the result through
+    // attachmentScanned
+    queueAttachmentScan(attachment);
+
     // Send success response
     res.status(201).json({
       error: false,
       message: "Voice message uploaded successfully",
       voice: {
-        id: voiceResult.insertedId,
-        duration: voiceDoc.duration,
-        size: req.file.size
+        id: attachment._id,
+        duration: attachment.duration,
+        size: attachment.size
       },
-      messageId: messageResult.insertedId,
+      messageId: message._id,
       ...responseMessage
     });
   } catch (error) {
     console.error("❌ Error in uploadVoiceMessage:", error.message, error.stack);
     
     // Clean up file if it was uploaded but there was a database error
-    if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
+    await discardUpload(req.file);
+    await releaseBlob(content?.contentHash);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
     res.status(500).json({ 
       error: true, 
       message: "Internal Server Error: " + error.message
     });
+  } finally {
+    await releaseStorageReservation(reservation);
   }
 };
 
@@ -297,18 +304,6 @@ export const getVoiceInfo = async (req, res) => {
       });
     }
     
-    const db = getDB();
-    const voiceCollection = db.collection("messages");
-    
-    const voiceDoc = await voiceCollection.findOne({ _id: new ObjectId(voiceId) });
-    
-    if (!voiceDoc) {
-      return res.status(404).json({ 
-        error: true, 
-        message: "Voice message not found"
-      });
-    }
-    
     // Check authorization
     const userId = req.user ? req.user._id : (req.expert ? req.expert._id : null);
     if (!userId) {
@@ -327,13 +322,14 @@ export const getVoiceInfo = async (req, res) => {
       });
     }
     
-    // Only allow sender or receiver to access the voice message
-    if (!voiceDoc.senderId.equals(userIdObj) && !voiceDoc.receiverId.equals(userIdObj)) {
-      return res.status(403).json({ 
-        error: true, 
-        message: "Not authorized to access this voice message"
-      });
-    }
+    // Only the sender or receiver can access the voice message
+    const voiceDoc = await getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: voiceId,
+      participantId: userIdObj,
+      kind: "voice",
+      downloadable: false
+    });
     
     res.status(200).json({
       error: false,
@@ -341,11 +337,19 @@ export const getVoiceInfo = async (req, res) => {
       mimeType: voiceDoc.mimeType,
       size: voiceDoc.size,
       duration: voiceDoc.duration,
-      uploadDate: voiceDoc.uploadDate,
+      messageId: voiceDoc.messageId,
+      uploadDate: voiceDoc.createdAt,
       senderId: voiceDoc.senderId.toString(),
-      receiverId: voiceDoc.receiverId.toString()
+      receiverId: voiceDoc.receiverId.toString(),
+      scanStatus: getScanStatus(voiceDoc)
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
     console.error("❌ Error in getVoiceInfo:", error.message, error.stack);
     res.status(500).json({ 
       error: true, 
@@ -365,17 +369,6 @@ export const streamVoiceMessage = async (req, res) => {
       });
     }
     
-    const db = getDB();
-    const voiceCollection = db.collection("messages");
-    const voiceDoc = await voiceCollection.findOne({ _id: new ObjectId(voiceId) });
-    
-    if (!voiceDoc) {
-      return res.status(404).json({
-        error: true,
-        message: "Voice message not found",
-      });
-    }
-    
     const userId = req.user?._id || req.expert?._id;
     if (!userId) {
       return res.status(401).json({
@@ -392,32 +385,16 @@ export const streamVoiceMessage = async (req, res) => {
       });
     }
     
-    if (!voiceDoc.senderId.equals(userIdObj) && !voiceDoc.receiverId.equals(userIdObj)) {
-      return res.status(403).json({
-        error: true,
-        message: "Not authorized to access this voice message",
-      });
-    }
-    
-    if (!fs.existsSync(voiceDoc.path)) {
-      return res.status(404).json({
-        error: true,
-        message: "Voice file not found on server",
-      });
-    }
-    
-    const stat = fs.statSync(voiceDoc.path);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    // Log file details for debugging
-    console.log("Voice file details:", {
-      path: voiceDoc.path,
-      size: fileSize,
-      storedMimeType: voiceDoc.mimeType,
-      extension: path.extname(voiceDoc.path).toLowerCase()
+    // Only the sender or receiver can access the voice message
+    const voiceDoc = await getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: voiceId,
+      participantId: userIdObj,
+      kind: "voice"
     });
     
+    const storageKey = getStorageKey(voiceDoc);
+    
     // Improved MIME type handling
     const supportedAudioTypes = {
       '.mp3': 'audio/mpeg',
@@ -428,8 +405,8 @@ export const streamVoiceMessage = async (req, res) => {
       '.webm': 'audio/webm'
     };
     
-    // Extract file extension
-    const fileExtension = path.extname(voiceDoc.path).toLowerCase();
+    // Extract file extension (deduplicated content is stored without one)
+    const fileExtension = path.extname(voiceDoc.fileName || storageKey || '').toLowerCase();
     
     // First priority: Use the explicit mapping based on extension
     // Second priority: Use the stored MIME type
@@ -440,102 +417,23 @@ export const streamVoiceMessage = async (req, res) => {
     
     console.log(`Using MIME type: ${mimeType} for file with extension: ${fileExtension}`);
     
-    // Enhanced headers for better browser compatibility
-    const headers = {
-      'Content-Type': mimeType,
-      'Accept-Ranges': 'bytes',
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Range',
-      'Access-Control-Expose-Headers': 'Content-Range, Content-Length, Accept-Ranges',
-      'X-Content-Type-Options': 'nosniff',
-      'Content-Disposition': `inline; filename="voice-${voiceId}${fileExtension}"`
-    };
-    
-    // Improved range request handling
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      let start = parseInt(parts[0], 10);
-      
-      // Handle invalid start position
-      if (isNaN(start)) {
-        start = 0;
-      }
-      
-      // Ensure start is within bounds
-      start = Math.max(0, Math.min(start, fileSize - 1));
-      
-      // End position calculation with safety checks
-      let end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      if (isNaN(end) || end >= fileSize) {
-        end = fileSize - 1;
-      }
-      
-      // Ensure end is after start
-      end = Math.max(start, end);
-      
-      const chunkSize = end - start + 1;
-      
-      console.log(`Streaming range: bytes ${start}-${end}/${fileSize}`);
-      
-      // Set specific headers for range request
-      headers['Content-Range'] = `bytes ${start}-${end}/${fileSize}`;
-      headers['Content-Length'] = chunkSize;
-      
-      res.writeHead(206, headers);
-      
-      // Use high watermark for better streaming performance
-      const file = fs.createReadStream(voiceDoc.path, { 
-        start, 
-        end,
-        highWaterMark: 64 * 1024 // 64KB chunks for better performance
-      });
-      
-      // Improved error handling
-      file.on('error', (err) => {
-        console.error("Stream error:", err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: true,
-            message: "Error streaming file: " + err.message
-          });
-        } else {
-          res.end();
-        }
-      });
-      
-      file.pipe(res);
-    } else {
-      // Full file request
-      headers['Content-Length'] = fileSize;
-      
-      console.log(`Streaming full file: ${fileSize} bytes`);
-      
-      res.writeHead(200, headers);
-      
-      // Use high watermark for better streaming performance
-      const stream = fs.createReadStream(voiceDoc.path, {
-        highWaterMark: 64 * 1024 // 64KB chunks for better performance
-      });
-      
-      // Improved error handling
-      stream.on('error', (err) => {
-        console.error("Stream error:", err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: true,
-            message: "Error streaming file: " + err.message
-          });
-        } else {
-          res.end();
-        }
+    // Byte ranges for seeking, and ETag / Last-Modified so players can
+    // revalidate instead of fetching the whole file again
+    await sendStoredFile(req, res, {
+      storageKey,
+      contentType: mimeType,
+      fileName: `voice-${voiceId}${fileExtension}`,
+      disposition: 'inline',
+      contentHash: voiceDoc.contentHash,
+      notFoundMessage: 'Voice file not found on server'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
       });
-      
-      stream.pipe(res);
     }
-  } catch (error) {
     console.error("❌ Error in streamVoiceMessage:", error);
     res.status(500).json({
       error: true,
@@ -556,18 +454,6 @@ export const downloadVoiceMessage = async (req, res) => {
       });
     }
     
-    const db = getDB();
-    const voiceCollection = db.collection("messages");
-    
-    const voiceDoc = await voiceCollection.findOne({ _id: new ObjectId(voiceId) });
-    
-    if (!voiceDoc) {
-      return res.status(404).json({ 
-        error: true, 
-        message: "Voice message not found"
-      });
-    }
-    
     // Check authorization
     const userId = req.user ? req.user._id : (req.expert ? req.expert._id : null);
     if (!userId) {
@@ -586,30 +472,32 @@ export const downloadVoiceMessage = async (req, res) => {
       });
     }
     
-    // Only allow sender or receiver to download the voice message
-    if (!voiceDoc.senderId.equals(userIdObj) && !voiceDoc.receiverId.equals(userIdObj)) {
-      return res.status(403).json({ 
-        error: true, 
-        message: "Not authorized to download this voice message"
-      });
-    }
-    
-    // Check if file exists on disk
-    if (!fs.existsSync(voiceDoc.path)) {
-      return res.status(404).json({ 
-        error: true, 
-        message: "Voice message file not found on server"
-      });
-    }
+    // Only the sender or receiver can access the voice message
+    const voiceDoc = await getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: voiceId,
+      participantId: userIdObj,
+      kind: "voice"
+    });
     
-    // Set appropriate headers for download
-    res.setHeader('Content-Disposition', `attachment; filename=voice-message-${voiceId}.${path.extname(voiceDoc.path).replace('.', '')}`);
-    res.setHeader('Content-Type', voiceDoc.mimeType);
+    const storageKey = getStorageKey(voiceDoc);
+    const fileExtension = path.extname(voiceDoc.fileName || storageKey || '');
     
-    // Stream the file to the response
-    const fileStream = fs.createReadStream(voiceDoc.path);
-    fileStream.pipe(res);
+    // Sent as a download, with ranges and conditional requests supported
+    await sendStoredFile(req, res, {
+      storageKey,
+      contentType: voiceDoc.mimeType,
+      fileName: `voice-message-${voiceId}${fileExtension}`,
+      contentHash: voiceDoc.contentHash,
+      notFoundMessage: 'Voice message file not found on server'
+    });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
     console.error("❌ Error in downloadVoiceMessage:", error.message, error.stack);
     res.status(500).json({ 
       error: true, 
@@ -618,10 +506,11 @@ export const downloadVoiceMessage = async (req, res) => {
   }
 };
 
-// Delete a voice message
+// Delete a voice message, for the caller only (scope "me") or, for its
+// sender, for everyone (the default)
 export const deleteVoiceMessage = async (req, res) => {
   try {
-    const { messageId, voiceId } = req.body;
+    const { messageId, voiceId, scope } = req.body;
     
     if (!voiceId || !ObjectId.isValid(voiceId)) {
       return res.status(400).json({ 
@@ -637,22 +526,6 @@ export const deleteVoiceMessage = async (req, res) => {
       });
     }
     
-    const db = getDB();
-    const voiceCollection = db.collection("messages");
-    const messageCollection = db.collection("messages");
-    
-    // Find the voice message first
-    const voiceDoc = await voiceCollection.findOne({ _id: new ObjectId(voiceId) });
-    
-    if (!voiceDoc) {
-      return res.status(200).json({
-        error: false,
-        message: "Voice message already deleted or not found",
-        alreadyDeleted: true
-      });
-    }
-    
-    // Authorization check - only sender can delete
     const senderId = req.user ? req.user._id : (req.expert ? req.expert._id : null);
     if (!senderId) {
       return res.status(401).json({ 
@@ -661,26 +534,13 @@ export const deleteVoiceMessage = async (req, res) => {
       });
     }
     
-    const senderIdObj = safeObjectId(senderId);
-    
-    if (!senderIdObj) {
-      return res.status(400).json({ 
-        error: true, 
-        message: "Invalid user ID"
-      });
-    }
-    
-    if (!voiceDoc.senderId.equals(senderIdObj)) {
-      return res.status(403).json({ 
-        error: true, 
-        message: "Not authorized to delete this voice message"
-      });
-    }
+    const db = getDB();
+    const messageCollection = db.collection("messages");
     
-    // Find the message
+    // The message must be the one carrying this voice note
     const message = await messageCollection.findOne({ 
       _id: new ObjectId(messageId),
-      voiceId: new ObjectId(voiceId)
+      attachmentId: new ObjectId(voiceId)
     });
     
     if (!message) {
@@ -691,39 +551,36 @@ export const deleteVoiceMessage = async (req, res) => {
       });
     }
     
-    // Delete voice file from disk
-    if (fs.existsSync(voiceDoc.path)) {
-      try {
-        fs.unlinkSync(voiceDoc.path);
-      } catch (err) {
-        console.error("Failed to delete voice file:", err.message);
-        // Continue with database deletion even if file delete fails
-      }
-    }
-    
-    // Delete voice document from database
-    await voiceCollection.deleteOne({ _id: new ObjectId(voiceId) });
-    
-    // Delete the corresponding message
-    await messageCollection.deleteOne({ _id: new ObjectId(messageId) });
+    // Deleting for everyone releases the voice note's attachment along with
+    // the message
+    const result = await deleteMessageById({
+      messageId,
+      userId: senderId,
+      scope
+    });
     
-    // Notify receiver
-    const receiverSocketId = getReceiverSocketId(voiceDoc.receiverId.toString());
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageDeleted", {
-        messageID: messageId,
-        senderID: senderIdObj.toString(),
-        isVoice: true,
-        voiceId: voiceId
+    if (result.alreadyDeleted) {
+      return res.status(200).json({
+        error: false,
+        message: "Voice message already deleted or not found",
+        alreadyDeleted: true
       });
     }
     
     return res.status(200).json({
       error: false,
       message: "Voice message deleted successfully",
-      deleted: true
+      deleted: true,
+      scope: result.scope,
+      deletedAt: result.deletedAt
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
     console.error("❌ Error in deleteVoiceMessage:", error.message, error.stack);
     res.status(500).json({ 
       error: true, 
@@ -763,24 +620,22 @@ export const getConversationVoiceMessages = async (req, res) => {
       });
     }
     
-    const db = getDB();
-    const voiceCollection = db.collection("messages");
-    
     // Find all voice messages exchanged between these two users
-    const voiceMessages = await voiceCollection.find({
-      $or: [
-        { senderId: userIdObj, receiverId: otherIdObj },
-        { senderId: otherIdObj, receiverId: userIdObj }
-      ]
-    }).sort({ uploadDate: -1 }).toArray();
+    const voiceMessages = await listConversationAttachments({
+      collectionName: "messages",
+      participantId: userIdObj,
+      counterpartId: otherIdObj,
+      kind: "voice"
+    });
     
     // Format the response
     const formattedVoiceMessages = voiceMessages.map(voice => ({
       id: voice._id.toString(),
+      messageId: voice.messageId.toString(),
       duration: voice.duration,
       mimeType: voice.mimeType,
       size: voice.size,
-      uploadDate: voice.uploadDate,
+      uploadDate: voice.createdAt,
       senderId: voice.senderId.toString(),
       senderIsCurrentUser: voice.senderId.equals(userIdObj)
     }));
@@ -7,7 +7,12 @@ import cors from "cors";
 
 import messageRoute from "./routes/message.route.js";
 import expertMessageRoute from "./routes/Expert.message.route.js";
-import { app, server } from "./lib/socket.js";
+import { app, server, startSessionWindowNotifier } from "./lib/socket.js";
+import {
+  checkScanner,
+  startAttachmentScanRetry,
+} from "./services/scan.service.js";
+import { startResumableUploadCleanup } from "./services/resumableUpload.service.js";
 
 dotenv.config();
 
@@ -34,6 +39,19 @@ app.use(
       }
     },
     credentials: true, // Allow cookies if using authentication
+    // Resumable upload state and download metadata, readable by browser
+    // clients
+    exposedHeaders: [
+      "Location",
+      "Tus-Resumable",
+      "Upload-Offset",
+      "Upload-Length",
+      "Upload-Expires",
+      "Content-Disposition",
+      "Content-Range",
+      "Accept-Ranges",
+      "ETag",
+    ],
   })
 );
 
@@ -73,4 +91,8 @@ app.get("/set-session-cookie/:id", (req, res) => {
 server.listen(PORT, async () => {
   console.log(`server is running on ${PORT}`);
   await connectDB();
+  startSessionWindowNotifier();
+  startAttachmentScanRetry();
+  await checkScanner();
+  startResumableUploadCleanup();
 });
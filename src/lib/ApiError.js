@@ -0,0 +1,9 @@
+// Error with an HTTP status code attached, thrown by middleware and helpers
+// and translated into a JSON response by the caller
+export class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+  }
+}
@@ -1,6 +1,41 @@
 import { MongoClient } from "mongodb";
 
 let db;
+
+// Indexes the chat queries rely on; createIndex is a no-op when they exist.
+// Conversation history is read per (senderId, receiverId) pair, newest first,
+// with _id as the tie-breaker for cursor pagination. Message search uses the
+// text index over message text and file names
+const ensureIndexes = async () => {
+  const conversationIndex = {
+    senderId: 1,
+    receiverId: 1,
+    createdAt: -1,
+    _id: -1,
+  };
+  const searchIndex = { text: "text", originalName: "text" };
+
+  await Promise.all([
+    ...["messages", "expertMessages"].flatMap((collectionName) => [
+      db
+        .collection(collectionName)
+        .createIndex(conversationIndex, { name: "conversation_createdAt" }),
+      db
+        .collection(collectionName)
+        .createIndex(searchIndex, { name: "message_text_search" }),
+    ]),
+    // Storage usage is summed per sender over stored attachments
+    db
+      .collection("attachments")
+      .createIndex({ senderId: 1, status: 1 }, { name: "sender_status" }),
+    // Quarantining deduplicated content finds every attachment sharing it
+    db
+      .collection("attachments")
+      .createIndex({ storageKey: 1 }, { name: "storage_key" }),
+  ]);
+  console.log("mongodb indexes are ready");
+};
+
 export const connectDB = async () => {
   const client = new MongoClient(process.env.MONGODB_URI);
   try {
@@ -9,8 +44,20 @@ export const connectDB = async () => {
     db = client.db("AMD");
   } catch (error) {
     console.log("error in connecting database", error);
+    return;
+  }
+
+  try {
+    await ensureIndexes();
+  } catch (error) {
+    console.log("error in creating indexes", error);
   }
 };
+// Use an already connected database instead (tests pass an in-memory one)
+export const setDB = (database) => {
+  db = database;
+};
+
 export const getDB = () => {
   if (!db) throw new Error("DB not initialized. Call connectDB() first.");
   return db;
@@ -0,0 +1,208 @@
+// One responder for every attachment download, stream and preview. It serves
+// a stored object with an ETag and Last-Modified, answers conditional
+// requests (If-None-Match / If-Modified-Since) with 304, and single byte
+// ranges (Range, honoured only while If-Range still matches) with 206 or
+// 416. Stored objects never change in place, so validators stay stable
+
+import { ApiError } from "./ApiError.js";
+import { getStorage } from "./storage/index.js";
+
+// Verified types that browsers can show themselves rather than download
+const INLINE_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+// "inline" when the client asked to view the file (?inline=true) and its
+// type is safe to show, "attachment" otherwise
+export const requestedDisposition = (req, mimeType) =>
+  ["true", "1"].includes(req.query?.inline) && INLINE_TYPES.includes(mimeType)
+    ? "inline"
+    : "attachment";
+
+// RFC 5987 encoding for filename*: encodeURIComponent leaves a few
+// characters that are not attr-chars
+const encodeRFC5987 = (value) =>
+  encodeURIComponent(value).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+// Content-Disposition with a plain ASCII filename for old clients and the
+// exact UTF-8 name in filename* (RFC 6266)
+export const contentDisposition = (disposition, fileName) => {
+  if (!fileName) return disposition;
+
+  const name = String(fileName).replace(/[\r\n]/g, "");
+  const fallback = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]|["\\%]/g, "_");
+
+  return fallback === name
+    ? `${disposition}; filename="${name}"`
+    : `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeRFC5987(
+        name
+      )}`;
+};
+
+// Strong ETag: the content hash for deduplicated content, otherwise the size
+// and modification time of the stored object
+const entityTag = (stats, contentHash) =>
+  contentHash
+    ? `"${contentHash}"`
+    : `"${stats.size.toString(16)}-${new Date(stats.lastModified)
+        .getTime()
+        .toString(16)}"`;
+
+// HTTP dates have whole-second precision
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const opaqueTag = (tag) => tag.trim().replace(/^W\//, "");
+
+// Whether the client's cached copy is still current
+const isNotModified = (req, etag, lastModified) => {
+  const noneMatch = req.get("If-None-Match");
+  if (noneMatch) {
+    return (
+      noneMatch.trim() === "*" ||
+      noneMatch.split(",").some((tag) => opaqueTag(tag) === etag)
+    );
+  }
+
+  const modifiedSince = Date.parse(req.get("If-Modified-Since"));
+  return (
+    Boolean(lastModified) &&
+    !isNaN(modifiedSince) &&
+    toSeconds(lastModified) <= toSeconds(modifiedSince)
+  );
+};
+
+// If-Range: a range is only served against the representation the client
+// already has part of; otherwise the whole file is sent
+const isRangeCurrent = (req, etag, lastModified) => {
+  const ifRange = req.get("If-Range");
+  if (!ifRange) return true;
+
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith("W/")) {
+    return ifRange.trim() === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return (
+    Boolean(lastModified) &&
+    !isNaN(date) &&
+    toSeconds(lastModified) === toSeconds(date)
+  );
+};
+
+// Parse a Range header against the file size: { start, end } for one
+// satisfiable range, null when it is valid but starts past the end of the
+// file (416), undefined when it is not a valid single byte range such as
+// bytes=5-3 (ignored, so the whole file is sent)
+export const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === "" && match[2] === "")) return undefined;
+
+  if (match[1] === "") {
+    const suffix = Number(match[2]);
+    return suffix > 0 && size > 0
+      ? { start: Math.max(size - suffix, 0), end: size - 1 }
+      : null;
+  }
+
+  const start = Number(match[1]);
+  if (match[2] !== "" && Number(match[2]) < start) return undefined;
+  if (start >= size) return null;
+
+  const end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  return { start, end };
+};
+
+// Send a stored object. fileName (optional) goes into Content-Disposition
+// with the given disposition; contentHash, when the content is deduplicated,
+// becomes the ETag. Throws a 404 ApiError when the object is missing
+export const sendStoredFile = async (
+  req,
+  res,
+  {
+    storageKey,
+    contentType,
+    fileName,
+    disposition = "attachment",
+    contentHash,
+    cacheControl = "private, no-cache",
+    notFoundMessage = "File not found on server",
+  }
+) => {
+  const storage = getStorage();
+  const stats = storageKey ? await storage.stat(storageKey) : null;
+  if (!stats) {
+    console.log("❌ File not found in storage:", storageKey);
+    throw new ApiError(404, notFoundMessage);
+  }
+
+  const etag = entityTag(stats, contentHash);
+  res.setHeader("ETag", etag);
+  if (stats.lastModified) {
+    res.setHeader("Last-Modified", new Date(stats.lastModified).toUTCString());
+  }
+  res.setHeader("Cache-Control", cacheControl);
+  res.setHeader("Accept-Ranges", "bytes");
+
+  if (isNotModified(req, etag, stats.lastModified)) {
+    return res.status(304).end();
+  }
+
+  res.setHeader("Content-Type", contentType || "application/octet-stream");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(disposition, fileName)
+  );
+
+  const range =
+    req.headers.range && isRangeCurrent(req, etag, stats.lastModified)
+      ? parseRange(req.headers.range, stats.size)
+      : undefined;
+
+  if (range === null) {
+    res.setHeader("Content-Range", `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader(
+      "Content-Range",
+      `bytes ${range.start}-${range.end}/${stats.size}`
+    );
+    res.setHeader("Content-Length", range.end - range.start + 1);
+  } else {
+    res.status(200);
+    res.setHeader("Content-Length", stats.size);
+  }
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  const fileStream = await storage.createReadStream(storageKey, range || {});
+
+  fileStream.on("error", (streamError) => {
+    console.error("❌ File stream error:", streamError.message);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Range");
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ message: "Error reading file" });
+    } else {
+      // A cut-off body must not pass for a complete one
+      res.destroy(streamError);
+    }
+  });
+
+  fileStream.pipe(res);
+};
@@ -0,0 +1,200 @@
+// Content-based file type detection for uploads. multer only knows the type
+// the client declared, so once a file has landed it is sniffed by its magic
+// bytes and checked against the allow-list and the declared type
+
+import fs from "fs";
+import { ApiError } from "./ApiError.js";
+
+// Bytes read from each end of a file; ZIP-based Office files are recognised
+// by entry names, which sit in the local headers at the start and in the
+// central directory at the end
+const SAMPLE_SIZE = 64 * 1024;
+
+const OOXML_TYPES = {
+  "word/": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "xl/": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "ppt/": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+// Legacy Office formats share one container (OLE2 / CFB) and cannot be told
+// apart from the header alone
+const CFB_TYPES = [
+  "application/msword",
+  "application/vnd.ms-excel",
+  "application/vnd.ms-powerpoint",
+];
+
+// MP4 holds audio-only recordings (.m4a, Safari's MediaRecorder) as well as
+// video, and the two share their brands
+const MP4_TYPES = ["video/mp4", "audio/mp4"];
+
+// Declared types that are aliases of a detected one
+const ALIASES = {
+  "image/jpg": "image/jpeg",
+  "audio/mp3": "audio/mpeg",
+  "audio/x-wav": "audio/wav",
+  "audio/vnd.wave": "audio/wav",
+  "audio/x-m4a": "audio/mp4",
+  "audio/x-aac": "audio/aac",
+  "video/x-msvideo": "video/avi",
+  "application/x-zip-compressed": "application/zip",
+  "application/vnd.rar": "application/x-rar-compressed",
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    // A multi-byte character cut off at the end of the sample is still text
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(buffer.subarray(0, -3));
+      return buffer.length > 3;
+    } catch {
+      return false;
+    }
+  }
+};
+
+const readSamples = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, SAMPLE_SIZE));
+    await handle.read(head, 0, head.length, 0);
+
+    const tailLength = Math.min(Math.max(size - head.length, 0), SAMPLE_SIZE);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    return { head, tail };
+  } finally {
+    await handle.close();
+  }
+};
+
+// Detected type of a ZIP: the Office Open XML types whose directories appear
+// among the entry names (any of them when only [Content_Types].xml was seen),
+// or a plain archive
+const detectZipType = (head, tail) => {
+  const names = `${head.toString("latin1")}${tail.toString("latin1")}`;
+
+  const found = Object.keys(OOXML_TYPES)
+    .filter((dir) => names.includes(dir))
+    .map((dir) => OOXML_TYPES[dir]);
+  if (found.length > 0) {
+    return { mime: found[0], family: found };
+  }
+  if (names.includes("[Content_Types].xml")) {
+    return { mime: "application/zip", family: Object.values(OOXML_TYPES) };
+  }
+  return { mime: "application/zip" };
+};
+
+// { mime, family? } for a file on disk, or null when nothing matches. family
+// lists the declared types the detection cannot rule out
+export const detectFileType = async (filePath) => {
+  const { head, tail } = await readSamples(filePath);
+
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return { mime: "image/jpeg" };
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mime: "image/png" };
+  }
+  if (startsWith(head, ascii("GIF87a")) || startsWith(head, ascii("GIF89a"))) {
+    return { mime: "image/gif" };
+  }
+  if (startsWith(head, ascii("RIFF"))) {
+    if (startsWith(head, ascii("WEBP"), 8)) return { mime: "image/webp" };
+    if (startsWith(head, ascii("WAVE"), 8)) return { mime: "audio/wav" };
+    if (startsWith(head, ascii("AVI "), 8)) return { mime: "video/avi" };
+  }
+  if (startsWith(head, ascii("BM"))) return { mime: "image/bmp" };
+  if (startsWith(head, ascii("%PDF-"))) return { mime: "application/pdf" };
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return { mime: "application/x-cfb", family: CFB_TYPES };
+  }
+  if (startsWith(head, ascii("PK")) && [3, 5, 7].includes(head[2])) {
+    return detectZipType(head, tail);
+  }
+  if (startsWith(head, ascii("Rar!\x1a\x07"))) {
+    return { mime: "application/x-rar-compressed" };
+  }
+  if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) {
+    return { mime: "application/x-7z-compressed" };
+  }
+  if (startsWith(head, ascii("ftyp"), 4)) {
+    return { mime: "video/mp4", family: MP4_TYPES };
+  }
+  // WebM (Matroska): what browsers record voice notes as
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return { mime: "audio/webm", family: ["audio/webm", "video/webm"] };
+  }
+  if (startsWith(head, ascii("OggS"))) return { mime: "audio/ogg" };
+  if (startsWith(head, ascii(".snd"))) return { mime: "audio/basic" };
+  // ADTS AAC shares MPEG audio's frame sync but has layer bits 00
+  if (head[0] === 0xff && (head[1] & 0xf6) === 0xf0) {
+    return { mime: "audio/aac" };
+  }
+  if (
+    startsWith(head, ascii("ID3")) ||
+    (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)
+  ) {
+    return { mime: "audio/mpeg" };
+  }
+  if (head.length > 0 && isText(head)) {
+    return { mime: "text/plain", family: ["text/plain", "text/csv"] };
+  }
+
+  return null;
+};
+
+// Lower-cased type without parameters ("audio/webm;codecs=opus" is
+// audio/webm), aliases resolved
+export const normalizeMimeType = (mime) => {
+  const type = String(mime || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  return ALIASES[type] || type;
+};
+
+// Check an upload that multer has written to disk against what it claims to
+// be. Throws 415 when the content is not an allowed type or does not match
+// the declared one; otherwise returns the type to store and serve it as (the
+// declared type when detection only narrows it down to a family)
+export const verifyFileType = async (file, allowedTypes) => {
+  const declared = normalizeMimeType(file.mimetype);
+  const detected = await detectFileType(file.path);
+  const allowed = allowedTypes.map(normalizeMimeType);
+
+  if (!detected) {
+    throw new ApiError(415, "Unrecognised file content");
+  }
+
+  const candidates = detected.family || [detected.mime];
+  const mimeType = candidates.includes(declared)
+    ? declared
+    : normalizeMimeType(detected.mime);
+
+  if (!allowed.includes(mimeType)) {
+    throw new ApiError(
+      415,
+      `File content (${detected.mime}) is not an allowed file type`
+    );
+  }
+
+  if (mimeType !== declared) {
+    throw new ApiError(
+      415,
+      `File content (${detected.mime}) does not match its declared type (${file.mimetype})`
+    );
+  }
+
+  return mimeType;
+};
@@ -0,0 +1,133 @@
+// ClamAV scanner talking to clamd over its socket protocol (INSTREAM), on a
+// unix socket (CLAMAV_SOCKET) or TCP (CLAMAV_HOST / CLAMAV_PORT). The file is
+// streamed in length-prefixed chunks and clamd answers with a single line:
+// "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+
+import net from "net";
+
+// clamd's default StreamMaxLength is 25MB; chunks are far below it
+const CHUNK_SIZE = 64 * 1024;
+
+const parseReply = (reply) => {
+  const line = reply.replace(/\0/g, "").trim();
+
+  if (/:\s*OK$/.test(line)) {
+    return { clean: true, signature: null };
+  }
+
+  const found = line.match(/:\s*(.+)\s+FOUND$/);
+  if (found) {
+    return { clean: false, signature: found[1] };
+  }
+
+  throw new Error(`clamd: ${line || "empty reply"}`);
+};
+
+export const createClamAVScanner = ({
+  socketPath,
+  host = "127.0.0.1",
+  port = 3310,
+  timeoutMs = 60 * 1000,
+}) => {
+  const connect = () =>
+    socketPath
+      ? net.createConnection({ path: socketPath })
+      : net.createConnection({ host, port });
+
+  return {
+    name: "clamav",
+
+    // { clean, signature } for the contents of a readable stream
+    scan(stream) {
+      return new Promise((resolve, reject) => {
+        const socket = connect();
+        let reply = "";
+        let settled = false;
+
+        const finish = (error, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          if (typeof stream.destroy === "function") stream.destroy();
+          if (error) reject(error);
+          else resolve(result);
+        };
+
+        // Write one frame, waiting for the socket to drain when it is full
+        const writeFrame = (frame) =>
+          new Promise((resolveWrite) => {
+            if (socket.write(frame)) resolveWrite();
+            else socket.once("drain", resolveWrite);
+          });
+
+        const sendStream = async () => {
+          await writeFrame(Buffer.from("zINSTREAM\0"));
+
+          for await (const data of stream) {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+              if (settled) return;
+              const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(chunk.length);
+              await writeFrame(Buffer.concat([length, chunk]));
+            }
+          }
+
+          // A zero-length chunk ends the stream
+          await writeFrame(Buffer.alloc(4));
+        };
+
+        socket.setTimeout(timeoutMs, () =>
+          finish(new Error("clamd: timed out"))
+        );
+        socket.on("error", (error) => finish(error));
+        // The file may fail to open before the socket connects
+        stream.on("error", (error) => finish(error));
+
+        // The reply ends with a NUL (z-prefixed command) or the connection
+        const handleReply = () => {
+          try {
+            finish(null, parseReply(reply));
+          } catch (error) {
+            finish(error);
+          }
+        };
+        socket.on("data", (data) => {
+          reply += data.toString();
+          if (reply.includes("\0")) handleReply();
+        });
+        socket.on("end", handleReply);
+        socket.on("connect", () => {
+          sendStream().catch((error) => finish(error));
+        });
+      });
+    },
+
+    // Resolves once clamd answers PING, rejects when it cannot be reached
+    ping() {
+      return new Promise((resolve, reject) => {
+        const socket = connect();
+        let reply = "";
+
+        const finish = (error) => {
+          socket.destroy();
+          if (error) reject(error);
+          else resolve();
+        };
+
+        socket.setTimeout(timeoutMs, () =>
+          finish(new Error("clamd: timed out"))
+        );
+        socket.on("error", (error) => finish(error));
+        socket.on("data", (data) => {
+          reply += data.toString();
+          if (!reply.includes("\0")) return;
+          const line = reply.replace(/\0/g, "").trim();
+          finish(line === "PONG" ? null : new Error(`clamd: ${line}`));
+        });
+        socket.on("connect", () => socket.write("zPING\0"));
+      });
+    },
+  };
+};
@@ -0,0 +1,39 @@
+// In-process scanner for development and tests. Flags any content that
+// contains one of the given signatures, by default the EICAR test string, so
+// the quarantine path can be exercised without clamd
+
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+export const createFakeScanner = ({
+  signatures = { "Eicar-Test-Signature": EICAR },
+} = {}) => {
+  const patterns = Object.entries(signatures).map(([name, pattern]) => ({
+    name,
+    bytes: Buffer.from(pattern),
+  }));
+  // Bytes kept between chunks so a signature split across two is still seen
+  const overlap = Math.max(0, ...patterns.map((p) => p.bytes.length - 1));
+
+  return {
+    name: "fake",
+
+    async scan(stream) {
+      let carry = Buffer.alloc(0);
+
+      for await (const data of stream) {
+        const window = Buffer.concat([carry, Buffer.from(data)]);
+        const match = patterns.find((p) => window.includes(p.bytes));
+        if (match) {
+          if (typeof stream.destroy === "function") stream.destroy();
+          return { clean: false, signature: match.name };
+        }
+        carry = window.subarray(Math.max(0, window.length - overlap));
+      }
+
+      return { clean: true, signature: null };
+    },
+
+    async ping() {},
+  };
+};
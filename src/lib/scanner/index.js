@@ -0,0 +1,32 @@
+// Malware scanner for chat attachments, selected with SCANNER_DRIVER
+// (clamav|fake, default clamav). Every scanner exposes scan(readableStream),
+// resolving to { clean, signature } and rejecting when the file could not be
+// scanned, and ping(), rejecting when the scanner cannot be reached
+
+import { createClamAVScanner } from "./clamav.scanner.js";
+import { createFakeScanner } from "./fake.scanner.js";
+
+let scanner;
+
+// Created on first use so dotenv has loaded by then
+export const getScanner = () => {
+  if (scanner) return scanner;
+
+  const scannerName = (process.env.SCANNER_DRIVER || "clamav").toLowerCase();
+
+  if (scannerName === "clamav") {
+    scanner = createClamAVScanner({
+      socketPath: process.env.CLAMAV_SOCKET,
+      host: process.env.CLAMAV_HOST || undefined,
+      port: Number(process.env.CLAMAV_PORT) || undefined,
+      timeoutMs: Number(process.env.CLAMAV_TIMEOUT_MS) || undefined,
+    });
+  } else if (scannerName === "fake") {
+    scanner = createFakeScanner();
+  } else {
+    throw new Error(`Unknown SCANNER_DRIVER: ${scannerName}`);
+  }
+
+  console.log(`🛡️ Using ${scanner.name} malware scanner`);
+  return scanner;
+};
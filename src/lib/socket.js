@@ -1,6 +1,24 @@
 import { Server } from "socket.io";
 import http from "http";
 import express from "express";
+import { socketAuthMiddleware } from "../middleware/socketAuth.middleware.js";
+import { ApiError } from "./ApiError.js";
+import {
+  createMessage,
+  editMessageText,
+  deleteMessageById,
+  deleteConversation,
+} from "../services/message.service.js";
+import {
+  findConfirmedExpertSession,
+  findCounterpartSessions,
+  findMessageCounterpart,
+  getSessionAccess,
+  getSessionGracePeriods,
+  getSessionWindow,
+} from "../services/session.service.js";
+import { markConversationRead } from "../services/receipt.service.js";
+import { getDB } from "./db.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -13,210 +31,512 @@ const io = new Server(server, {
   },
 });
 
-// Used to store online users and experts
-const userSocketMap = {}; // {userId: socketId}
-const expertSocketMap = {}; // {expertId: socketId}
+// Reject unauthenticated handshakes; identity comes from the verified token
+io.use(socketAuthMiddleware);
 
+// Used to store online users and experts. Each identity keeps every socket it
+// has open (phone, laptop, extra tabs) and joins a per-identity room so events
+// reach all of them
+const userSocketMap = {}; // {userId: Set<socketId>}
+const expertSocketMap = {}; // {expertId: Set<socketId>}
+
+const getUserRoom = (userId) => `user:${userId}`;
+const getExpertRoom = (expertId) => `expert:${expertId}`;
+
+// Returns the room reaching every socket of this participant (user or
+// expert), or undefined when they are offline. Usable with io.to()
 export function getReceiverSocketId(userId) {
-  return userSocketMap[userId];
+  if (userSocketMap[userId]?.size) return getUserRoom(userId);
+  if (expertSocketMap[userId]?.size) return getExpertRoom(userId);
+  return undefined;
 }
 
 export function getExpertSocketId(expertId) {
-  return expertSocketMap[expertId];
+  if (expertSocketMap[expertId]?.size) return getExpertRoom(expertId);
+  return undefined;
 }
 
+// Track a socket for an identity; returns true when it is their first one
+const addPresence = (socketMap, id, socketId) => {
+  if (!socketMap[id]) {
+    socketMap[id] = new Set();
+  }
+  socketMap[id].add(socketId);
+  return socketMap[id].size === 1;
+};
+
+// Forget a socket for an identity; returns true when it was their last one
+const removePresence = (socketMap, id, socketId) => {
+  const sockets = socketMap[id];
+  if (!sockets) return false;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+
+  delete socketMap[id];
+  return true;
+};
+
+// Forward at most one typing event per target in this interval, and treat a
+// target as stopped when no typing event arrives for TYPING_EXPIRY_MS
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_EXPIRY_MS = 6000;
+
+// Wrap a socket event handler so the client always gets an acknowledgement:
+// { success: true, ...result } or { success: false, message }
+const withAck = (eventName, handler) => async (payload, ack) => {
+  const reply = typeof ack === "function" ? ack : () => {};
+
+  try {
+    const result = await handler(payload || {});
+    reply({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return reply({ success: false, message: error.message });
+    }
+    console.error(`❌ Error in socket ${eventName}:`, error.message);
+    reply({ success: false, message: "Internal Server Error" });
+  }
+};
+
 io.on("connection", (socket) => {
   console.log("A client connected", socket.id);
 
-  const userId = socket.handshake.query.userId;
-  const expertId = socket.handshake.query.expertId;
+  const { userId, expertId, tokenExpiresAt } = socket.data;
+
+  // Drop the connection once the access token it was opened with expires
+  // (setTimeout overflows past ~24.8 days, so longer-lived tokens are skipped)
+  let tokenExpiryTimer = null;
+  const msUntilExpiry = tokenExpiresAt ? tokenExpiresAt - Date.now() : null;
+  if (msUntilExpiry !== null && msUntilExpiry <= 2147483647) {
+    tokenExpiryTimer = setTimeout(() => {
+      console.log(`Access token expired for socket ${socket.id}`);
+      socket.emit("tokenExpired", { message: "Token has expired" });
+      socket.disconnect(true);
+    }, Math.max(0, msUntilExpiry));
+  }
 
   // Handle user connection
-  if (userId && userId !== "undefined") {
+  if (userId) {
     console.log("User connected:", userId);
-    userSocketMap[userId] = socket.id;
+    socket.join(getUserRoom(userId));
 
-    // Emit updated online users list
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    // Only announce when the user comes online, not for extra devices
+    if (addPresence(userSocketMap, userId, socket.id)) {
+      io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    } else {
+      socket.emit("getOnlineUsers", Object.keys(userSocketMap));
+    }
   }
 
   // Handle expert connection
-  if (expertId && expertId !== "undefined") {
+  if (expertId) {
     console.log("Expert connected:", expertId);
-    expertSocketMap[expertId] = socket.id;
+    socket.join(getExpertRoom(expertId));
 
-    // Emit updated online experts list
-    io.emit("getOnlineExperts", Object.keys(expertSocketMap));
+    // Only announce when the expert comes online, not for extra devices
+    if (addPresence(expertSocketMap, expertId, socket.id)) {
+      io.emit("getOnlineExperts", Object.keys(expertSocketMap));
+    } else {
+      socket.emit("getOnlineExperts", Object.keys(expertSocketMap));
+    }
   }
 
-  // Handle room joining for expert-to-expert communication
-  socket.on("joinRoom", (roomId) => {
-    console.log(`Socket ${socket.id} joining room: ${roomId}`);
-    socket.join(roomId);
+  // Handle room joining for expert-to-expert communication. Rooms are
+  // "<expertA>-<expertB>" (sorted); only an expert in that pair with a
+  // confirmed session between them may join
+  socket.on("joinRoom", async (roomId, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+
+    const rejectJoin = (message) => {
+      console.log(`Socket ${socket.id} refused room ${roomId}: ${message}`);
+      socket.emit("joinRoomError", { roomId, message });
+      reply({ success: false, message });
+    };
+
+    try {
+      if (!expertId) {
+        return rejectJoin("Only experts can join expert rooms");
+      }
+
+      const participants = typeof roomId === "string" ? roomId.split("-") : [];
+      if (
+        participants.length !== 2 ||
+        participants.join("-") !== [...participants].sort().join("-")
+      ) {
+        return rejectJoin("Invalid room ID");
+      }
+
+      const otherExpertId = participants.find((id) => id !== expertId);
+      if (!participants.includes(expertId) || !otherExpertId) {
+        return rejectJoin("Not a participant of this room");
+      }
+
+      const session = await findConfirmedExpertSession(expertId, otherExpertId);
+      if (!session) {
+        return rejectJoin(
+          "Not authorized to access this session or session not found"
+        );
+      }
+
+      console.log(`Socket ${socket.id} joining room: ${roomId}`);
+      socket.join(roomId);
+      reply({ success: true, roomId });
+    } catch (error) {
+      console.error("❌ Error in joinRoom:", error.message);
+      rejectJoin("Internal Server Error");
+    }
   });
 
-  // ============== USER TO EXPERT COMMUNICATION (UNCHANGED) ==============
-
-  // Listen for sendMessage event from client (User to Expert)
-  socket.on("sendMessage", (messageData) => {
-    console.log("Message received:", messageData);
-
-    const receiverSocketId =
-      userSocketMap[messageData.receiverId] ||
-      expertSocketMap[messageData.receiverId];
+  // ============== USER TO EXPERT COMMUNICATION ==============
+  // These events go through the same persistence and authorization as the
+  // REST routes; the sender is always the authenticated socket identity and
+  // the acknowledgement carries the stored result
+
+  const socketParticipantId = userId || expertId;
+
+  // Same rule as the session middlewares: only counterparts with a confirmed
+  // session, and for writes only while that session's chat window is open
+  const assertCounterpartSession = async (
+    counterpartId,
+    { write = true, expertToExpert = false } = {}
+  ) => {
+    const sessions = await findCounterpartSessions(socket.data, counterpartId, {
+      expertToExpert,
+    });
+    if (sessions.length === 0) {
+      throw new ApiError(403, "Not authorized to access this conversation");
+    }
 
-    if (receiverSocketId) {
-      console.log(
-        `Sending message to ${messageData.receiverId} via socket ${receiverSocketId}`
+    const access = getSessionAccess(sessions);
+    if (!access.canRead) {
+      throw new ApiError(403, "Session has not started yet");
+    }
+    if (write && !access.canWrite) {
+      throw new ApiError(
+        403,
+        "Session has ended; this conversation is read-only"
       );
-      io.to(receiverSocketId).emit("newMessage", {
-        _id: messageData._id || new Date().getTime().toString(),
-        senderId: messageData.senderId,
+    }
+  };
+
+  // Edits and deletes name only the message; its counterpart decides the
+  // session. Unknown messages are left to the service's 404
+  const assertMessageSession = async (messageId) => {
+    const counterpartId = await findMessageCounterpart(
+      "messages",
+      messageId,
+      socketParticipantId
+    );
+    if (counterpartId) await assertCounterpartSession(counterpartId);
+  };
+
+  // Listen for sendMessage event from client (User to Expert)
+  socket.on(
+    "sendMessage",
+    withAck("sendMessage", async (messageData) => {
+      await assertCounterpartSession(messageData.receiverId);
+      stopTypingFor(`direct:${messageData.receiverId}`);
+      const message = await createMessage({
+        senderId: socketParticipantId,
         receiverId: messageData.receiverId,
         text: messageData.text,
-        time: messageData.time || new Date(),
-        isFile: messageData.isFile || false,
-        fileId: messageData.fileId || null,
-        isVoice: messageData.isVoice || false,
+        replyToId: messageData.replyToId,
       });
-    } else {
-      console.log(`Receiver ${messageData.receiverId} is not online`);
-    }
-  });
+      return { message };
+    })
+  );
 
   // Listen for message edited event
-  socket.on("messageEdited", (updatedMessage) => {
-    console.log("Message edited:", updatedMessage);
-
-    const receiverSocketId =
-      userSocketMap[updatedMessage.receiverId] ||
-      expertSocketMap[updatedMessage.receiverId];
-
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageEdited", updatedMessage);
-    }
-  });
+  socket.on(
+    "messageEdited",
+    withAck("messageEdited", async (data) => {
+      const messageId = data.messageId || data.messageID;
+      await assertMessageSession(messageId);
+      const message = await editMessageText({
+        messageId,
+        userId: socketParticipantId,
+        newText: data.newText ?? data.text,
+      });
+      return { message };
+    })
+  );
 
   // Listen for message deleted event
-  socket.on("messageDeleted", (data) => {
-    console.log("Message deleted:", data);
-
-    const receiverSocketId =
-      userSocketMap[data.receiverId] || expertSocketMap[data.receiverId];
-
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageDeleted", {
-        messageId: data.messageId,
-        fileId: data.fileId,
+  socket.on(
+    "messageDeleted",
+    withAck("messageDeleted", async (data) => {
+      const messageId = data.messageId || data.messageID;
+      await assertMessageSession(messageId);
+      return deleteMessageById({
+        messageId,
+        userId: socketParticipantId,
+        scope: data.scope,
       });
-    }
-  });
+    })
+  );
 
   // Listen for all messages deleted event
-  socket.on("allMessagesDeleted", (data) => {
-    console.log("All messages deleted:", data);
-
-    const receiverSocketId =
-      userSocketMap[data.receiverId] || expertSocketMap[data.receiverId];
-
-    if (receiverSocketId) {
-      console.log(
-        `Emitting delete all messages event to socket: ${receiverSocketId}`
-      );
-      io.to(receiverSocketId).emit("allMessagesDeleted", {
-        senderId: data.senderId,
-        receiverId: data.receiverId,
+  socket.on(
+    "allMessagesDeleted",
+    withAck("allMessagesDeleted", async (data) => {
+      const receiverId = data.receiverId || data.reciverID;
+      await assertCounterpartSession(receiverId);
+      return deleteConversation({
+        userId: socketParticipantId,
+        senderId: socketParticipantId,
+        receiverId,
+        scope: data.scope,
       });
-    } else {
-      console.log(
-        `Receiver ${data.receiverId} not connected, cannot emit deletion event`
-      );
-    }
-  });
+    })
+  );
+
+  // Mark messages from a counterpart as read up to messageId. Pass
+  // chatType: "expert" for expert-to-expert conversations
+  socket.on(
+    "markRead",
+    withAck("markRead", async (data) => {
+      const counterpartId = data.counterpartId || data.receiverId;
+      const expertToExpert = data.chatType === "expert";
+      await assertCounterpartSession(counterpartId, {
+        write: false,
+        expertToExpert,
+      });
+      return markConversationRead({
+        collectionName: expertToExpert ? "expertMessages" : "messages",
+        readerId: socketParticipantId,
+        counterpartId,
+        upToMessageId: data.messageId,
+      });
+    })
+  );
 
   // ============== EXPERT TO EXPERT COMMUNICATION (UPDATED) ==============
+  // Expert message edits and deletes reach the room only from the REST
+  // controllers, after they are persisted (expertMessageEdited,
+  // expertMessageDeleted, allExpertMessagesDeleted); clients cannot relay
+  // them
+
+  // ============== TYPING INDICATORS ==============
+  // typing / stopTyping take { receiverId } for the direct user <-> expert
+  // channel or { roomId } for an expert room. Forwarding is throttled per
+  // target, and a target that stops sending typing (or disconnects) gets an
+  // automatic stopTyping
+
+  // {targetKey: {emit, lastSentAt, expiryTimer}}
+  const typingTargets = new Map();
+
+  const getTypingTargetKey = (data) => {
+    if (data.roomId) return `room:${data.roomId}`;
+    if (data.receiverId) return `direct:${data.receiverId}`;
+    return null;
+  };
+
+  // Authorize the target the same way as messages and build its emitter
+  const resolveTypingTarget = async (data) => {
+    if (data.roomId) {
+      const roomId = String(data.roomId);
+      if (!expertId || !socket.rooms.has(roomId)) {
+        throw new ApiError(403, "Not authorized to access this conversation");
+      }
+      return (eventName) =>
+        socket.to(roomId).emit(eventName, {
+          senderId: socketParticipantId,
+          roomId,
+        });
+    }
 
-  // Listen for expert message edited event
-  socket.on("expertMessageEdited", (updatedMessage) => {
-    console.log("Expert message edited:", updatedMessage);
-
-    const roomId = [updatedMessage.senderId, updatedMessage.receiverId]
-      .sort()
-      .join("-");
-    console.log(`Emitting expertMessageEdited to room: ${roomId}`);
-
-    io.to(roomId).emit("expertMessageEdited", updatedMessage);
-  });
-
-  // Listen for expert message deleted event
-  socket.on("expertMessageDeleted", (data) => {
-    console.log("Expert message deleted:", data);
-
-    const roomId = [data.senderId, data.receiverId].sort().join("-");
-    console.log(`Emitting expertMessageDeleted to room: ${roomId}`);
-
-    io.to(roomId).emit("expertMessageDeleted", {
-      messageId: data.messageId,
-      senderId: data.senderId,
-      receiverId: data.receiverId,
-      fileId: data.fileId || null,
-    });
-  });
-
-  // Listen for all expert messages deleted event
-  socket.on("allExpertMessagesDeleted", (data) => {
-    console.log("All expert messages deleted:", data);
-
-    const roomId = [data.senderID, data.receiverID].sort().join("-");
-    console.log(`Emitting allExpertMessagesDeleted to room: ${roomId}`);
-
-    io.to(roomId).emit("allExpertMessagesDeleted", {
-      senderID: data.senderID,
-      receiverID: data.receiverID,
-    });
-  });
-
-  // Listen for conversation deleted event
-  socket.on("conversationDeleted", (data) => {
-    console.log("Conversation deleted:", data);
-
-    const roomId = [data.senderId, data.receiverId].sort().join("-");
-    console.log(`Emitting conversationDeleted to room: ${roomId}`);
+    const receiverId = String(data.receiverId);
+    await assertCounterpartSession(receiverId);
+    return (eventName) => {
+      const receiverSocketId = getReceiverSocketId(receiverId);
+      if (receiverSocketId) {
+        io.to(receiverSocketId).emit(eventName, {
+          senderId: socketParticipantId,
+          receiverId,
+        });
+      }
+    };
+  };
+
+  const stopTypingFor = (targetKey) => {
+    const target = typingTargets.get(targetKey);
+    if (!target) return false;
+
+    clearTimeout(target.expiryTimer);
+    typingTargets.delete(targetKey);
+    target.emit("stopTyping");
+    return true;
+  };
+
+  socket.on(
+    "typing",
+    withAck("typing", async (data) => {
+      const targetKey = getTypingTargetKey(data);
+      if (!targetKey) {
+        throw new ApiError(400, "receiverId or roomId is required");
+      }
+
+      const now = Date.now();
+      let target = typingTargets.get(targetKey);
+
+      if (!target || now - target.lastSentAt >= TYPING_THROTTLE_MS) {
+        const emit = target ? target.emit : await resolveTypingTarget(data);
+        // Another typing event may have registered the target meanwhile
+        target = typingTargets.get(targetKey) || { emit, lastSentAt: 0 };
+        target.lastSentAt = now;
+        typingTargets.set(targetKey, target);
+        emit("typing");
+      }
+
+      clearTimeout(target.expiryTimer);
+      target.expiryTimer = setTimeout(
+        () => stopTypingFor(targetKey),
+        TYPING_EXPIRY_MS
+      );
 
-    io.to(roomId).emit("conversationDeleted", data);
-  });
+      return {};
+    })
+  );
+
+  socket.on(
+    "stopTyping",
+    withAck("stopTyping", async (data) => {
+      const targetKey = getTypingTargetKey(data);
+      if (targetKey) {
+        stopTypingFor(targetKey);
+      }
+      return {};
+    })
+  );
 
   // ============== DISCONNECT HANDLING ==============
 
   socket.on("disconnect", () => {
     console.log("A client disconnected", socket.id);
 
-    // Find and remove the disconnected user from userSocketMap
-    const disconnectedUserId = Object.keys(userSocketMap).find(
-      (key) => userSocketMap[key] === socket.id
-    );
+    if (tokenExpiryTimer) {
+      clearTimeout(tokenExpiryTimer);
+    }
 
-    if (disconnectedUserId) {
-      console.log(`User ${disconnectedUserId} went offline`);
-      delete userSocketMap[disconnectedUserId];
+    // Don't leave counterparts looking at a stale typing indicator
+    [...typingTargets.keys()].forEach(stopTypingFor);
 
-      // Update all clients with new online users list
+    // Only announce offline once the user's last socket is gone
+    if (userId && removePresence(userSocketMap, userId, socket.id)) {
+      console.log(`User ${userId} went offline`);
       io.emit("getOnlineUsers", Object.keys(userSocketMap));
     }
 
-    // Find and remove the disconnected expert from expertSocketMap
-    const disconnectedExpertId = Object.keys(expertSocketMap).find(
-      (key) => expertSocketMap[key] === socket.id
-    );
-
-    if (disconnectedExpertId) {
-      console.log(`Expert ${disconnectedExpertId} went offline`);
-      delete expertSocketMap[disconnectedExpertId];
-
-      // Update all clients with new online experts list
+    // Only announce offline once the expert's last socket is gone
+    if (expertId && removePresence(expertSocketMap, expertId, socket.id)) {
+      console.log(`Expert ${expertId} went offline`);
       io.emit("getOnlineExperts", Object.keys(expertSocketMap));
     }
   });
 });
 
+// ============== SESSION WINDOW NOTIFICATIONS ==============
+// Booked sessions open and close on a schedule; tell both participants when
+// their chat window opens (sessionStarting) and when it becomes read-only
+// (sessionEnded) so clients can unlock / lock the composer
+
+const SESSION_WINDOW_POLL_MS = 30 * 1000;
+let sessionWindowTimer = null;
+
+const sessionCollections = [
+  {
+    name: "usertoexpertsessions",
+    chatType: "user-to-expert",
+    getParticipants: (session) => [session.userId, session.expertId],
+  },
+  {
+    name: "experttoexpertsessions",
+    chatType: "expert-to-expert",
+    getParticipants: (session) => [
+      session.consultingExpertID,
+      session.expertId,
+    ],
+  },
+];
+
+const emitSessionWindowEvent = (eventName, session, collection) => {
+  const window = getSessionWindow(session);
+  const participants = collection
+    .getParticipants(session)
+    .filter(Boolean)
+    .map((id) => id.toString());
+
+  const payload = {
+    sessionId: session._id.toString(),
+    chatType: collection.chatType,
+    participants,
+    startTime: window?.startTime,
+    endTime: window?.endTime,
+    opensAt: window?.opensAt,
+    closesAt: window?.closesAt,
+  };
+
+  participants.forEach((participantId) => {
+    const socketId = getReceiverSocketId(participantId);
+    if (socketId) {
+      io.to(socketId).emit(eventName, payload);
+    }
+  });
+};
+
+// Notify about every window that opened or closed in (from, to]
+const notifySessionWindows = async (from, to) => {
+  const db = getDB();
+  const { beforeMs, afterMs } = getSessionGracePeriods();
+
+  for (const collection of sessionCollections) {
+    const sessions = db.collection(collection.name);
+
+    const [starting, ending] = await Promise.all([
+      sessions
+        .find({
+          status: "confirmed",
+          startTime: {
+            $gt: new Date(from.getTime() + beforeMs),
+            $lte: new Date(to.getTime() + beforeMs),
+          },
+        })
+        .toArray(),
+      sessions
+        .find({
+          status: "confirmed",
+          endTime: {
+            $gt: new Date(from.getTime() - afterMs),
+            $lte: new Date(to.getTime() - afterMs),
+          },
+        })
+        .toArray(),
+    ]);
+
+    starting.forEach((session) =>
+      emitSessionWindowEvent("sessionStarting", session, collection)
+    );
+    ending.forEach((session) =>
+      emitSessionWindowEvent("sessionEnded", session, collection)
+    );
+  }
+};
+
+// Start polling for session windows; call once the database is connected
+export function startSessionWindowNotifier() {
+  if (sessionWindowTimer) return;
+
+  let lastCheck = new Date();
+  sessionWindowTimer = setInterval(async () => {
+    const now = new Date();
+    try {
+      await notifySessionWindows(lastCheck, now);
+      lastCheck = now;
+    } catch (error) {
+      console.error("❌ Error in session window notifier:", error.message);
+    }
+  }, SESSION_WINDOW_POLL_MS);
+}
+
 export { io, app, server };
\ No newline at end of file
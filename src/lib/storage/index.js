@@ -0,0 +1,107 @@
+// Storage for chat attachments (files and voice notes). Uploads land in a
+// temp directory through multer and are then handed to the configured driver
+// (STORAGE_DRIVER=local|s3). Mongo keeps only the relative storageKey, never
+// a filesystem path
+
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { createLocalDriver } from "./local.driver.js";
+import { createS3Driver } from "./s3.driver.js";
+
+// Prefixes under which each kind of attachment is stored
+export const STORAGE_PREFIXES = {
+  // Attachment content stored once per SHA-256 (see blob.service); the
+  // per-kind prefixes below hold files uploaded before deduplication
+  blob: "blobs",
+  file: "files",
+  voice: "voice",
+  expertFile: "expert-files",
+  expertVoice: "expert-voice",
+  // Thumbnails and previews of shared images
+  imagePreview: "image-previews",
+  // Infected uploads, kept out of reach of every download route
+  quarantine: "quarantine",
+};
+
+export const UPLOAD_TMP_DIR = path.join(os.tmpdir(), "chatapp-uploads");
+
+let driver;
+
+// Created on first use so dotenv has loaded by then
+export const getStorage = () => {
+  if (driver) return driver;
+
+  const driverName = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+  if (driverName === "s3") {
+    driver = createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      prefix: process.env.S3_KEY_PREFIX || "",
+    });
+  } else if (driverName === "local") {
+    driver = createLocalDriver({
+      root:
+        process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), "uploads"),
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+  }
+
+  console.log(`📦 Using ${driver.name} storage driver`);
+  return driver;
+};
+
+// multer (busboy) decodes multipart filenames as latin1 while browsers send
+// UTF-8, so "résumé.pdf" arrives as "rÃ©sumÃ©.pdf". Names that decode as
+// UTF-8 are turned back into what the client sent
+export const decodeUploadName = (name) => {
+  if (/[^\x00-\xff]/.test(name)) return name;
+
+  const decoded = Buffer.from(name, "latin1").toString("utf8");
+  return decoded.includes("\uFFFD") ? name : decoded;
+};
+
+// Destination for multer's diskStorage; every upload is moved out of here
+export const uploadTempDestination = (req, file, cb) => {
+  fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+  cb(null, UPLOAD_TMP_DIR);
+};
+
+// Remove an upload's temp file if it was never stored. Stored content is
+// released through blob.service instead, since other attachments may share it
+export const discardUpload = async (file) => {
+  if (file?.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+// Key of a stored attachment. Documents written before the storage module
+// kept an absolute `path` under uploads/ or Uploads/; the part after that
+// directory is the key. Run src/scripts/migrateStorageKeys.js to move those
+// files into the configured storage
+export const getStorageKey = (doc) => {
+  if (doc?.storageKey) return doc.storageKey;
+  if (!doc?.path) return null;
+
+  const normalized = doc.path.split(path.sep).join("/");
+  const match = normalized.match(/(?:^|\/)uploads\/(.+)$/i);
+  return match ? match[1] : null;
+};
+
+// Delete a stored attachment, ignoring documents without one
+export const deleteStoredFile = async (doc) => {
+  const key = getStorageKey(doc);
+  if (!key) return;
+
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    console.error("❌ Failed to remove stored file:", error.message);
+  }
+};
@@ -0,0 +1,72 @@
+// Local-disk storage driver. Objects live under STORAGE_LOCAL_ROOT (default
+// ./uploads) at their key, so keys never leave that directory
+
+import fs from "fs";
+import path from "path";
+
+export const createLocalDriver = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(baseDir, key);
+    if (!fullPath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: "local",
+
+    // Move an uploaded temp file into place (copy when it sits on another
+    // device)
+    async putFile(key, filePath) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      try {
+        await fs.promises.rename(filePath, target);
+      } catch (error) {
+        if (error.code !== "EXDEV") throw error;
+        await fs.promises.copyFile(filePath, target);
+        await fs.promises.unlink(filePath);
+      }
+    },
+
+    // { size, lastModified } or null when the object does not exist
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    // Readable stream of the object, or of the inclusive byte range
+    // [start, end] when given
+    async createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), {
+        start,
+        end,
+        highWaterMark: 64 * 1024,
+      });
+    },
+
+    // Move an object to another key within the store
+    async move(fromKey, toKey) {
+      const target = resolveKey(toKey);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.rename(resolveKey(fromKey), target);
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+};
@@ -0,0 +1,115 @@
+// S3-compatible storage driver (AWS S3, MinIO, R2, ...). Set S3_ENDPOINT and
+// S3_FORCE_PATH_STYLE=true to point it at a self-hosted or local stand-in
+
+import fs from "fs";
+import {
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+const isNotFound = (error) =>
+  error?.name === "NotFound" ||
+  error?.name === "NoSuchKey" ||
+  error?.$metadata?.httpStatusCode === 404;
+
+export const createS3Driver = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  prefix = "",
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: "s3",
+
+    // Upload a temp file and remove it once the object is stored
+    async putFile(key, filePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(filePath),
+          ContentLength: size,
+          ContentType: contentType || "application/octet-stream",
+        })
+      );
+      await fs.promises.unlink(filePath);
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        );
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const range =
+        start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+
+      const object = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Range: range,
+        })
+      );
+      return object.Body;
+    },
+
+    // S3 has no rename: copy, then delete the original
+    async move(fromKey, toKey) {
+      const source = objectKey(fromKey)
+        .split("/")
+        .map(encodeURIComponent)
+        .join("/");
+
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(toKey),
+          CopySource: `${bucket}/${source}`,
+        })
+      );
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(fromKey) })
+      );
+    },
+
+    // S3 deletes are idempotent, so a missing object is not an error
+    async delete(key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+      );
+    },
+  };
+};
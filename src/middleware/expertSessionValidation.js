@@ -1,5 +1,11 @@
 import { ObjectId } from "mongodb";
 import { getDB } from "../lib/db.js";
+import { ApiError } from "../lib/ApiError.js";
+import {
+  findConfirmedExpertSessions,
+  getSessionAccess,
+  resolveCounterpartFromRequest,
+} from "../services/session.service.js";
 
 export const ExpertSessionMiddleware = async (req, res, next) => {
   console.log("🔥 expert SessionMiddleware called");
@@ -13,6 +19,56 @@ export const ExpertSessionMiddleware = async (req, res, next) => {
       console.log("❌ Error: Only experts can access expert-to-expert sessions");
       return res.status(403).json({ message: "Only experts can access expert-to-expert sessions" });
     }
+    // Conversation routes (/:id), and edits/deletes of a message, need a
+    // confirmed session with that expert, inside its time window (read-only
+    // once it has ended)
+    const isWriteRequest = req.method !== "GET" && !req.allowReadOnlySession;
+    const counterpartId =
+      req.params.id ||
+      (isWriteRequest
+        ? await resolveCounterpartFromRequest(
+            req,
+            "expertMessages",
+            req.expert._id
+          )
+        : null);
+
+    if (counterpartId) {
+      const sessions = await findConfirmedExpertSessions(
+        req.expert._id,
+        counterpartId
+      );
+
+      if (sessions.length === 0) {
+        console.log(`❌ No confirmed expert session with ${counterpartId}`);
+        return res.status(403).json({
+          message: "Not authorized to access this conversation",
+        });
+      }
+
+      const access = getSessionAccess(sessions);
+
+      if (!access.canRead) {
+        return res.status(403).json({
+          message: "Session has not started yet",
+          sessionStartsAt: access.window?.opensAt,
+        });
+      }
+
+      if (isWriteRequest && !access.canWrite) {
+        return res.status(403).json({
+          message: "Session has ended; this conversation is read-only",
+          readOnly: true,
+          sessionEndedAt: access.window?.closesAt,
+        });
+      }
+
+      req.session = access.session;
+      req.sessionAccess = access;
+      console.log("✅ expert session middleware passed");
+      return next();
+    }
+
     // Check if current expert is either the consulting expert or the consulted expert
     const session = await ExpertToExpertSessionCollection.findOne({
       status: "confirmed",
@@ -33,6 +89,9 @@ export const ExpertSessionMiddleware = async (req, res, next) => {
     console.log("✅ expert session middleware passed");
     next();
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in expert session middleware:", error.message);
     return res.status(500).json({ message: "Internal Server Error" });
   }
@@ -1,5 +1,17 @@
 import { ObjectId } from "mongodb";
 import { getDB } from "../lib/db.js";
+import { ApiError } from "../lib/ApiError.js";
+import {
+  getSessionAccess,
+  resolveCounterpartFromRequest,
+} from "../services/session.service.js";
+
+// Mark a non-GET route as allowed in read-only sessions (e.g. read receipts),
+// so it keeps working after the session window has closed
+export const allowReadOnlySession = (req, res, next) => {
+  req.allowReadOnlySession = true;
+  next();
+};
 
 export const sessionMiddleware = async (req, res, next) => {
   console.log("🔥 SessionMiddleware called");
@@ -7,29 +19,76 @@ export const sessionMiddleware = async (req, res, next) => {
   const db = getDB();
   const userToExpertSessionCollection = db.collection("usertoexpertsessions");
   try {
-    let session;
+    let sessions;
+    let counterpartField;
 
     if (req.user) {
-      const sessions = await userToExpertSessionCollection
+      sessions = await userToExpertSessionCollection
         .find({"$and" : [{ userId: new ObjectId(req.user._id) } , {status : "confirmed"}]})
         .toArray();
-
-      req.session = sessions; // all sessions (array) stored here
-      console.log("session middleware is passed")
-      return next();
-    }
-    if (req.expert) {
-      const sessions = await userToExpertSessionCollection
+      counterpartField = "expertId";
+    } else if (req.expert) {
+      sessions = await userToExpertSessionCollection
         .find({"$and" : [{ expertId: new ObjectId(req.expert._id) } , {status : "confirmed"}]})
         .toArray();
+      counterpartField = "userId";
+    } else {
+      console.error("❌ user/expert not found in session validation");
+      return res.status(401).json({ message: "Not authenticated" });
+    }
+
+    req.session = sessions; // all sessions (array) stored here
+
+    // Conversation routes (/:id), and edits/deletes of a message, are limited
+    // to counterparts the caller has a confirmed session with, inside the
+    // session's time window (read-only once it has ended)
+    const isWriteRequest = req.method !== "GET" && !req.allowReadOnlySession;
+    const participantId = (req.user || req.expert)._id;
+    const counterpartId =
+      req.params.id ||
+      (isWriteRequest
+        ? await resolveCounterpartFromRequest(req, "messages", participantId)
+        : null);
 
-      req.session = sessions;
-      console.log("session middleware is passed")
-      return next();
+    if (counterpartId) {
+      const counterpartSessions = sessions.filter(
+        (s) => s[counterpartField]?.toString() === counterpartId
+      );
+
+      if (counterpartSessions.length === 0) {
+        console.log(`❌ No confirmed session with counterpart ${counterpartId}`);
+        return res.status(403).json({
+          message: "Not authorized to access this conversation",
+        });
+      }
+
+      const access = getSessionAccess(counterpartSessions);
+
+      if (!access.canRead) {
+        return res.status(403).json({
+          message: "Session has not started yet",
+          sessionStartsAt: access.window?.opensAt,
+        });
+      }
+
+      if (isWriteRequest && !access.canWrite) {
+        return res.status(403).json({
+          message: "Session has ended; this conversation is read-only",
+          readOnly: true,
+          sessionEndedAt: access.window?.closesAt,
+        });
+      }
+
+      req.counterpartSession = access.session;
+      req.sessionAccess = access;
     }
 
-    console.error("❌ user/expert not found in session validation");
+    console.log("session middleware is passed")
+    return next();
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("❌ Error in session middleware:", error.message);
     return res.status(500).json({ message: "Internal Server Error" });
   }
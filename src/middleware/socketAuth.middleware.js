@@ -0,0 +1,40 @@
+import { verifyAccessToken, getAuthErrorMessage } from "./auth.middleware.js";
+
+// Socket.IO middleware: authenticate the handshake with the same access token
+// protectRoute expects, and derive the socket identity from it instead of
+// trusting userId/expertId sent in the query string
+export const socketAuthMiddleware = async (socket, next) => {
+  console.log("🔥 SocketAuthMiddleware called", socket.id);
+
+  try {
+    const token =
+      socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.replace("Bearer ", "");
+
+    const { role, user, expert, decodedToken } = await verifyAccessToken(
+      token
+    );
+
+    socket.data.role = role;
+    if (user) {
+      socket.data.userId = user._id.toString();
+      socket.data.user = user;
+    } else {
+      socket.data.expertId = expert._id.toString();
+      socket.data.expert = expert;
+    }
+
+    // jwt exp is in seconds; used to drop the socket once the token expires
+    socket.data.tokenExpiresAt = decodedToken?.exp
+      ? decodedToken.exp * 1000
+      : null;
+
+    console.log("socket auth middleware is passed as", role);
+    next();
+  } catch (error) {
+    console.error("❌ Socket authentication failed:", error.message);
+    const authError = new Error(getAuthErrorMessage(error));
+    authError.data = { status: 401 };
+    next(authError);
+  }
+};
@@ -1,4 +1,5 @@
 import { ExpertSessionMiddleware } from "../middleware/expertSessionValidation.js";
+import { allowReadOnlySession } from "../middleware/sessionvalidation.js";
 import {
   getExpertsForSidebar,
   getExpertMessages,
@@ -6,6 +7,13 @@ import {
   deleteExpertMessage,
   editExpertMessage,
   deleteAllExpertMessages,
+  markExpertMessagesRead,
+  addExpertReaction,
+  removeExpertReaction,
+  getExpertMessageRevisions,
+  searchExpertConversations,
+  exportExpertConversation,
+  getExpertStorageUsage,
 } from "../controller/expert.message.controller.js";
 
 import {
@@ -14,6 +22,8 @@ import {
   deleteFileExpert,
   uploadMiddleware,
   getExpertFileInfo,
+  getExpertFileThumbnail,
+  getExpertFilePreview,
 } from "../controller/expert.file.controller.js";
 
 import {
@@ -27,6 +37,14 @@ import {
   getConversationVoiceMessages,
 } from "../controller/expert.voiceController.js";
 
+import {
+  initExpertUpload,
+  getExpertUploadStatus,
+  uploadExpertChunk,
+  completeExpertUpload,
+  cancelExpertUpload,
+} from "../controller/resumableUpload.controller.js";
+
 import { protectRoute } from "../middleware/auth.middleware.js";
 import express from "express";
 
@@ -46,6 +64,24 @@ route.get(
   ExpertSessionMiddleware,
   getExpertMessages
 );
+route.get(
+  "/expert-messages/search",
+  protectRoute,
+  ExpertSessionMiddleware,
+  searchExpertConversations
+);
+route.get(
+  "/expert-messages/export/:id",
+  protectRoute,
+  ExpertSessionMiddleware,
+  exportExpertConversation
+);
+route.get(
+  "/expert-storage/usage",
+  protectRoute,
+  ExpertSessionMiddleware,
+  getExpertStorageUsage
+);
 route.post(
   "/expert-messages/send/:id",
   protectRoute,
@@ -70,6 +106,31 @@ route.put(
   ExpertSessionMiddleware,
   editExpertMessage
 );
+route.get(
+  "/expert-message/revisions/:messageId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  getExpertMessageRevisions
+);
+route.post(
+  "/expert-message/react",
+  protectRoute,
+  ExpertSessionMiddleware,
+  addExpertReaction
+);
+route.delete(
+  "/expert-message/react",
+  protectRoute,
+  ExpertSessionMiddleware,
+  removeExpertReaction
+);
+route.post(
+  "/expert-messages/markread/:id",
+  protectRoute,
+  allowReadOnlySession,
+  ExpertSessionMiddleware,
+  markExpertMessagesRead
+);
 
 // File operations - Expert to expert
 route.post(
@@ -91,6 +152,18 @@ route.get(
   ExpertSessionMiddleware,
   downloadFileExpert
 );
+route.get(
+  "/expert-file/thumbnail/:fileId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  getExpertFileThumbnail
+);
+route.get(
+  "/expert-file/preview/:fileId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  getExpertFilePreview
+);
 route.delete(
   "/expert-file/delete",
   protectRoute,
@@ -98,6 +171,44 @@ route.delete(
   deleteFileExpert
 );
 
+// Resumable (chunked) uploads of files and voice messages
+route.post(
+  "/expert-uploads/:id",
+  protectRoute,
+  ExpertSessionMiddleware,
+  initExpertUpload
+);
+route.head(
+  "/expert-uploads/:id/:uploadId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  getExpertUploadStatus
+);
+route.put(
+  "/expert-uploads/:id/:uploadId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  uploadExpertChunk
+);
+route.patch(
+  "/expert-uploads/:id/:uploadId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  uploadExpertChunk
+);
+route.post(
+  "/expert-uploads/:id/:uploadId/complete",
+  protectRoute,
+  ExpertSessionMiddleware,
+  completeExpertUpload
+);
+route.delete(
+  "/expert-uploads/:id/:uploadId",
+  protectRoute,
+  ExpertSessionMiddleware,
+  cancelExpertUpload
+);
+
 // voice operations
 route.post(
   "/expert-voice/upload/:id",
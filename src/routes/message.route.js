@@ -1,6 +1,9 @@
 import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import { sessionMiddleware } from "../middleware/sessionvalidation.js";
+import {
+  sessionMiddleware,
+  allowReadOnlySession,
+} from "../middleware/sessionvalidation.js";
 import { 
   getUserForSidebar, 
   getMessages, 
@@ -8,13 +11,22 @@ import {
   deleteOneMessage, 
   deleteAllMessage, 
   editMessage, 
-  getLogginUser 
+  getLogginUser,
+  markMessagesRead,
+  addReaction,
+  removeReaction,
+  getMessageRevisions,
+  searchConversations,
+  exportConversation,
+  getStorageUsage
 } from "../controller/message.controller.js";
 import { 
   uploadMiddleware, 
   uploadFile, 
   getFileInfo, 
   downloadFile, 
+  getFileThumbnail,
+  getFilePreview,
   deleteFile, 
   getConversationFiles 
 } from "../controller/file.controller.js";
@@ -28,6 +40,13 @@ import {
   getConversationVoiceMessages,
   handleMulterError
 } from "../controller/voice.controller.js";
+import {
+  initUpload,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+} from "../controller/resumableUpload.controller.js";
 
 const route = express.Router();
 
@@ -38,18 +57,37 @@ route.get("/logginuser", protectRoute, sessionMiddleware, getLogginUser);
 // Basic messaging
 route.get("/users", protectRoute, sessionMiddleware, getUserForSidebar);
 route.get("/get/:id", protectRoute, sessionMiddleware, getMessages);
+route.get("/search", protectRoute, sessionMiddleware, searchConversations);
+route.get("/export/:id", protectRoute, sessionMiddleware, exportConversation);
 route.post("/send/:id", protectRoute, sessionMiddleware, sendMessage);
 route.delete("/delete", protectRoute, sessionMiddleware, deleteOneMessage);
 route.delete("/deleteallmessage", protectRoute, sessionMiddleware, deleteAllMessage);
 route.put('/edit', protectRoute, sessionMiddleware, editMessage);
+route.get("/revisions/:messageId", protectRoute, sessionMiddleware, getMessageRevisions);
+route.post("/react", protectRoute, sessionMiddleware, addReaction);
+route.delete("/react", protectRoute, sessionMiddleware, removeReaction);
+route.post("/markread/:id", protectRoute, allowReadOnlySession, sessionMiddleware, markMessagesRead);
 
 // File operations - User to EXPERT
 route.post("/upload/:id", protectRoute, sessionMiddleware, uploadMiddleware, uploadFile);
 route.get("/files/info/:fileId", protectRoute, sessionMiddleware, getFileInfo);
 route.get("/files/download/:fileId", protectRoute, sessionMiddleware, downloadFile);
+route.get("/files/thumbnail/:fileId", protectRoute, sessionMiddleware, getFileThumbnail);
+route.get("/files/preview/:fileId", protectRoute, sessionMiddleware, getFilePreview);
 route.delete("/files/delete", protectRoute, sessionMiddleware, deleteFile);
 route.get("/files/conversation/:id", protectRoute, sessionMiddleware, getConversationFiles);
 
+// Attachment storage used against the caller's quota
+route.get("/storage/usage", protectRoute, sessionMiddleware, getStorageUsage);
+
+// Resumable (chunked) uploads of files and voice messages - User to EXPERT
+route.post("/uploads/:id", protectRoute, sessionMiddleware, initUpload);
+route.head("/uploads/:id/:uploadId", protectRoute, sessionMiddleware, getUploadStatus);
+route.put("/uploads/:id/:uploadId", protectRoute, sessionMiddleware, uploadChunk);
+route.patch("/uploads/:id/:uploadId", protectRoute, sessionMiddleware, uploadChunk);
+route.post("/uploads/:id/:uploadId/complete", protectRoute, sessionMiddleware, completeUpload);
+route.delete("/uploads/:id/:uploadId", protectRoute, sessionMiddleware, cancelUpload);
+
 // Voice message operations - User to EXPERT
 route.post("/voice/:id", protectRoute, sessionMiddleware, voiceUploadMiddleware, handleMulterError, uploadVoiceMessage);
 route.get("/voice/info/:voiceId", protectRoute, sessionMiddleware, getVoiceInfo);
@@ -0,0 +1,76 @@
+// One-off backfill of createdAt on messages stored before every message had
+// one. Legacy file and voice messages only carried uploadDate; conversation
+// pages are matched and sorted on (createdAt, _id) so they can use the
+// conversation_createdAt index, and leave out messages without createdAt.
+// Messages whose uploadDate was already dropped by migrate:attachments take
+// the createdAt of their attachment instead.
+//
+// Run before migrate:attachments, or after it to pick up what it moved.
+//
+//   npm run migrate:created-at            # backfill
+//   npm run migrate:created-at -- --dry   # only report what would change
+
+import dotenv from "dotenv";
+import { connectDB, getDB } from "../lib/db.js";
+import { ATTACHMENTS_COLLECTION } from "../services/attachment.service.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry");
+
+const backfillCollection = async (collectionName) => {
+  const db = getDB();
+  const collection = db.collection(collectionName);
+  const counts = { backfilled: 0, missing: 0 };
+
+  for await (const message of collection.find({
+    createdAt: { $exists: false },
+  })) {
+    let createdAt = message.uploadDate;
+    if (!createdAt && message.attachmentId) {
+      const attachment = await db
+        .collection(ATTACHMENTS_COLLECTION)
+        .findOne(
+          { _id: message.attachmentId },
+          { projection: { createdAt: 1 } }
+        );
+      createdAt = attachment?.createdAt;
+    }
+
+    if (!createdAt) {
+      console.log(`⚠️ ${collectionName} ${message._id}: no date to use`);
+      counts.missing += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      await collection.updateOne(
+        { _id: message._id, createdAt: { $exists: false } },
+        { $set: { createdAt } }
+      );
+    }
+    counts.backfilled += 1;
+  }
+
+  return counts;
+};
+
+const run = async () => {
+  await connectDB();
+
+  for (const collectionName of ["messages", "expertMessages"]) {
+    const { backfilled, missing } = await backfillCollection(collectionName);
+    console.log(
+      `✅ ${collectionName}: ${backfilled} ${
+        dryRun ? "to backfill" : "backfilled"
+      }, ${missing} without a date`
+    );
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ createdAt backfill failed:", error);
+    process.exit(1);
+  });
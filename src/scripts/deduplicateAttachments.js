@@ -0,0 +1,99 @@
+// One-off deduplication of attachments stored before content addressing.
+// Each live attachment without a contentHash is hashed from storage. The
+// first one of a given content becomes the blob (keeping its storage key);
+// later copies are pointed at that blob and their own stored object removed.
+// Attachments whose file is missing are reported and left untouched.
+//
+// Run after migrate:attachments.
+//
+//   npm run migrate:dedupe            # deduplicate
+//   npm run migrate:dedupe -- --dry   # only report what would change
+
+import dotenv from "dotenv";
+import { connectDB, getDB } from "../lib/db.js";
+import { getStorage } from "../lib/storage/index.js";
+import { ATTACHMENTS_COLLECTION } from "../services/attachment.service.js";
+import {
+  BLOBS_COLLECTION,
+  addBlobReference,
+  hashStream,
+} from "../services/blob.service.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry");
+
+const run = async () => {
+  await connectDB();
+
+  const attachments = getDB().collection(ATTACHMENTS_COLLECTION);
+  const storage = getStorage();
+  const counts = { hashed: 0, duplicates: 0, missing: 0, bytesFreed: 0 };
+  // Storage key per hash seen in this run, for --dry
+  const seen = new Map();
+
+  const cursor = attachments.find({
+    contentHash: { $exists: false },
+    storageKey: { $exists: true },
+    status: { $in: ["pending_scan", "active"] },
+  });
+
+  for await (const attachment of cursor) {
+    const { storageKey } = attachment;
+    if (!(await storage.stat(storageKey))) {
+      console.log(`⚠️ ${attachment._id}: file missing`, storageKey);
+      counts.missing += 1;
+      continue;
+    }
+
+    const contentHash = await hashStream(
+      await storage.createReadStream(storageKey)
+    );
+    counts.hashed += 1;
+
+    let blobKey;
+    if (dryRun) {
+      const existing = await getDB()
+        .collection(BLOBS_COLLECTION)
+        .findOne({ _id: contentHash });
+      blobKey = existing?.storageKey || seen.get(contentHash) || storageKey;
+      seen.set(contentHash, blobKey);
+    } else {
+      const blob = await addBlobReference({
+        contentHash,
+        storageKey,
+        size: attachment.size,
+      });
+      blobKey = blob.storageKey;
+
+      await attachments.updateOne(
+        { _id: attachment._id },
+        { $set: { contentHash, storageKey: blobKey } }
+      );
+    }
+
+    if (blobKey !== storageKey) {
+      console.log(`♻️ ${attachment._id}: ${storageKey} -> ${blobKey}`);
+      if (!dryRun) {
+        await storage.delete(storageKey);
+      }
+      counts.duplicates += 1;
+      counts.bytesFreed += attachment.size || 0;
+    }
+  }
+
+  console.log(
+    `✅ ${counts.hashed} hashed, ${counts.duplicates} ${
+      dryRun ? "duplicates to remove" : "duplicates removed"
+    } (${Math.round(counts.bytesFreed / 1024 / 1024)}MB), ${
+      counts.missing
+    } missing`
+  );
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Attachment deduplication failed:", error);
+    process.exit(1);
+  });
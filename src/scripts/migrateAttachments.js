@@ -0,0 +1,179 @@
+// One-off migration of legacy attachments into the "attachments" collection.
+// Before it, a user file was a single document in "messages" that doubled as
+// the message, a user voice note was a metadata document plus a message
+// pointing at it (voiceId), and expert files and voice notes were single
+// documents in "expertMessages". Every attachment keeps the _id clients
+// already know it by (fileId / voiceId), messages get attachmentId, and the
+// separate user voice documents are removed.
+//
+// Run after migrate:storage.
+//
+//   npm run migrate:attachments            # migrate
+//   npm run migrate:attachments -- --dry   # only report what would change
+
+import dotenv from "dotenv";
+import { connectDB, getDB } from "../lib/db.js";
+import { getStorageKey } from "../lib/storage/index.js";
+import {
+  ATTACHMENTS_COLLECTION,
+  attachmentMessageFields,
+} from "../services/attachment.service.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry");
+
+// Storage and metadata fields that now live on the attachment only
+const LEGACY_FIELDS = {
+  fileName: "",
+  mimeType: "",
+  size: "",
+  duration: "",
+  storageKey: "",
+  path: "",
+  uploadDate: "",
+  voiceId: "",
+};
+
+const buildAttachment = ({ collectionName, kind, id, message, source }) => {
+  const deleted = Boolean(
+    message.deletedForEveryone || source?.deletedForEveryone || !source
+  );
+
+  return {
+    _id: id,
+    collectionName,
+    kind,
+    messageId: message._id,
+    senderId: message.senderId,
+    receiverId: message.receiverId,
+    originalName: source?.originalName || null,
+    fileName: source?.fileName || null,
+    mimeType: source?.mimeType || null,
+    size: source?.size || null,
+    duration: kind === "voice" ? source?.duration || null : null,
+    storageKey: deleted ? null : getStorageKey(source),
+    status: deleted ? "deleted" : "active",
+    createdAt: message.createdAt || source?.uploadDate || null,
+    ...(deleted && { deletedAt: message.deletedAt || null }),
+  };
+};
+
+// Link a message to its new attachment. Tombstones only get the reference;
+// existing text (edited captions, "Voice message") is kept
+const messageUpdate = (message, attachment) => {
+  const fields = message.deletedForEveryone
+    ? {}
+    : attachmentMessageFields(attachment);
+  if (message.text !== undefined) {
+    delete fields.text;
+  }
+
+  return {
+    $set: { attachmentId: attachment._id, ...fields },
+    $unset: LEGACY_FIELDS,
+  };
+};
+
+const migrateAttachment = async (collection, attachment, message) => {
+  console.log(
+    `📎 ${attachment.collectionName} ${message._id}:`,
+    `${attachment.kind} ${attachment._id} (${attachment.status})`
+  );
+  if (dryRun) return;
+
+  await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .updateOne(
+      { _id: attachment._id },
+      { $setOnInsert: attachment },
+      { upsert: true }
+    );
+  await collection.updateOne(
+    { _id: message._id },
+    messageUpdate(message, attachment)
+  );
+};
+
+// Files in both collections, and expert voice notes, are single documents
+const migrateSingleDocuments = async (collectionName, kind, filter) => {
+  const collection = getDB().collection(collectionName);
+  let count = 0;
+
+  for await (const doc of collection.find({
+    ...filter,
+    attachmentId: { $exists: false },
+  })) {
+    const attachment = buildAttachment({
+      collectionName,
+      kind,
+      id: doc._id,
+      message: doc,
+      source: doc,
+    });
+    await migrateAttachment(collection, attachment, doc);
+    count += 1;
+  }
+
+  return count;
+};
+
+// User voice notes: the message points at a separate metadata document
+const migrateLinkedVoiceNotes = async () => {
+  const collection = getDB().collection("messages");
+  let count = 0;
+
+  for await (const message of collection.find({
+    voiceId: { $exists: true },
+    attachmentId: { $exists: false },
+  })) {
+    const voiceDoc = await collection.findOne({ _id: message.voiceId });
+    const attachment = buildAttachment({
+      collectionName: "messages",
+      kind: "voice",
+      id: message.voiceId,
+      message,
+      source: voiceDoc,
+    });
+    await migrateAttachment(collection, attachment, message);
+
+    if (voiceDoc && !dryRun) {
+      await collection.deleteOne({ _id: voiceDoc._id });
+    }
+    count += 1;
+  }
+
+  return count;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const counts = {
+    "messages files": await migrateSingleDocuments("messages", "file", {
+      originalName: { $exists: true },
+    }),
+    "messages voice notes": await migrateLinkedVoiceNotes(),
+    "expertMessages files": await migrateSingleDocuments(
+      "expertMessages",
+      "file",
+      { originalName: { $exists: true }, isVoice: { $ne: true } }
+    ),
+    "expertMessages voice notes": await migrateSingleDocuments(
+      "expertMessages",
+      "voice",
+      { isVoice: true }
+    ),
+  };
+
+  Object.entries(counts).forEach(([label, count]) => {
+    console.log(`✅ ${label}: ${count} ${dryRun ? "to migrate" : "migrated"}`);
+  });
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Attachment migration failed:", error);
+    process.exit(1);
+  });
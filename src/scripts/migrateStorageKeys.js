@@ -0,0 +1,103 @@
+// One-off migration for attachments written before the storage module.
+// Those documents keep an absolute `path` (uploads/, uploads/voice/,
+// Uploads/expertChat/ or Uploads/expertVoice/ under whatever directory the
+// server ran from). Each file is handed to the configured storage driver under
+// its new key, the document gets `storageKey` and loses `path`. Files that are
+// missing on disk are reported and their documents left untouched.
+//
+//   npm run migrate:storage            # migrate
+//   npm run migrate:storage -- --dry   # only report what would change
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { connectDB, getDB } from "../lib/db.js";
+import { STORAGE_PREFIXES, getStorage } from "../lib/storage/index.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry");
+
+// Storage prefix of a legacy document, by collection and kind
+const prefixFor = (collectionName, doc) => {
+  const isVoice =
+    doc.isVoice || /(?:^|[\\/])(voice|expertVoice)[\\/]/i.test(doc.path);
+
+  if (collectionName === "expertMessages") {
+    return isVoice
+      ? STORAGE_PREFIXES.expertVoice
+      : STORAGE_PREFIXES.expertFile;
+  }
+  return isVoice ? STORAGE_PREFIXES.voice : STORAGE_PREFIXES.file;
+};
+
+// The stored path when it still exists, otherwise the same file relative to
+// the current directory (the server may have moved since it was written)
+const locateFile = (storedPath) => {
+  if (fs.existsSync(storedPath)) return storedPath;
+
+  const normalized = storedPath.split(/[\\/]/).join("/");
+  const match = normalized.match(/(?:^|\/)((?:src\/)?uploads\/.+)$/i);
+  if (!match) return null;
+
+  const candidates = [match[1], match[1].replace(/^src\//i, "")];
+  return (
+    candidates
+      .map((relative) => path.join(process.cwd(), relative))
+      .find((candidate) => fs.existsSync(candidate)) || null
+  );
+};
+
+const migrateCollection = async (collectionName) => {
+  const collection = getDB().collection(collectionName);
+  const storage = getStorage();
+  const counts = { migrated: 0, missing: 0 };
+
+  const cursor = collection.find({
+    path: { $exists: true },
+    storageKey: { $exists: false },
+  });
+
+  for await (const doc of cursor) {
+    const source = locateFile(doc.path);
+    if (!source) {
+      console.log(`⚠️ ${collectionName} ${doc._id}: file missing`, doc.path);
+      counts.missing += 1;
+      continue;
+    }
+
+    const key = `${prefixFor(collectionName, doc)}/${path.basename(source)}`;
+    console.log(`📦 ${collectionName} ${doc._id}: ${source} -> ${key}`);
+
+    if (!dryRun) {
+      await storage.putFile(key, source, { contentType: doc.mimeType });
+      await collection.updateOne(
+        { _id: doc._id },
+        { $set: { storageKey: key }, $unset: { path: "" } }
+      );
+    }
+    counts.migrated += 1;
+  }
+
+  return counts;
+};
+
+const run = async () => {
+  await connectDB();
+
+  for (const collectionName of ["messages", "expertMessages"]) {
+    const { migrated, missing } = await migrateCollection(collectionName);
+    console.log(
+      `✅ ${collectionName}: ${migrated} ${
+        dryRun ? "to migrate" : "migrated"
+      }, ${missing} missing`
+    );
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Storage migration failed:", error);
+    process.exit(1);
+  });
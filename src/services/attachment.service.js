@@ -0,0 +1,327 @@
+// Files and voice notes of both chat collections live in "attachments". The
+// chat message carries attachmentId and the attachment points back with
+// messageId; new attachments share their message's _id, so the fileId /
+// voiceId clients already use keep resolving. Listing, downloading and
+// deleting all go through here, so an attachment is reachable exactly as long
+// as its message is. New uploads start as "pending_scan" and become "active"
+// (downloadable), "quarantined" or "scan_failed" through scan.service. Their bytes are
+// deduplicated through blob.service: contentHash names the shared blob
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { ApiError } from "../lib/ApiError.js";
+import { deleteStoredFile } from "../lib/storage/index.js";
+import { releaseBlob } from "./blob.service.js";
+import { discardImagePreviews } from "./imagePreview.service.js";
+import { visibleToFilter } from "./deletion.service.js";
+
+export const ATTACHMENTS_COLLECTION = "attachments";
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+const kindLabel = (kind) => (kind === "voice" ? "voice message" : "file");
+
+// Scan state shown to clients for an attachment status
+const SCAN_STATUSES = {
+  pending_scan: "pending",
+  active: "clean",
+  quarantined: "quarantined",
+  scan_failed: "failed",
+};
+
+export const getScanStatus = (attachment) =>
+  SCAN_STATUSES[attachment.status] || null;
+
+// The part of an image's renderings its message carries
+export const messageImage = (image) => ({
+  width: image.width,
+  height: image.height,
+  placeholder: image.placeholder,
+});
+
+// Message fields that describe an attachment without loading it, so history,
+// previews and search work from the message alone. Images also carry their
+// dimensions and blur placeholder so bubbles can be laid out before loading
+export const attachmentMessageFields = (attachment) =>
+  attachment.kind === "voice"
+    ? {
+        text: "Voice message",
+        isVoice: true,
+        voiceDuration: attachment.duration,
+        voiceSize: attachment.size,
+        voiceMimeType: attachment.mimeType,
+      }
+    : {
+        text: `File: ${attachment.originalName}`,
+        isFile: true,
+        originalName: attachment.originalName,
+        fileType: attachment.mimeType,
+        fileSize: attachment.size,
+        ...(attachment.image && { image: messageImage(attachment.image) }),
+      };
+
+// Store an uploaded attachment (kind "file" or "voice", file in multer's
+// shape) and the chat message carrying it. storageKey and contentHash are
+// what storeAttachmentContent returned for the file. mimeType is the type verified from
+// the content when there is one; the client's claim is kept as
+// declaredMimeType. Image previews are added once the scan passes. If the
+// message cannot be written the attachment record is removed again; the
+// stored content is the caller's to release
+export const createAttachmentMessage = async ({
+  collectionName,
+  kind,
+  file,
+  mimeType = file.mimetype,
+  storageKey,
+  contentHash = null,
+  senderId,
+  receiverId,
+  duration = null,
+  replyTo = null,
+}) => {
+  const db = getDB();
+  const attachments = db.collection(ATTACHMENTS_COLLECTION);
+  const id = new ObjectId();
+  const now = new Date();
+
+  const attachment = {
+    _id: id,
+    collectionName,
+    kind,
+    messageId: id,
+    senderId: toObjectId(senderId),
+    receiverId: toObjectId(receiverId),
+    originalName: file.originalname,
+    fileName: file.filename,
+    mimeType,
+    declaredMimeType: file.mimetype,
+    size: file.size,
+    duration: kind === "voice" ? duration : null,
+    storageKey,
+    ...(contentHash && { contentHash }),
+    status: "pending_scan",
+    createdAt: now,
+  };
+
+  const message = {
+    _id: id,
+    senderId: attachment.senderId,
+    receiverId: attachment.receiverId,
+    attachmentId: id,
+    ...attachmentMessageFields(attachment),
+    scanStatus: getScanStatus(attachment),
+    createdAt: now,
+  };
+  if (replyTo) {
+    message.replyTo = replyTo;
+  }
+
+  await attachments.insertOne(attachment);
+  try {
+    await db.collection(collectionName).insertOne(message);
+  } catch (error) {
+    await attachments.deleteOne({ _id: id });
+    throw error;
+  }
+
+  return { attachment, message };
+};
+
+// Client fields for a message's attachment (fileId / voiceId are the
+// attachment id). Messages from before scanning have no scanStatus and were
+// all served as clean
+export const formatAttachmentFields = (msg) => {
+  if (!msg.attachmentId) return {};
+
+  const attachmentId = msg.attachmentId.toString();
+  const scanStatus = msg.scanStatus || "clean";
+  if (msg.isVoice) {
+    return {
+      isVoice: true,
+      voiceId: attachmentId,
+      voiceDuration: msg.voiceDuration || null,
+      voiceSize: msg.voiceSize || null,
+      voiceMimeType: msg.voiceMimeType || "audio/webm",
+      scanStatus,
+    };
+  }
+
+  return {
+    isFile: true,
+    fileId: attachmentId,
+    fileName: msg.originalName || null,
+    fileType: msg.fileType || null,
+    fileSize: msg.fileSize || null,
+    image: msg.image || null,
+    scanStatus,
+  };
+};
+
+// Load an attachment for one of its participants. Its message must be
+// visible to the participant (not deleted for everyone or hidden by them),
+// and unless downloadable is false it must have passed its malware scan
+export const getAttachmentForParticipant = async ({
+  collectionName,
+  attachmentId,
+  participantId,
+  kind,
+  downloadable = true,
+}) => {
+  const label = kindLabel(kind);
+
+  if (!attachmentId || !ObjectId.isValid(attachmentId)) {
+    throw new ApiError(400, `Invalid ${label} ID`);
+  }
+
+  if (!participantId) {
+    throw new ApiError(401, "Authentication required");
+  }
+
+  const db = getDB();
+  const participantObjId = toObjectId(participantId);
+
+  const attachment = await db.collection(ATTACHMENTS_COLLECTION).findOne({
+    _id: toObjectId(attachmentId),
+    collectionName,
+    kind,
+    status: { $in: Object.keys(SCAN_STATUSES) },
+  });
+
+  if (!attachment) {
+    throw new ApiError(404, `The ${label} was not found or has been deleted`);
+  }
+
+  if (
+    !attachment.senderId.equals(participantObjId) &&
+    !attachment.receiverId.equals(participantObjId)
+  ) {
+    throw new ApiError(403, `Not authorized to access this ${label}`);
+  }
+
+  const message = await db.collection(collectionName).findOne(
+    {
+      _id: attachment.messageId,
+      deletedForEveryone: { $ne: true },
+      ...visibleToFilter(participantObjId),
+    },
+    { projection: { _id: 1 } }
+  );
+
+  if (!message) {
+    throw new ApiError(404, `The ${label} was not found or has been deleted`);
+  }
+
+  if (downloadable && attachment.status === "pending_scan") {
+    throw new ApiError(409, `The ${label} is still being scanned`);
+  }
+  if (downloadable && attachment.status === "scan_failed") {
+    throw new ApiError(
+      422,
+      `The ${label} could not be scanned for malware and cannot be downloaded`
+    );
+  }
+  if (downloadable && attachment.status === "quarantined") {
+    throw new ApiError(
+      410,
+      `The ${label} failed a malware scan and has been quarantined`
+    );
+  }
+
+  return attachment;
+};
+
+// Active attachments of one kind in a conversation whose messages the
+// participant can still see, newest first
+export const listConversationAttachments = async ({
+  collectionName,
+  participantId,
+  counterpartId,
+  kind,
+}) => {
+  const db = getDB();
+  const participantObjId = toObjectId(participantId);
+  const counterpartObjId = toObjectId(counterpartId);
+
+  const messages = await db
+    .collection(collectionName)
+    .find(
+      {
+        $or: [
+          { senderId: participantObjId, receiverId: counterpartObjId },
+          { senderId: counterpartObjId, receiverId: participantObjId },
+        ],
+        attachmentId: { $exists: true },
+        deletedForEveryone: { $ne: true },
+        ...visibleToFilter(participantObjId),
+      },
+      { projection: { attachmentId: 1 } }
+    )
+    .toArray();
+
+  if (messages.length === 0) {
+    return [];
+  }
+
+  return db
+    .collection(ATTACHMENTS_COLLECTION)
+    .find({
+      _id: { $in: messages.map((msg) => msg.attachmentId) },
+      kind,
+      status: "active",
+    })
+    .sort({ createdAt: -1 })
+    .toArray();
+};
+
+// Attachments referenced by the given messages, keyed by attachment id
+export const findAttachmentsForMessages = async (messages) => {
+  const ids = messages.map((msg) => msg.attachmentId).filter(Boolean);
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const attachments = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .find({ _id: { $in: ids } })
+    .toArray();
+
+  return Object.fromEntries(
+    attachments.map((attachment) => [attachment._id.toString(), attachment])
+  );
+};
+
+// Mark the attachments of messages deleted for everyone as deleted and
+// release their stored files: a deduplicated one is removed with its last
+// reference, one from before deduplication right away. Quarantined files are
+// left where they are
+export const releaseAttachments = async (messages, now = new Date()) => {
+  const ids = messages.map((msg) => msg.attachmentId).filter(Boolean);
+  if (ids.length === 0) return;
+
+  const collection = getDB().collection(ATTACHMENTS_COLLECTION);
+  const attachments = await collection
+    .find({
+      _id: { $in: ids },
+      status: { $in: ["active", "pending_scan", "scan_failed"] },
+    })
+    .toArray();
+
+  await collection.updateMany(
+    { _id: { $in: attachments.map((attachment) => attachment._id) } },
+    {
+      $set: { status: "deleted", deletedAt: now },
+      $unset: { storageKey: "", contentHash: "", image: "" },
+    }
+  );
+
+  // The records are already marked; a leftover file is only wasted space
+  await Promise.all(
+    attachments.flatMap((attachment) => [
+      attachment.contentHash
+        ? releaseBlob(attachment.contentHash)
+        : deleteStoredFile(attachment),
+      discardImagePreviews(attachment.image),
+    ])
+  );
+};
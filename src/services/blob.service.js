@@ -0,0 +1,114 @@
+// Content-addressed storage for attachment bytes. Every upload is hashed
+// (SHA-256) and stored once per distinct content under the "blobs" prefix;
+// "attachmentBlobs" keeps one record per hash with the storage key and how
+// many attachments reference it. An attachment adds a reference when it is
+// created and drops it when its message is deleted for everyone, and the
+// stored object is removed with the last reference, whichever conversation
+// it was in.
+//
+// Each record gets its own storage key (the hash plus a unique suffix), so a
+// blob removed with its last reference never shares a key with the same
+// content uploaded again right after
+
+import crypto from "crypto";
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import { ObjectId } from "mongodb";
+import { getDB } from "../lib/db.js";
+import {
+  STORAGE_PREFIXES,
+  discardUpload,
+  getStorage,
+} from "../lib/storage/index.js";
+
+export const BLOBS_COLLECTION = "attachmentBlobs";
+
+// SHA-256 of a stream, hex encoded
+export const hashStream = async (stream) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(stream, hash);
+  return hash.digest("hex");
+};
+
+const blobKey = (contentHash) =>
+  `${STORAGE_PREFIXES.blob}/${contentHash.slice(0, 2)}/${contentHash}-${new ObjectId()}`;
+
+// Add a reference to the blob for contentHash, creating its record with
+// storageKey when there is none yet. Returns the record after the update
+export const addBlobReference = async ({ contentHash, storageKey, size }) => {
+  const now = new Date();
+
+  return getDB()
+    .collection(BLOBS_COLLECTION)
+    .findOneAndUpdate(
+      { _id: contentHash },
+      {
+        $inc: { refCount: 1 },
+        $set: { lastReferencedAt: now },
+        $setOnInsert: { storageKey, size, createdAt: now },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+};
+
+// Drop one reference to a blob and remove it from storage when it was the
+// last. Failures are logged; a blob left behind is only wasted space
+export const releaseBlob = async (contentHash) => {
+  if (!contentHash) return;
+
+  try {
+    const collection = getDB().collection(BLOBS_COLLECTION);
+    const blob = await collection.findOneAndUpdate(
+      { _id: contentHash },
+      { $inc: { refCount: -1 } },
+      { returnDocument: "after" }
+    );
+    if (!blob || blob.refCount > 0) return;
+
+    // A new reference taken in the meantime keeps the blob
+    const removed = await collection.deleteOne({
+      _id: contentHash,
+      storageKey: blob.storageKey,
+      refCount: { $lte: 0 },
+    });
+    if (removed.deletedCount === 1) {
+      await getStorage().delete(blob.storageKey);
+    }
+  } catch (error) {
+    console.error("❌ Failed to release stored content:", error.message);
+  }
+};
+
+// Forget a blob without touching its stored object, which the caller has
+// moved elsewhere (quarantine); later uploads of the content start afresh
+export const detachBlob = (contentHash, storageKey) =>
+  getDB()
+    .collection(BLOBS_COLLECTION)
+    .deleteOne({ _id: contentHash, storageKey });
+
+// Store a multer upload by its content and return { storageKey, contentHash }.
+// Content already stored is only referenced again and the temp file removed
+export const storeAttachmentContent = async (file, contentType) => {
+  const contentHash = await hashStream(fs.createReadStream(file.path));
+  const blob = await addBlobReference({
+    contentHash,
+    storageKey: blobKey(contentHash),
+    size: file.size,
+  });
+
+  try {
+    // Written here unless it is already stored; a missing object (the first
+    // upload of it failed, or is still being written) is simply put again
+    const stored = await getStorage().stat(blob.storageKey);
+    if (stored) {
+      await discardUpload(file);
+    } else {
+      await getStorage().putFile(blob.storageKey, file.path, { contentType });
+    }
+  } catch (error) {
+    await releaseBlob(contentHash);
+    throw error;
+  }
+
+  return { storageKey: blob.storageKey, contentHash };
+};
@@ -0,0 +1,326 @@
+// Conversation-level queries: per-conversation summaries (unread count, last
+// message, last activity) for the sidebar endpoints, computed in a single
+// aggregation per request, cursor-paginated message history and the quoted
+// snapshots stored on replies
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { getReceiverSocketId } from "../lib/socket.js";
+import { ApiError } from "../lib/ApiError.js";
+import { visibleToFilter } from "./deletion.service.js";
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+// "deleted" / "text" / "file" / "voice" for a stored message
+const getMessageType = (msg) => {
+  if (msg.deletedForEveryone) return "deleted";
+  if (msg.isVoice) return "voice";
+  if (msg.isFile) return "file";
+  return "text";
+};
+
+// Preview of a stored message for the sidebar
+const formatPreview = (msg, participantObjId) => {
+  const type = getMessageType(msg);
+
+  return {
+    _id: msg._id.toString(),
+    type,
+    text:
+      type === "deleted"
+        ? "Message deleted"
+        : type === "file"
+        ? msg.originalName || msg.text
+        : msg.text || (type === "voice" ? "Voice message" : ""),
+    senderId: msg.senderId.toString(),
+    isMine: msg.senderId.equals(participantObjId),
+    time: msg.activityAt,
+  };
+};
+
+// Returns { [counterpartId]: { unreadCount, lastMessage, lastActivityAt } }
+// for every counterpart that has at least one message with the participant
+export const getConversationSummaries = async ({
+  collectionName,
+  participantId,
+  counterpartIds,
+}) => {
+  if (counterpartIds.length === 0) {
+    return {};
+  }
+
+  const db = getDB();
+  const participantObjId = toObjectId(participantId);
+  const counterpartObjIds = counterpartIds.map(toObjectId);
+
+  const summaries = await db
+    .collection(collectionName)
+    .aggregate([
+      {
+        $match: {
+          $or: [
+            {
+              senderId: participantObjId,
+              receiverId: { $in: counterpartObjIds },
+            },
+            {
+              receiverId: participantObjId,
+              senderId: { $in: counterpartObjIds },
+            },
+          ],
+          ...visibleToFilter(participantObjId),
+        },
+      },
+      {
+        $addFields: {
+          activityAt: { $ifNull: ["$createdAt", "$uploadDate"] },
+        },
+      },
+      { $sort: { activityAt: -1 } },
+      {
+        $group: {
+          _id: {
+            $cond: [
+              { $eq: ["$senderId", participantObjId] },
+              "$receiverId",
+              "$senderId",
+            ],
+          },
+          lastMessage: { $first: "$$ROOT" },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$receiverId", participantObjId] },
+                    { $not: ["$readAt"] },
+                    { $not: ["$deletedForEveryone"] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ])
+    .toArray();
+
+  return Object.fromEntries(
+    summaries.map((summary) => [
+      summary._id.toString(),
+      {
+        unreadCount: summary.unreadCount,
+        lastMessage: formatPreview(summary.lastMessage, participantObjId),
+        lastActivityAt: summary.lastMessage.activityAt || null,
+      },
+    ])
+  );
+};
+
+// Merge summaries and online state into sidebar entries, most recent first;
+// counterparts without messages keep their original order at the end
+export const withConversationSummaries = (counterparts, summaries) =>
+  counterparts
+    .map((counterpart) => {
+      const id = counterpart._id.toString();
+      const summary = summaries[id];
+
+      return {
+        ...counterpart,
+        unreadCount: summary?.unreadCount || 0,
+        lastMessage: summary?.lastMessage || null,
+        lastActivityAt: summary?.lastActivityAt || null,
+        isOnline: Boolean(getReceiverSocketId(id)),
+      };
+    })
+    .sort(
+      (a, b) =>
+        (b.lastActivityAt ? new Date(b.lastActivityAt).getTime() : 0) -
+        (a.lastActivityAt ? new Date(a.lastActivityAt).getTime() : 0)
+    );
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Turn a `before` / `after` cursor (message id or timestamp) into the
+// (createdAt, _id) position it stands for
+const resolveCursor = async (collection, conversationFilter, cursor) => {
+  if (ObjectId.isValid(cursor) && String(cursor).length === 24) {
+    const message = await collection.findOne(
+      { _id: new ObjectId(String(cursor)), ...conversationFilter },
+      { projection: { createdAt: 1 } }
+    );
+
+    if (!message?.createdAt) {
+      throw new ApiError(400, "Cursor message not found in this conversation");
+    }
+
+    return { createdAt: message.createdAt, _id: message._id };
+  }
+
+  const timestamp = new Date(isNaN(cursor) ? cursor : Number(cursor));
+  if (isNaN(timestamp.getTime())) {
+    throw new ApiError(
+      400,
+      "Invalid cursor: expected a message ID or timestamp"
+    );
+  }
+
+  return { createdAt: timestamp, _id: null };
+};
+
+// Filter for messages strictly before (direction -1) or after (1) a cursor;
+// _id breaks ties between messages created in the same millisecond
+const cursorFilter = ({ createdAt, _id }, direction) => {
+  const op = direction < 0 ? "$lt" : "$gt";
+
+  if (!_id) {
+    return { createdAt: { [op]: createdAt } };
+  }
+
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: _id } },
+    ],
+  };
+};
+
+// Load one page of a conversation. Without a cursor (or with `before`) pages
+// walk back from the newest message; `after` loads what arrived since. Pages
+// are keyed on (createdAt, _id) so new messages never shift them, and the
+// messages in a page are returned oldest to newest. Legacy messages without
+// createdAt are left out; migrate:created-at backfills them
+export const findConversationPage = async ({
+  collectionName,
+  participantId,
+  counterpartId,
+  before,
+  after,
+  limit,
+}) => {
+  const db = getDB();
+  const collection = db.collection(collectionName);
+
+  const participantObjId = toObjectId(participantId);
+  const counterpartObjId = toObjectId(counterpartId);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  const conversationFilter = {
+    $or: [
+      { senderId: participantObjId, receiverId: counterpartObjId },
+      { senderId: counterpartObjId, receiverId: participantObjId },
+    ],
+  };
+
+  const direction = after ? 1 : -1;
+  const cursor = before || after;
+
+  const filters = [
+    conversationFilter,
+    { createdAt: { $exists: true } },
+    visibleToFilter(participantObjId),
+  ];
+  if (cursor) {
+    const position = await resolveCursor(
+      collection,
+      conversationFilter,
+      cursor
+    );
+    filters.push(cursorFilter(position, direction));
+  }
+
+  const messages = await collection
+    .find({ $and: filters })
+    .sort({ createdAt: direction, _id: direction })
+    .limit(pageSize + 1)
+    .toArray();
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize);
+  if (direction < 0) {
+    page.reverse();
+  }
+
+  const oldest = page[0];
+  const newest = page[page.length - 1];
+
+  return {
+    messages: page,
+    limit: pageSize,
+    hasMoreBefore: direction < 0 ? hasMore : Boolean(after),
+    hasMoreAfter: direction > 0 ? hasMore : Boolean(before),
+    // Pass as ?before= to load older messages, ?after= to load newer ones
+    beforeCursor: oldest ? oldest._id.toString() : null,
+    afterCursor: newest ? newest._id.toString() : after || null,
+  };
+};
+
+const REPLY_SNAPSHOT_TEXT_LENGTH = 200;
+
+// Validate that replyToId is a message in the sender/receiver conversation
+// and return the snapshot stored on the reply as `replyTo`. The snapshot is
+// a copy, so the quote still renders after the original is edited or deleted
+export const buildReplySnapshot = async ({
+  collectionName,
+  replyToId,
+  senderId,
+  receiverId,
+}) => {
+  if (!replyToId) {
+    return null;
+  }
+
+  if (!ObjectId.isValid(replyToId)) {
+    throw new ApiError(400, "Invalid replyToId");
+  }
+
+  const db = getDB();
+  const senderObjId = toObjectId(senderId);
+  const receiverObjId = toObjectId(receiverId);
+
+  const original = await db.collection(collectionName).findOne({
+    _id: toObjectId(replyToId),
+    $or: [
+      { senderId: senderObjId, receiverId: receiverObjId },
+      { senderId: receiverObjId, receiverId: senderObjId },
+    ],
+    deletedForEveryone: { $ne: true },
+    ...visibleToFilter(senderObjId),
+  });
+
+  if (!original) {
+    throw new ApiError(400, "Replied message not found in this conversation");
+  }
+
+  const type = getMessageType(original);
+  const text =
+    (type === "file" ? original.originalName : original.text) ||
+    (type === "voice" ? "Voice message" : "");
+
+  return {
+    messageId: original._id,
+    senderId: original.senderId,
+    type,
+    text: text.slice(0, REPLY_SNAPSHOT_TEXT_LENGTH),
+    createdAt: original.createdAt || original.uploadDate || null,
+  };
+};
+
+// Client shape of a stored reply snapshot
+export const formatReplyTo = (replyTo) =>
+  replyTo
+    ? {
+        messageId: replyTo.messageId.toString(),
+        senderId: replyTo.senderId.toString(),
+        type: replyTo.type,
+        text: replyTo.text,
+        createdAt: replyTo.createdAt,
+      }
+    : null;
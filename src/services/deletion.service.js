@@ -0,0 +1,216 @@
+// Deleting messages, files and voice notes in either chat collection.
+// "me" hides a message only for the caller (hiddenFor); "everyone" turns the
+// sender's message into a tombstone that both sides see as "message deleted",
+// with its content removed and its attachment released. The tombstone keeps
+// the edit history for disputes; history reads never return it. Deleting for
+// everyone is limited to DELETE_FOR_EVERYONE_WINDOW_MINUTES after sending
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { ApiError } from "../lib/ApiError.js";
+import { releaseAttachments } from "./attachment.service.js";
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+export const DELETE_SCOPES = ["me", "everyone"];
+
+// 0 turns the limit off. Read lazily so dotenv has loaded by the time it is
+// used
+export const getDeleteForEveryoneWindowMs = () => {
+  const value = parseFloat(process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES);
+  const minutes = Number.isFinite(value) && value >= 0 ? value : 60;
+  return minutes * 60 * 1000;
+};
+
+// Requests without a scope keep the old behaviour of removing the message
+// for both participants
+export const parseDeleteScope = (scope) => {
+  if (scope === undefined || scope === null || scope === "") {
+    return "everyone";
+  }
+
+  if (!DELETE_SCOPES.includes(scope)) {
+    throw new ApiError(400, 'Invalid scope, expected "me" or "everyone"');
+  }
+
+  return scope;
+};
+
+// Query conditions for messages the participant can still see (tombstones
+// included)
+export const visibleToFilter = (participantId) => ({
+  hiddenFor: { $ne: toObjectId(participantId) },
+});
+
+// Client shape of a message deleted for everyone
+export const formatTombstone = (msg) => ({
+  _id: msg._id.toString(),
+  senderId: msg.senderId.toString(),
+  receiverId: msg.receiverId.toString(),
+  text: "",
+  time: msg.createdAt || msg.uploadDate,
+  isDeleted: true,
+  deletedAt: msg.deletedAt,
+});
+
+const isWithinDeleteWindow = (msg, now) => {
+  const windowMs = getDeleteForEveryoneWindowMs();
+  const sentAt = msg.createdAt || msg.uploadDate;
+
+  return (
+    windowMs === 0 ||
+    !sentAt ||
+    now.getTime() - new Date(sentAt).getTime() <= windowMs
+  );
+};
+
+// Replace messages with tombstones and release their attachments
+const tombstoneMessages = async (collection, messages, deletedBy, now) => {
+  await collection.updateMany(
+    { _id: { $in: messages.map((msg) => msg._id) } },
+    {
+      $set: {
+        deletedForEveryone: true,
+        deletedAt: now,
+        deletedBy,
+        status: "deleted",
+        text: "",
+      },
+      $unset: {
+        originalName: "",
+        replyTo: "",
+        reactions: "",
+        scanStatus: "",
+        image: "",
+      },
+    }
+  );
+
+  await releaseAttachments(messages, now);
+};
+
+// Delete one message for the caller ("me") or for both participants
+// ("everyone"). Returns { messageId, scope, message, alreadyDeleted? } where
+// message is the stored document as it was before the delete
+export const deleteMessageForScope = async ({
+  collectionName,
+  messageId,
+  participantId,
+  scope,
+}) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    throw new ApiError(400, "Invalid message ID");
+  }
+
+  if (!participantId) {
+    throw new ApiError(401, "Authentication required");
+  }
+
+  const deleteScope = parseDeleteScope(scope);
+  const db = getDB();
+  const collection = db.collection(collectionName);
+  const messageObjId = toObjectId(messageId);
+  const participantObjId = toObjectId(participantId);
+
+  const message = await collection.findOne({
+    _id: messageObjId,
+    $or: [{ senderId: participantObjId }, { receiverId: participantObjId }],
+  });
+
+  const result = {
+    messageId: messageObjId.toString(),
+    scope: deleteScope,
+    message,
+  };
+
+  if (!message) {
+    return { ...result, alreadyDeleted: true };
+  }
+
+  if (deleteScope === "me") {
+    const update = await collection.updateOne(
+      { _id: message._id },
+      { $addToSet: { hiddenFor: participantObjId } }
+    );
+    return update.modifiedCount === 0
+      ? { ...result, alreadyDeleted: true }
+      : result;
+  }
+
+  if (!message.senderId.equals(participantObjId)) {
+    throw new ApiError(403, "Not authorized to delete this message");
+  }
+
+  if (message.deletedForEveryone) {
+    return { ...result, alreadyDeleted: true };
+  }
+
+  const now = new Date();
+  if (!isWithinDeleteWindow(message, now)) {
+    throw new ApiError(
+      403,
+      "This message is too old to be deleted for everyone"
+    );
+  }
+
+  await tombstoneMessages(collection, [message], participantObjId, now);
+
+  return { ...result, deletedAt: now };
+};
+
+// Delete a whole conversation: "me" hides every message for the caller,
+// "everyone" tombstones the caller's own messages that are still inside the
+// delete window (the counterpart's messages are theirs to delete)
+export const deleteConversationForScope = async ({
+  collectionName,
+  participantId,
+  counterpartId,
+  scope,
+}) => {
+  if (!ObjectId.isValid(participantId) || !ObjectId.isValid(counterpartId)) {
+    throw new ApiError(400, "Invalid sender or receiver ID");
+  }
+
+  const deleteScope = parseDeleteScope(scope);
+  const db = getDB();
+  const collection = db.collection(collectionName);
+  const participantObjId = toObjectId(participantId);
+  const counterpartObjId = toObjectId(counterpartId);
+
+  if (deleteScope === "me") {
+    const update = await collection.updateMany(
+      {
+        $or: [
+          { senderId: participantObjId, receiverId: counterpartObjId },
+          { senderId: counterpartObjId, receiverId: participantObjId },
+        ],
+        ...visibleToFilter(participantObjId),
+      },
+      { $addToSet: { hiddenFor: participantObjId } }
+    );
+
+    return { scope: deleteScope, deletedCount: update.modifiedCount };
+  }
+
+  const now = new Date();
+  const own = await collection
+    .find({
+      senderId: participantObjId,
+      receiverId: counterpartObjId,
+      deletedForEveryone: { $ne: true },
+    })
+    .toArray();
+
+  const deletable = own.filter((msg) => isWithinDeleteWindow(msg, now));
+  if (deletable.length > 0) {
+    await tombstoneMessages(collection, deletable, participantObjId, now);
+  }
+
+  return {
+    scope: deleteScope,
+    deletedCount: deletable.length,
+    skippedCount: own.length - deletable.length,
+    deletedAt: now,
+  };
+};
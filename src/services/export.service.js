@@ -0,0 +1,436 @@
+// Conversation transcripts for either chat collection, as JSON, a
+// self-contained HTML page or plain text. Sender names come from the user and
+// expert collections and times are shown in the requested IANA timezone.
+// Attachments are referenced by their download route, or bundled next to the
+// transcript in a ZIP archive
+
+import path from "path";
+import archiver from "archiver";
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { ApiError } from "../lib/ApiError.js";
+import { visibleToFilter } from "./deletion.service.js";
+import { findAttachmentsForMessages } from "./attachment.service.js";
+import { getStorage } from "../lib/storage/index.js";
+
+export const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+};
+
+// Download routes for attachments, relative to the API root
+const ATTACHMENT_ROUTES = {
+  messages: {
+    file: (id) => `/api/message/files/download/${id}`,
+    voice: (id) => `/api/message/voice/download/${id}`,
+  },
+  expertMessages: {
+    file: (id) => `/api/message/expert-file/download/${id}`,
+    voice: (id) => `/api/message/expert-voice/download/${id}`,
+  },
+};
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+export const parseExportFormat = (format) => {
+  const value = (format || "json").toLowerCase();
+  if (!EXPORT_FORMATS[value]) {
+    throw new ApiError(400, "Invalid format, expected json, html or txt");
+  }
+  return value;
+};
+
+export const parseTimezone = (timezone) => {
+  const value = timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+  } catch (error) {
+    throw new ApiError(400, `Unknown timezone: ${value}`);
+  }
+  return value;
+};
+
+// "2026-01-31 14:05:09" in the given timezone
+const formatLocalTime = (date, timezone) => {
+  if (!date) return "";
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, value])
+  );
+
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return `${day} ${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+const displayName = (person, fallback) => {
+  const name = [person?.firstName, person?.lastName]
+    .filter(Boolean)
+    .join(" ");
+  return name || person?.name || fallback;
+};
+
+// Names for both participants, looked up in whichever collection has them
+const resolveNames = async (ids) => {
+  const db = getDB();
+  const projection = { firstName: 1, lastName: 1, name: 1 };
+
+  const [users, experts] = await Promise.all([
+    db.collection("user").find({ _id: { $in: ids } }, { projection }).toArray(),
+    db
+      .collection("expert")
+      .find({ _id: { $in: ids } }, { projection })
+      .toArray(),
+  ]);
+
+  const names = {};
+  users.forEach((user) => {
+    names[user._id.toString()] = displayName(user, "User");
+  });
+  experts.forEach((expert) => {
+    names[expert._id.toString()] = displayName(expert, "Expert");
+  });
+  return names;
+};
+
+const safeFileName = (name) =>
+  String(name || "attachment").replace(/[^\w.\-]+/g, "_");
+
+const getEntryType = (msg) => {
+  if (msg.deletedForEveryone) return "deleted";
+  if (msg.isVoice) return "voice";
+  if (msg.isFile) return "file";
+  return "text";
+};
+
+// Load a conversation as seen by the participant and turn it into transcript
+// entries. Each attachment keeps the key of its stored file (storageKey) for
+// ZIP bundling; it is never part of the rendered output
+export const buildConversationExport = async ({
+  collectionName,
+  participantId,
+  counterpartId,
+  timezone,
+}) => {
+  if (!ObjectId.isValid(counterpartId)) {
+    throw new ApiError(400, "Invalid counterpart ID");
+  }
+
+  const db = getDB();
+  const collection = db.collection(collectionName);
+  const participantObjId = toObjectId(participantId);
+  const counterpartObjId = toObjectId(counterpartId);
+
+  // Legacy messages only carry uploadDate; missing createdAt would otherwise
+  // sort them before everything else
+  const messages = await collection
+    .aggregate([
+      {
+        $match: {
+          $or: [
+            { senderId: participantObjId, receiverId: counterpartObjId },
+            { senderId: counterpartObjId, receiverId: participantObjId },
+          ],
+          ...visibleToFilter(participantObjId),
+        },
+      },
+      { $addFields: { sentAt: { $ifNull: ["$createdAt", "$uploadDate"] } } },
+      { $sort: { sentAt: 1, _id: 1 } },
+      { $project: { sentAt: 0 } },
+    ])
+    .toArray();
+
+  const attachmentsById = await findAttachmentsForMessages(messages);
+
+  const names = await resolveNames([participantObjId, counterpartObjId]);
+  const routes = ATTACHMENT_ROUTES[collectionName];
+
+  const entries = messages.map((msg) => {
+    const type = getEntryType(msg);
+    const time = msg.createdAt || msg.uploadDate || null;
+    const senderId = msg.senderId.toString();
+
+    const entry = {
+      id: msg._id.toString(),
+      time,
+      localTime: formatLocalTime(time, timezone),
+      senderId,
+      senderName: names[senderId] || "Unknown",
+      type,
+      text: type === "deleted" ? "" : msg.text || "",
+      edited: Boolean(msg.isEdited),
+      replyTo: msg.replyTo
+        ? {
+            messageId: msg.replyTo.messageId.toString(),
+            senderName: names[msg.replyTo.senderId.toString()] || "Unknown",
+            text: msg.replyTo.text,
+          }
+        : null,
+      attachment: null,
+    };
+
+    const attachment = msg.attachmentId
+      ? attachmentsById[msg.attachmentId.toString()]
+      : null;
+    const storageKey =
+      attachment?.status === "active" ? attachment.storageKey : null;
+
+    if (type === "file") {
+      entry.attachment = {
+        kind: "file",
+        fileName: msg.originalName,
+        mimeType: attachment?.mimeType || msg.fileType || null,
+        size: attachment?.size || msg.fileSize || null,
+        url: routes.file(msg.attachmentId),
+        storageKey,
+      };
+    } else if (type === "voice") {
+      const extension = path.extname(attachment?.fileName || "") || ".webm";
+
+      entry.attachment = {
+        kind: "voice",
+        fileName: `voice-message-${msg.attachmentId}${extension}`,
+        mimeType: attachment?.mimeType || msg.voiceMimeType || null,
+        size: attachment?.size || msg.voiceSize || null,
+        duration: attachment?.duration || msg.voiceDuration || null,
+        url: routes.voice(msg.attachmentId),
+        storageKey,
+      };
+    }
+
+    return entry;
+  });
+
+  return {
+    chatType: collectionName === "expertMessages" ? "expert" : "user",
+    exportedAt: new Date(),
+    timezone,
+    participants: [participantObjId, counterpartObjId].map((id) => ({
+      id: id.toString(),
+      name: names[id.toString()] || "Unknown",
+    })),
+    messages: entries,
+  };
+};
+
+// Where a bundled attachment lives inside the ZIP
+const archivePath = (entry) =>
+  `attachments/${entry.id}-${safeFileName(entry.attachment.fileName)}`;
+
+// Drop storage keys, and point attachments bundled in the ZIP (bundledIds)
+// at their copy there
+const publicEntries = (exportData, bundledIds) =>
+  exportData.messages.map((entry) => {
+    if (!entry.attachment) return entry;
+
+    const { storageKey, ...attachment } = entry.attachment;
+    if (bundledIds.has(entry.id)) {
+      attachment.archivePath = archivePath(entry);
+    }
+    return { ...entry, attachment };
+  });
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const describeAttachment = (attachment) => {
+  const details = [
+    attachment.mimeType,
+    attachment.size && `${attachment.size} bytes`,
+    attachment.duration && `${attachment.duration}s`,
+  ].filter(Boolean);
+  return `${attachment.fileName} (${details.join(", ")})`;
+};
+
+const exportedLine = (exportData) =>
+  `Exported ${formatLocalTime(exportData.exportedAt, exportData.timezone)} ` +
+  `(${exportData.timezone})`;
+
+const renderText = (exportData, entries) => {
+  const names = exportData.participants.map((p) => p.name).join(" and ");
+  const lines = [`Conversation between ${names}`, exportedLine(exportData), ""];
+
+  entries.forEach((entry) => {
+    const header = `[${entry.localTime}] ${entry.senderName}:`;
+    const { replyTo, attachment } = entry;
+
+    let body = entry.text;
+    if (entry.type === "deleted") body = "[message deleted]";
+    if (attachment) {
+      const location = attachment.archivePath || attachment.url;
+      body = `[${attachment.kind}: ${describeAttachment(attachment)}]`;
+      body += ` ${location}`;
+    }
+    if (entry.edited) body += " (edited)";
+
+    if (replyTo) {
+      const quote = `replying to ${replyTo.senderName}: "${replyTo.text}"`;
+      lines.push(`${header} (${quote})`);
+      lines.push(`  ${body}`);
+    } else {
+      lines.push(`${header} ${body}`);
+    }
+  });
+
+  return `${lines.join("\n")}\n`;
+};
+
+const renderHtml = (exportData, entries) => {
+  const names = exportData.participants.map((p) => p.name).join(" and ");
+  const ownerId = exportData.participants[0].id;
+
+  const rows = entries
+    .map((entry) => {
+      let body = escapeHtml(entry.text).replace(/\n/g, "<br>");
+      if (entry.type === "deleted") body = "<em>Message deleted</em>";
+      if (entry.attachment) {
+        const href = escapeHtml(
+          entry.attachment.archivePath || entry.attachment.url
+        );
+        body = `<a href="${href}">${escapeHtml(
+          describeAttachment(entry.attachment)
+        )}</a>`;
+      }
+
+      const quote = entry.replyTo
+        ? `<blockquote><strong>${escapeHtml(
+            entry.replyTo.senderName
+          )}</strong>: ${escapeHtml(entry.replyTo.text)}</blockquote>`
+        : "";
+
+      const classes = entry.senderId === ownerId ? "message mine" : "message";
+      const datetime = entry.time ? new Date(entry.time).toISOString() : "";
+      const edited = entry.edited ? " <span>(edited)</span>" : "";
+
+      return [
+        `<div class="${classes}">`,
+        `<div class="meta"><strong>${escapeHtml(entry.senderName)}</strong> ` +
+          `<time datetime="${datetime}">${escapeHtml(entry.localTime)}` +
+          `</time>${edited}</div>`,
+        `${quote}<div class="body">${body}</div>`,
+        "</div>",
+      ].join("\n");
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation between ${escapeHtml(names)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #222; }
+body { max-width: 760px; margin: 24px auto; }
+.message { background: #f1f1f1; border-radius: 8px; max-width: 80%; }
+.message { margin: 8px 0; padding: 8px 12px; }
+.message.mine { background: #dcf1ff; margin-left: auto; }
+.meta { color: #666; font-size: 12px; margin-bottom: 4px; }
+blockquote { border-left: 3px solid #aaa; color: #555; }
+blockquote { margin: 4px 0; padding-left: 8px; }
+</style>
+</head>
+<body>
+<h1>Conversation between ${escapeHtml(names)}</h1>
+<p>${escapeHtml(exportedLine(exportData))}</p>
+${rows}
+</body>
+</html>
+`;
+};
+
+// Render the transcript in the requested format
+export const renderTranscript = (
+  exportData,
+  format,
+  { bundledIds = new Set() } = {}
+) => {
+  const entries = publicEntries(exportData, bundledIds);
+
+  if (format === "html") return renderHtml(exportData, entries);
+  if (format === "txt") return renderText(exportData, entries);
+
+  return JSON.stringify({ ...exportData, messages: entries }, null, 2);
+};
+
+// Add an entry and wait until archiver has consumed it, so attachments are
+// read from storage one at a time
+const appendEntry = (archive, source, name) =>
+  new Promise((resolve, reject) => {
+    const onError = (error) => reject(error);
+    archive.once("error", onError);
+    archive.once("entry", () => {
+      archive.off("error", onError);
+      resolve();
+    });
+    archive.append(source, { name });
+  });
+
+// Stream a ZIP with the transcript and every attachment still in storage
+export const streamExportArchive = async (
+  res,
+  exportData,
+  format,
+  baseName
+) => {
+  const storage = getStorage();
+  const withFiles = exportData.messages.filter(
+    (entry) => entry.attachment?.storageKey
+  );
+  const stats = await Promise.all(
+    withFiles.map((entry) => storage.stat(entry.attachment.storageKey))
+  );
+  const bundled = withFiles.filter((entry, index) => stats[index]);
+
+  const archive = archiver("zip", { zlib: { level: 6 } });
+
+  archive.on("warning", (error) => {
+    console.error("⚠️ Warning building export archive:", error.message);
+  });
+  archive.on("error", (error) => {
+    console.error("❌ Error building export archive:", error.message);
+    res.destroy(error);
+  });
+
+  archive.pipe(res);
+
+  const bundledIds = new Set(bundled.map((entry) => entry.id));
+
+  try {
+    await appendEntry(
+      archive,
+      renderTranscript(exportData, format, { bundledIds }),
+      `${baseName}.${EXPORT_FORMATS[format].extension}`
+    );
+
+    for (const entry of bundled) {
+      const key = entry.attachment.storageKey;
+      const stream = await storage.createReadStream(key);
+      await appendEntry(archive, stream, archivePath(entry));
+    }
+  } catch (error) {
+    // Headers are already sent, so the only way to report it is a cut-off
+    // download
+    archive.abort();
+    res.destroy(error);
+    throw error;
+  }
+
+  return archive.finalize();
+};
@@ -0,0 +1,146 @@
+// Thumbnails, medium previews and blur placeholders for shared images. They
+// are rendered from the stored original once it has passed its malware scan,
+// so untrusted bytes are never decoded before that. Derivatives are
+// re-encoded as WebP without any metadata, so EXIF (including GPS location)
+// never reaches them; the original stays byte-for-byte what was sent
+
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import sharp from "sharp";
+import { ApiError } from "../lib/ApiError.js";
+import {
+  STORAGE_PREFIXES,
+  UPLOAD_TMP_DIR,
+  getStorage,
+} from "../lib/storage/index.js";
+
+export const PREVIEWABLE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+// Longest side of each stored variant, in pixels
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  preview: 1280,
+};
+
+// The placeholder is inlined in message payloads, so it stays tiny
+const PLACEHOLDER_SIZE = 16;
+
+// Refuse to decode images larger than this (decompression bombs)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const openImage = (filePath) =>
+  // rotate() applies the EXIF orientation before metadata is dropped
+  sharp(filePath, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+const renderVariant = async (file, variant, maxSide) => {
+  const base = path.parse(file.filename).name;
+  const tempPath = path.join(UPLOAD_TMP_DIR, `${base}-${variant}.webp`);
+
+  await openImage(file.path)
+    .resize(maxSide, maxSide, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toFile(tempPath);
+
+  const key = `${STORAGE_PREFIXES.imagePreview}/${base}-${variant}.webp`;
+  try {
+    await getStorage().putFile(key, tempPath, { contentType: "image/webp" });
+  } catch (error) {
+    fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+  return key;
+};
+
+const renderPlaceholder = async (filePath) => {
+  const buffer = await openImage(filePath)
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return `data:image/webp;base64,${buffer.toString("base64")}`;
+};
+
+// Remove stored variants of an image, ignoring ones never written
+export const discardImagePreviews = async (image) => {
+  const keys = Object.keys(IMAGE_VARIANTS)
+    .map((variant) => image?.[`${variant}Key`])
+    .filter(Boolean);
+
+  await Promise.all(
+    keys.map((key) =>
+      getStorage()
+        .delete(key)
+        .catch((error) => {
+          console.error("❌ Failed to remove image preview:", error.message);
+        })
+    )
+  );
+};
+
+// Render and store the variants of a scanned image attachment, from a temp
+// copy of its stored original. Returns { width, height, placeholder,
+// thumbnailKey, previewKey }, or null when the type has no previews or the
+// image cannot be decoded; the attachment is usable either way
+export const createImagePreviews = async (attachment) => {
+  if (
+    attachment.kind !== "file" ||
+    !PREVIEWABLE_TYPES.includes(attachment.mimeType)
+  ) {
+    return null;
+  }
+
+  const filename = attachment.fileName || attachment._id.toString();
+  const file = {
+    filename,
+    path: path.join(UPLOAD_TMP_DIR, `${path.parse(filename).name}-original`),
+  };
+
+  const image = {};
+  try {
+    await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+    await pipeline(
+      await getStorage().createReadStream(attachment.storageKey),
+      fs.createWriteStream(file.path)
+    );
+
+    const metadata = await sharp(file.path, {
+      limitInputPixels: MAX_INPUT_PIXELS,
+    }).metadata();
+    // Orientations 5-8 are rotated by 90 degrees
+    const rotated = (metadata.orientation || 1) >= 5;
+    image.width = rotated ? metadata.height : metadata.width;
+    image.height = rotated ? metadata.width : metadata.height;
+    image.placeholder = await renderPlaceholder(file.path);
+
+    for (const [variant, maxSide] of Object.entries(IMAGE_VARIANTS)) {
+      image[`${variant}Key`] = await renderVariant(file, variant, maxSide);
+    }
+    return image;
+  } catch (error) {
+    console.error("❌ Error creating image previews:", error.message);
+    await discardImagePreviews(image);
+    return null;
+  } finally {
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+// Storage key of one variant ("thumbnail" or "preview") of an attachment
+export const getImageVariantKey = (attachment, variant) => {
+  if (!Object.hasOwn(IMAGE_VARIANTS, variant)) {
+    throw new ApiError(400, "Invalid preview size");
+  }
+
+  const key = attachment.image?.[`${variant}Key`];
+  if (!key) {
+    throw new ApiError(404, "No preview is available for this file");
+  }
+  return key;
+};
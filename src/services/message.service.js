@@ -0,0 +1,256 @@
+// Persistence and authorization for user <-> expert messages, shared by the
+// REST controllers and the Socket.IO handlers so both paths store, check and
+// broadcast messages the same way
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { getReceiverSocketId, io } from "../lib/socket.js";
+import { ApiError } from "../lib/ApiError.js";
+import { emitForDelivery, formatReceipt } from "./receipt.service.js";
+import { buildReplySnapshot, formatReplyTo } from "./conversation.service.js";
+import { reviseMessageText } from "./revision.service.js";
+import {
+  deleteConversationForScope,
+  deleteMessageForScope,
+} from "./deletion.service.js";
+
+const toObjectId = (id) => (typeof id === "string" ? new ObjectId(id) : id);
+
+// Create a text message, optionally quoting an earlier message of the same
+// conversation (replyToId), and notify the receiver
+export const createMessage = async ({
+  senderId,
+  receiverId,
+  text,
+  replyToId,
+}) => {
+  if (!senderId || !receiverId || !text) {
+    throw new ApiError(400, "Missing required fields");
+  }
+
+  if (!ObjectId.isValid(senderId) || !ObjectId.isValid(receiverId)) {
+    throw new ApiError(400, "Invalid sender or receiver ID");
+  }
+
+  const db = getDB();
+  const messageCollection = db.collection("messages");
+
+  const replyTo = await buildReplySnapshot({
+    collectionName: "messages",
+    replyToId,
+    senderId,
+    receiverId,
+  });
+
+  const newMessage = {
+    senderId: toObjectId(senderId),
+    receiverId: new ObjectId(String(receiverId)),
+    text: String(text),
+    createdAt: new Date(),
+  };
+  if (replyTo) {
+    newMessage.replyTo = replyTo;
+  }
+
+  const result = await messageCollection.insertOne(newMessage);
+
+  const responseMessage = {
+    _id: result.insertedId,
+    senderId: newMessage.senderId.toString(),
+    receiverId: newMessage.receiverId.toString(),
+    text: newMessage.text,
+    time: newMessage.createdAt,
+    replyTo: formatReplyTo(replyTo),
+    ...formatReceipt(newMessage),
+  };
+
+  // Emit the message through socket.io if receiver is online; their ack
+  // marks it delivered
+  const receiverSocketId = getReceiverSocketId(responseMessage.receiverId);
+  if (receiverSocketId) {
+    console.log(`Sending message to socket: ${receiverSocketId}`);
+    emitForDelivery({
+      to: receiverSocketId,
+      eventName: "newMessage",
+      message: responseMessage,
+      collectionName: "messages",
+    });
+  }
+
+  return responseMessage;
+};
+
+// Update the text of a message, keeping the previous text as a revision;
+// only its sender may edit it, and only within the edit window
+export const editMessageText = async ({ messageId, userId, newText }) => {
+  if (
+    !messageId ||
+    typeof messageId !== "string" ||
+    !ObjectId.isValid(messageId)
+  ) {
+    throw new ApiError(400, "Invalid message ID format");
+  }
+
+  if (!userId) {
+    throw new ApiError(401, "Authentication required");
+  }
+
+  if (newText === undefined || newText === null || String(newText) === "") {
+    throw new ApiError(400, "Message text is required");
+  }
+
+  const db = getDB();
+  const messages = db.collection("messages");
+  const messageObjectId = new ObjectId(messageId);
+
+  const message = await messages.findOne({ _id: messageObjectId });
+
+  if (!message) {
+    console.log(`Message not found with ID: ${messageId}`);
+    throw new ApiError(404, "Message not found or has been deleted");
+  }
+
+  if (!message.senderId.equals(toObjectId(userId))) {
+    throw new ApiError(403, "Only the sender can edit this message");
+  }
+
+  const updatedMessageDoc = await reviseMessageText({
+    collection: messages,
+    message,
+    newText,
+  });
+
+  const updatedMessage = {
+    _id: updatedMessageDoc._id.toString(),
+    senderId: updatedMessageDoc.senderId.toString(),
+    receiverId: updatedMessageDoc.receiverId.toString(),
+    text: updatedMessageDoc.text,
+    time: updatedMessageDoc.createdAt,
+    createdAt: updatedMessageDoc.createdAt,
+    isEdited: updatedMessageDoc.isEdited || false,
+    editedAt: updatedMessageDoc.editedAt,
+    revisionCount: updatedMessageDoc.revisions?.length || 0,
+  };
+
+  // Emit to both sender and receiver so every open device updates
+  const senderSocketId = getReceiverSocketId(updatedMessage.senderId);
+  const receiverSocketId = getReceiverSocketId(updatedMessage.receiverId);
+
+  if (senderSocketId) {
+    io.to(senderSocketId).emit("messageEdited", updatedMessage);
+  }
+
+  if (receiverSocketId) {
+    io.to(receiverSocketId).emit("messageEdited", updatedMessage);
+  }
+
+  return updatedMessage;
+};
+
+// Delete a single message for the caller (scope "me") or, for its sender,
+// for everyone; defaults to "everyone"
+export const deleteMessageById = async ({ messageId, userId, scope }) => {
+  const result = await deleteMessageForScope({
+    collectionName: "messages",
+    messageId,
+    participantId: userId,
+    scope,
+  });
+
+  if (result.alreadyDeleted) {
+    console.log(`Message not found or already deleted: ${messageId}`);
+    return {
+      messageId: result.messageId,
+      scope: result.scope,
+      alreadyDeleted: true,
+    };
+  }
+
+  const { message } = result;
+  const payload = {
+    messageID: result.messageId,
+    senderID: message.senderId.toString(),
+    scope: result.scope,
+    deletedAt: result.deletedAt || null,
+  };
+  if (message.isVoice) {
+    payload.isVoice = true;
+    payload.voiceId = message.attachmentId?.toString() || null;
+  } else if (message.isFile) {
+    payload.isFile = true;
+    payload.fileId = message.attachmentId?.toString() || null;
+  }
+
+  // "me" only concerns the caller's other devices; "everyone" reaches both
+  const recipients =
+    result.scope === "me"
+      ? [userId.toString()]
+      : [message.receiverId.toString(), message.senderId.toString()];
+
+  console.log(`Message deleted (${result.scope}), notifying: ${recipients}`);
+
+  recipients.forEach((participantId) => {
+    const socketId = getReceiverSocketId(participantId);
+    if (socketId) {
+      io.to(socketId).emit("messageDeleted", payload);
+    }
+  });
+
+  return {
+    messageId: result.messageId,
+    scope: result.scope,
+    deletedAt: result.deletedAt || null,
+    deleted: true,
+  };
+};
+
+// Delete a conversation for the requesting participant: scope "me" hides it
+// for them, "everyone" (the default) deletes their own messages for both
+export const deleteConversation = async ({
+  userId,
+  senderId,
+  receiverId,
+  scope,
+}) => {
+  if (!ObjectId.isValid(senderId) || !ObjectId.isValid(receiverId)) {
+    throw new ApiError(400, "Invalid sender or receiver ID");
+  }
+
+  const senderObjId = new ObjectId(String(senderId));
+  const receiverObjId = new ObjectId(String(receiverId));
+
+  if (!userId || !senderObjId.equals(toObjectId(userId))) {
+    throw new ApiError(403, "You are not authorized to delete these messages");
+  }
+
+  const result = await deleteConversationForScope({
+    collectionName: "messages",
+    participantId: senderObjId,
+    counterpartId: receiverObjId,
+    scope,
+  });
+
+  if (result.deletedCount === 0) {
+    return { ...result, alreadyDeleted: true };
+  }
+
+  const recipients =
+    result.scope === "me"
+      ? [senderObjId.toString()]
+      : [receiverObjId.toString(), senderObjId.toString()];
+
+  recipients.forEach((participantId) => {
+    const socketId = getReceiverSocketId(participantId);
+    if (socketId) {
+      console.log(`Emitting delete all messages event to socket: ${socketId}`);
+      io.to(socketId).emit("allMessagesDeleted", {
+        senderID: senderObjId.toString(),
+        reciverID: receiverObjId.toString(),
+        scope: result.scope,
+        deletedAt: result.deletedAt || null,
+      });
+    }
+  });
+
+  return result;
+};
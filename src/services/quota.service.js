@@ -0,0 +1,232 @@
+// Storage quotas for attachments. A participant's usage is the size of every
+// file and voice note they sent that is still stored (pending a scan, active
+// or failed to scan, in either chat collection), read straight from
+// "attachments": a delete for everyone marks the attachment deleted and frees
+// its space at once, with no separate counter to drift. Quotas are per role
+// and set in MB with STORAGE_QUOTA_USER_MB / STORAGE_QUOTA_EXPERT_MB
+// (0 = unlimited).
+//
+// An upload being stored holds a reservation in "storageReservations" until
+// its attachment is saved, and every quota check counts the reservations as
+// well, so concurrent uploads cannot take a participant over the quota
+// together
+
+import { ObjectId } from "mongodb";
+import { getDB } from "../lib/db.js";
+import { ApiError } from "../lib/ApiError.js";
+import { ATTACHMENTS_COLLECTION } from "./attachment.service.js";
+
+const DEFAULT_QUOTAS_MB = {
+  user: 500,
+  expert: 2048,
+};
+
+const QUOTA_ENV = {
+  user: "STORAGE_QUOTA_USER_MB",
+  expert: "STORAGE_QUOTA_EXPERT_MB",
+};
+
+// Attachment statuses that still take up space
+const STORED_STATUSES = ["pending_scan", "active", "scan_failed"];
+
+const RESERVATIONS_COLLECTION = "storageReservations";
+
+// Reservations older than this were left by uploads that never finished (the
+// server stopped mid-request) and no longer count
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+const formatSize = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = Number(bytes) || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${Math.round(value * 10) / 10}${units[unit]}`;
+};
+
+// "user" or "expert" for an authenticated request
+export const getParticipantRole = (req) => (req.user ? "user" : "expert");
+
+// Quota in bytes for a role, or null when it is unlimited
+export const getStorageQuota = (role) => {
+  const configured = process.env[QUOTA_ENV[role]];
+  const megabytes =
+    configured !== undefined && configured !== "" && !isNaN(Number(configured))
+      ? Number(configured)
+      : DEFAULT_QUOTAS_MB[role];
+
+  return megabytes > 0 ? Math.floor(megabytes * 1024 * 1024) : null;
+};
+
+const storedBy = (participantId) => ({
+  senderId: toObjectId(participantId),
+  status: { $in: STORED_STATUSES },
+});
+
+// Bytes currently stored for a participant
+export const getStorageUsed = async (participantId) => {
+  const [usage] = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .aggregate([
+      { $match: storedBy(participantId) },
+      { $group: { _id: null, bytes: { $sum: "$size" } } },
+    ])
+    .toArray();
+
+  return usage?.bytes || 0;
+};
+
+// Bytes held by a participant's uploads in progress
+const getStorageReserved = async (participantId) => {
+  const [reserved] = await getDB()
+    .collection(RESERVATIONS_COLLECTION)
+    .aggregate([
+      {
+        $match: {
+          participantId: toObjectId(participantId),
+          createdAt: { $gt: new Date(Date.now() - RESERVATION_TTL_MS) },
+        },
+      },
+      { $group: { _id: null, bytes: { $sum: "$size" } } },
+    ])
+    .toArray();
+
+  return reserved?.bytes || 0;
+};
+
+const quotaExceeded = (used, quota, size) =>
+  new ApiError(
+    413,
+    `Storage quota exceeded: ${formatSize(used)} of ${formatSize(
+      quota
+    )} used, this file needs ${formatSize(size)}`
+  );
+
+// Throw 413 when storing `size` more bytes would take a participant over
+// their role's quota. Only advisory (resumable uploads check before any bytes
+// arrive); uploads being stored take a reservation with reserveStorage
+export const assertStorageQuota = async ({ participantId, role, size }) => {
+  const quota = getStorageQuota(role);
+  if (quota === null) return;
+
+  const used =
+    (await getStorageUsed(participantId)) +
+    (await getStorageReserved(participantId));
+  if (used + Number(size || 0) > quota) {
+    throw quotaExceeded(used, quota, size);
+  }
+};
+
+// Reserve `size` bytes of a participant's quota for an upload being stored,
+// throwing 413 when they do not fit. The reservation is written before usage
+// is read, so of two concurrent uploads the later check always sees the
+// other; at the limit both may be refused, never both accepted. Returns the
+// reservation (null without a quota) for releaseStorageReservation once the
+// attachment is saved or the upload has failed
+export const reserveStorage = async ({ participantId, role, size }) => {
+  const quota = getStorageQuota(role);
+  if (quota === null) return null;
+
+  const reservations = getDB().collection(RESERVATIONS_COLLECTION);
+  const reservation = {
+    _id: new ObjectId(),
+    participantId: toObjectId(participantId),
+    size: Number(size || 0),
+    createdAt: new Date(),
+  };
+  await reservations.insertOne(reservation);
+
+  const used =
+    (await getStorageUsed(participantId)) +
+    (await getStorageReserved(participantId));
+  if (used > quota) {
+    await releaseStorageReservation(reservation);
+    throw quotaExceeded(used - reservation.size, quota, reservation.size);
+  }
+
+  return reservation;
+};
+
+// Give back a reservation; its bytes are counted through the attachment from
+// now on. Expired ones left by earlier uploads are cleared on the way
+export const releaseStorageReservation = async (reservation) => {
+  if (!reservation) return;
+
+  try {
+    await getDB()
+      .collection(RESERVATIONS_COLLECTION)
+      .deleteMany({
+        participantId: reservation.participantId,
+        $or: [
+          { _id: reservation._id },
+          { createdAt: { $lte: new Date(Date.now() - RESERVATION_TTL_MS) } },
+        ],
+      });
+  } catch (error) {
+    console.error("❌ Failed to release storage reservation:", error.message);
+  }
+};
+
+// Usage report for a participant: totals against their quota, and bytes and
+// counts by attachment kind and by conversation
+export const getStorageUsageReport = async ({ participantId, role }) => {
+  const groups = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .aggregate([
+      { $match: storedBy(participantId) },
+      {
+        $group: {
+          _id: {
+            collectionName: "$collectionName",
+            counterpartId: "$receiverId",
+            kind: "$kind",
+          },
+          bytes: { $sum: "$size" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const byType = {};
+  const conversations = {};
+  let used = 0;
+
+  groups.forEach(({ _id, bytes, count }) => {
+    used += bytes;
+
+    byType[_id.kind] = byType[_id.kind] || { bytes: 0, count: 0 };
+    byType[_id.kind].bytes += bytes;
+    byType[_id.kind].count += count;
+
+    const key = `${_id.collectionName}:${_id.counterpartId}`;
+    conversations[key] = conversations[key] || {
+      collectionName: _id.collectionName,
+      counterpartId: _id.counterpartId.toString(),
+      bytes: 0,
+      count: 0,
+      byType: {},
+    };
+    const conversation = conversations[key];
+    conversation.bytes += bytes;
+    conversation.count += count;
+    conversation.byType[_id.kind] = { bytes, count };
+  });
+
+  const quota = getStorageQuota(role);
+  return {
+    role,
+    quota,
+    used,
+    remaining: quota === null ? null : Math.max(quota - used, 0),
+    byType,
+    byConversation: Object.values(conversations).sort(
+      (a, b) => b.bytes - a.bytes
+    ),
+  };
+};
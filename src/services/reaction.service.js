@@ -0,0 +1,143 @@
+// Emoji reactions on messages in either chat collection. Reactions live on the
+// message as [{ emoji, userId, createdAt }], at most one per emoji per
+// participant, and every change is pushed to both sides as messageReaction
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { getReceiverSocketId, io } from "../lib/socket.js";
+import { ApiError } from "../lib/ApiError.js";
+
+const MAX_EMOJI_LENGTH = 32;
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+// Group raw reactions by emoji for clients, oldest emoji first
+export const summarizeReactions = (reactions = [], viewerId = null) => {
+  const viewer = viewerId ? viewerId.toString() : null;
+  const byEmoji = new Map();
+
+  reactions.forEach(({ emoji, userId }) => {
+    if (!byEmoji.has(emoji)) {
+      byEmoji.set(emoji, []);
+    }
+    byEmoji.get(emoji).push(userId.toString());
+  });
+
+  return [...byEmoji.entries()].map(([emoji, userIds]) => ({
+    emoji,
+    count: userIds.length,
+    userIds,
+    reactedByMe: viewer ? userIds.includes(viewer) : false,
+  }));
+};
+
+// Push the new reaction state to both participants: their identity rooms for
+// user <-> expert chats, the conversation room for expert <-> expert chats
+const broadcastReaction = (collectionName, message, payload) => {
+  const senderId = message.senderId.toString();
+  const receiverId = message.receiverId.toString();
+
+  if (collectionName === "expertMessages") {
+    const roomId = [senderId, receiverId].sort().join("-");
+    io.to(roomId).emit("messageReaction", payload);
+    return;
+  }
+
+  [senderId, receiverId].forEach((participantId) => {
+    const socketId = getReceiverSocketId(participantId);
+    if (socketId) {
+      io.to(socketId).emit("messageReaction", payload);
+    }
+  });
+};
+
+// Add (action "add") or remove (action "remove") the participant's emoji
+// reaction on a message they are part of
+export const setReaction = async ({
+  collectionName,
+  messageId,
+  participantId,
+  emoji,
+  action,
+}) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    throw new ApiError(400, "Invalid message ID");
+  }
+
+  const reaction = typeof emoji === "string" ? emoji.trim() : "";
+  if (!reaction || reaction.length > MAX_EMOJI_LENGTH) {
+    throw new ApiError(400, "A valid emoji is required");
+  }
+
+  if (!participantId) {
+    throw new ApiError(401, "Authentication required");
+  }
+
+  const db = getDB();
+  const collection = db.collection(collectionName);
+  const messageObjId = toObjectId(messageId);
+  const participantObjId = toObjectId(participantId);
+
+  const message = await collection.findOne({
+    _id: messageObjId,
+    $or: [{ senderId: participantObjId }, { receiverId: participantObjId }],
+    deletedForEveryone: { $ne: true },
+  });
+
+  if (!message) {
+    throw new ApiError(404, "Message not found or has been deleted");
+  }
+
+  const result =
+    action === "remove"
+      ? await collection.updateOne(
+          { _id: messageObjId },
+          {
+            $pull: {
+              reactions: { emoji: reaction, userId: participantObjId },
+            },
+          }
+        )
+      : await collection.updateOne(
+          {
+            _id: messageObjId,
+            reactions: {
+              $not: {
+                $elemMatch: { emoji: reaction, userId: participantObjId },
+              },
+            },
+          },
+          {
+            $push: {
+              reactions: {
+                emoji: reaction,
+                userId: participantObjId,
+                createdAt: new Date(),
+              },
+            },
+          }
+        );
+
+  const updated = await collection.findOne(
+    { _id: messageObjId },
+    { projection: { reactions: 1 } }
+  );
+  const reactions = summarizeReactions(updated?.reactions);
+
+  if (result.modifiedCount > 0) {
+    broadcastReaction(collectionName, message, {
+      messageId: messageObjId.toString(),
+      emoji: reaction,
+      userId: participantObjId.toString(),
+      action: action === "remove" ? "removed" : "added",
+      reactions,
+    });
+  }
+
+  return {
+    messageId: messageObjId.toString(),
+    changed: result.modifiedCount > 0,
+    reactions: summarizeReactions(updated?.reactions, participantObjId),
+  };
+};
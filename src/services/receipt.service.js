@@ -0,0 +1,201 @@
+// Delivery and read receipts for both chat collections ("messages" for
+// user <-> expert, "expertMessages" for expert <-> expert). Messages carry
+// deliveredAt / readAt; senders are told about changes with messageStatus
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { getReceiverSocketId, io } from "../lib/socket.js";
+import { ApiError } from "../lib/ApiError.js";
+
+// How long to wait for the receiver's sockets to acknowledge a new message
+const DELIVERY_ACK_TIMEOUT_MS = 10 * 1000;
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+// "read" / "delivered" / "sent" for a stored message
+export const getMessageStatus = (msg) => {
+  if (msg.readAt) return "read";
+  if (msg.deliveredAt) return "delivered";
+  return "sent";
+};
+
+// Receipt fields added to messages returned to clients
+export const formatReceipt = (msg) => ({
+  status: getMessageStatus(msg),
+  deliveredAt: msg.deliveredAt || null,
+  readAt: msg.readAt || null,
+});
+
+const emitMessageStatus = (senderId, payload) => {
+  const senderSocketId = getReceiverSocketId(senderId.toString());
+  if (senderSocketId) {
+    io.to(senderSocketId).emit("messageStatus", payload);
+  }
+};
+
+// Stamp deliveredAt on messages not yet delivered and tell the sender
+export const markDelivered = async (collectionName, senderId, messageIds) => {
+  const db = getDB();
+  const collection = db.collection(collectionName);
+  const ids = messageIds.map(toObjectId);
+  const deliveredAt = new Date();
+
+  const result = await collection.updateMany(
+    { _id: { $in: ids }, deliveredAt: null },
+    { $set: { deliveredAt } }
+  );
+
+  if (result.modifiedCount > 0) {
+    emitMessageStatus(senderId, {
+      messageIds: ids.map((id) => id.toString()),
+      status: "delivered",
+      deliveredAt,
+    });
+  }
+};
+
+// Emit a new message to the receiver's sockets and mark it delivered as soon
+// as one of them acknowledges the event. `to` is the receiver's identity room
+// or a conversation room; `except` keeps the sender's own sockets from
+// acknowledging their own message
+export const emitForDelivery = ({
+  to,
+  except,
+  eventName,
+  message,
+  collectionName,
+}) => {
+  if (!to) return;
+
+  let target = io.to(to);
+  if (except) {
+    target = target.except(except);
+  }
+
+  target
+    .timeout(DELIVERY_ACK_TIMEOUT_MS)
+    .emit(eventName, message, async (err, responses) => {
+      if (!responses || responses.length === 0) {
+        return;
+      }
+
+      try {
+        await markDelivered(collectionName, message.senderId, [message._id]);
+      } catch (error) {
+        console.error("❌ Error marking message delivered:", error.message);
+      }
+    });
+};
+
+// Mark everything the counterpart sent to the reader, up to and including
+// upToMessageId, as read; returns the ids that changed
+export const markConversationRead = async ({
+  collectionName,
+  readerId,
+  counterpartId,
+  upToMessageId,
+}) => {
+  if (!readerId || !counterpartId || !ObjectId.isValid(counterpartId)) {
+    throw new ApiError(400, "Invalid counterpart ID");
+  }
+
+  if (!upToMessageId || !ObjectId.isValid(upToMessageId)) {
+    throw new ApiError(400, "Invalid message ID");
+  }
+
+  const db = getDB();
+  const collection = db.collection(collectionName);
+
+  const readerObjId = toObjectId(readerId);
+  const counterpartObjId = toObjectId(counterpartId);
+
+  const upToMessage = await collection.findOne({
+    _id: toObjectId(upToMessageId),
+    $or: [
+      { senderId: readerObjId, receiverId: counterpartObjId },
+      { senderId: counterpartObjId, receiverId: readerObjId },
+    ],
+  });
+
+  if (!upToMessage) {
+    throw new ApiError(404, "Message not found in this conversation");
+  }
+
+  // Legacy file and voice messages only carry uploadDate; a message with no
+  // date at all only marks itself
+  const readUpTo = upToMessage.createdAt || upToMessage.uploadDate;
+  const positionFilter = readUpTo
+    ? {
+        $or: [
+          { createdAt: { $lte: readUpTo } },
+          { createdAt: null, uploadDate: { $lte: readUpTo } },
+        ],
+      }
+    : { _id: upToMessage._id };
+
+  const unread = await collection
+    .find(
+      {
+        senderId: counterpartObjId,
+        receiverId: readerObjId,
+        ...positionFilter,
+        readAt: null,
+      },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+
+  const ids = unread.map((msg) => msg._id);
+  const readAt = new Date();
+
+  if (ids.length > 0) {
+    // A message read without a delivery ack was still delivered
+    await collection.updateMany(
+      { _id: { $in: ids }, deliveredAt: null },
+      { $set: { deliveredAt: readAt } }
+    );
+    await collection.updateMany({ _id: { $in: ids } }, { $set: { readAt } });
+
+    emitMessageStatus(counterpartObjId, {
+      messageIds: ids.map((id) => id.toString()),
+      status: "read",
+      readAt,
+      readerId: readerObjId.toString(),
+    });
+  }
+
+  return {
+    messageIds: ids.map((id) => id.toString()),
+    readAt: ids.length > 0 ? readAt : null,
+  };
+};
+
+// Broadcast a new message into an expert conversation room: the receiver's
+// sockets get it with a delivery ack, the rest of the room (the sender's own
+// devices) gets the plain event as before
+export const emitToRoomForDelivery = ({
+  roomId,
+  senderId,
+  receiverId,
+  eventName,
+  message,
+  collectionName,
+}) => {
+  const senderSocketId = getReceiverSocketId(senderId.toString());
+  const receiverSocketId = getReceiverSocketId(receiverId.toString());
+
+  emitForDelivery({
+    to: roomId,
+    except: senderSocketId,
+    eventName,
+    message,
+    collectionName,
+  });
+
+  let echo = io.to(roomId);
+  if (receiverSocketId) {
+    echo = echo.except(receiverSocketId);
+  }
+  echo.emit(eventName, message);
+};
@@ -0,0 +1,423 @@
+// Resumable uploads for files and voice notes sent over links too flaky for
+// one multer request (the size limits are the multer routes' own). A client
+// creates an upload, sends the bytes in chunks at increasing offsets (each
+// with an Upload-Checksum) and completes it; the assembled file then goes
+// through the normal upload controller as if multer had written it. Offsets,
+// checksums and expiry follow tus 1.0 (core, creation, checksum, expiration
+// and termination), so a tus client only needs the extra complete call
+//
+// Upload records live in "resumableUploads"; their bytes are written in
+// place into one file under UPLOAD_TMP_DIR/resumable until completion
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { ObjectId } from "mongodb";
+import { getDB } from "../lib/db.js";
+import { ApiError } from "../lib/ApiError.js";
+import { UPLOAD_TMP_DIR } from "../lib/storage/index.js";
+
+export const RESUMABLE_UPLOADS_COLLECTION = "resumableUploads";
+export const TUS_VERSION = "1.0.0";
+
+export const RESUMABLE_UPLOAD_DIR = path.join(UPLOAD_TMP_DIR, "resumable");
+
+// Largest chunk accepted in one request, and the size suggested to clients
+export const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+export const RECOMMENDED_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Incomplete uploads are dropped this long after they were created
+const RESUMABLE_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const RESUMABLE_CLEANUP_POLL_MS = 15 * 60 * 1000;
+
+// Unfinished uploads one participant may have open at a time
+const MAX_OPEN_UPLOADS = 5;
+
+// A chunk holds its upload's write lock this long at most; writes still
+// running are aborted shortly before, so a retry that takes over an expired
+// lock never races them
+const CHUNK_LOCK_MS = 5 * 60 * 1000;
+const CHUNK_WRITE_TIMEOUT_MS = CHUNK_LOCK_MS - 30 * 1000;
+
+// tus' status for a chunk whose checksum does not match
+const CHECKSUM_MISMATCH = 460;
+
+// Upload-Checksum algorithms and their node:crypto names
+const CHECKSUM_ALGORITHMS = { sha1: "sha1", sha256: "sha256", md5: "md5" };
+
+let cleanupTimer;
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+const dataPath = (upload) => path.join(RESUMABLE_UPLOAD_DIR, upload.fileName);
+
+// Parse tus' Upload-Metadata header ("key base64value,key2 base64value")
+export const parseUploadMetadata = (header) =>
+  Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((pair) => pair.trim().split(" "))
+      .filter(([key]) => key)
+      .map(([key, value]) => [
+        key,
+        value ? Buffer.from(value, "base64").toString("utf8") : "",
+      ])
+  );
+
+// Parse an Upload-Checksum header ("sha256 base64digest")
+const parseChecksum = (header) => {
+  if (!header) {
+    throw new ApiError(400, "Upload-Checksum header is required");
+  }
+
+  const [name, digest] = String(header).trim().split(/\s+/);
+  const algorithm = CHECKSUM_ALGORITHMS[name?.toLowerCase()];
+  if (!algorithm || !digest) {
+    throw new ApiError(
+      400,
+      `Unsupported Upload-Checksum; use one of ${Object.keys(
+        CHECKSUM_ALGORITHMS
+      ).join(", ")}`
+    );
+  }
+  return { algorithm, digest };
+};
+
+// Create an upload for a participant. target is { collectionName, kind,
+// receiverId } and details the client's { originalName, mimeType, size,
+// duration, replyToId }; fileName is the name the finished file gets, as
+// multer would have named it. Returns the stored record
+export const createResumableUpload = async ({
+  ownerId,
+  target,
+  details,
+  fileName,
+  maxSize,
+}) => {
+  const size = Number(details.size);
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw new ApiError(400, "A positive upload size is required");
+  }
+  if (size > maxSize) {
+    throw new ApiError(
+      413,
+      `File too large. Maximum size is ${Math.floor(maxSize / 1024 / 1024)}MB.`
+    );
+  }
+  if (!details.originalName) {
+    throw new ApiError(400, "A file name is required");
+  }
+
+  const collection = getDB().collection(RESUMABLE_UPLOADS_COLLECTION);
+  const ownerObjId = toObjectId(ownerId);
+  const now = new Date();
+
+  const openUploads = await collection.countDocuments({
+    ownerId: ownerObjId,
+    expiresAt: { $gt: now },
+  });
+  if (openUploads >= MAX_OPEN_UPLOADS) {
+    throw new ApiError(
+      429,
+      "Too many unfinished uploads; complete or cancel one first"
+    );
+  }
+
+  const upload = {
+    _id: new ObjectId(),
+    ownerId: ownerObjId,
+    collectionName: target.collectionName,
+    kind: target.kind,
+    receiverId: toObjectId(target.receiverId),
+    originalName: String(details.originalName),
+    mimeType: String(details.mimeType || "application/octet-stream"),
+    size,
+    offset: 0,
+    fileName,
+    duration: details.duration ?? null,
+    replyToId: details.replyToId || null,
+    status: "uploading",
+    chunkLockId: null,
+    chunkLockedUntil: null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + RESUMABLE_UPLOAD_TTL_MS),
+  };
+
+  await fs.promises.mkdir(RESUMABLE_UPLOAD_DIR, { recursive: true });
+  await fs.promises.writeFile(dataPath(upload), "");
+  try {
+    await collection.insertOne(upload);
+  } catch (error) {
+    await fs.promises.unlink(dataPath(upload)).catch(() => {});
+    throw error;
+  }
+
+  return upload;
+};
+
+// An unexpired upload of the participant's in the given conversation
+export const getResumableUpload = async ({
+  uploadId,
+  ownerId,
+  collectionName,
+  receiverId,
+}) => {
+  if (!uploadId || !ObjectId.isValid(uploadId)) {
+    throw new ApiError(400, "Invalid upload ID");
+  }
+  if (!receiverId || !ObjectId.isValid(receiverId)) {
+    throw new ApiError(400, "Invalid receiver ID");
+  }
+
+  const upload = await getDB()
+    .collection(RESUMABLE_UPLOADS_COLLECTION)
+    .findOne({
+      _id: toObjectId(uploadId),
+      ownerId: toObjectId(ownerId),
+      collectionName,
+      receiverId: toObjectId(receiverId),
+      expiresAt: { $gt: new Date() },
+    });
+
+  if (!upload) {
+    throw new ApiError(404, "Upload not found or expired");
+  }
+  return upload;
+};
+
+// Write one chunk from a request stream at the given offset. The chunk must
+// start at the upload's current offset and match its Upload-Checksum; only
+// then does the offset advance. One chunk is written at a time: the upload's
+// write lock is claimed before any byte lands, so a duplicate or concurrent
+// chunk for the same offset is refused instead of interleaving with it.
+// Returns the new offset
+export const writeUploadChunk = async ({
+  upload,
+  stream,
+  offset,
+  checksum,
+  contentLength,
+}) => {
+  if (upload.status !== "uploading") {
+    throw new ApiError(409, "Upload is already being completed");
+  }
+
+  if (offset === undefined) {
+    throw new ApiError(400, "Upload-Offset header is required");
+  }
+
+  const chunkOffset = Number(offset);
+  if (!Number.isSafeInteger(chunkOffset) || chunkOffset !== upload.offset) {
+    throw new ApiError(
+      409,
+      `Upload-Offset does not match the current offset (${upload.offset})`
+    );
+  }
+
+  const { algorithm, digest } = parseChecksum(checksum);
+  const maxLength = Math.min(MAX_CHUNK_SIZE, upload.size - upload.offset);
+  if (contentLength !== undefined && Number(contentLength) > maxLength) {
+    throw new ApiError(
+      413,
+      "Chunk exceeds the maximum chunk size or the upload length"
+    );
+  }
+
+  const collection = getDB().collection(RESUMABLE_UPLOADS_COLLECTION);
+  const lockId = new ObjectId();
+  const now = new Date();
+  const locked = await collection.findOneAndUpdate(
+    {
+      _id: upload._id,
+      offset: chunkOffset,
+      status: "uploading",
+      $or: [{ chunkLockedUntil: null }, { chunkLockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        chunkLockId: lockId,
+        chunkLockedUntil: new Date(now.getTime() + CHUNK_LOCK_MS),
+      },
+    }
+  );
+  if (!locked) {
+    throw new ApiError(
+      409,
+      "Another chunk is being written to this upload; check the offset and resume"
+    );
+  }
+
+  try {
+    return await writeLockedChunk({
+      upload,
+      stream,
+      chunkOffset,
+      algorithm,
+      digest,
+      maxLength,
+      lockId,
+    });
+  } finally {
+    // Advancing the offset already released the lock
+    await collection.updateOne(
+      { _id: upload._id, chunkLockId: lockId },
+      { $set: { chunkLockId: null, chunkLockedUntil: null } }
+    );
+  }
+};
+
+const writeLockedChunk = async ({
+  upload,
+  stream,
+  chunkOffset,
+  algorithm,
+  digest,
+  maxLength,
+  lockId,
+}) => {
+  const hash = crypto.createHash(algorithm);
+  let length = 0;
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      length += chunk.length;
+      if (length > maxLength) {
+        return callback(
+          new ApiError(
+            413,
+            "Chunk exceeds the maximum chunk size or the upload length"
+          )
+        );
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  // Bytes past the offset only count once the checksum matches; a rejected
+  // or interrupted chunk is simply overwritten by the retry
+  const timeout = AbortSignal.timeout(CHUNK_WRITE_TIMEOUT_MS);
+  try {
+    await pipeline(
+      stream,
+      measure,
+      fs.createWriteStream(dataPath(upload), {
+        flags: "r+",
+        start: chunkOffset,
+      }),
+      { signal: timeout }
+    );
+  } catch (error) {
+    if (timeout.aborted) {
+      throw new ApiError(
+        408,
+        "Chunk took too long; check the offset and resume"
+      );
+    }
+    throw error;
+  }
+
+  if (hash.digest("base64") !== digest) {
+    throw new ApiError(CHECKSUM_MISMATCH, "Chunk checksum does not match");
+  }
+
+  const newOffset = chunkOffset + length;
+  const result = await getDB()
+    .collection(RESUMABLE_UPLOADS_COLLECTION)
+    .updateOne(
+      {
+        _id: upload._id,
+        offset: chunkOffset,
+        status: "uploading",
+        chunkLockId: lockId,
+      },
+      {
+        $set: {
+          offset: newOffset,
+          updatedAt: new Date(),
+          chunkLockId: null,
+          chunkLockedUntil: null,
+        },
+      }
+    );
+
+  if (result.modifiedCount === 0) {
+    throw new ApiError(409, "Upload offset changed; check it and resume");
+  }
+  return newOffset;
+};
+
+// Claim a fully received upload for completion and return its file in
+// multer's shape, ready for the upload controller. Completing twice fails
+export const claimCompletedUpload = async (upload) => {
+  if (upload.offset !== upload.size) {
+    throw new ApiError(
+      409,
+      `Upload is incomplete (${upload.offset} of ${upload.size} bytes)`
+    );
+  }
+
+  const claimed = await getDB()
+    .collection(RESUMABLE_UPLOADS_COLLECTION)
+    .findOneAndUpdate(
+      { _id: upload._id, status: "uploading", offset: upload.size },
+      { $set: { status: "completing", updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+  if (!claimed) {
+    throw new ApiError(409, "Upload is already being completed");
+  }
+
+  // Chunks that were written but rejected may have left bytes past the end
+  await fs.promises.truncate(dataPath(claimed), claimed.size);
+
+  return {
+    fieldname: claimed.kind,
+    originalname: claimed.originalName,
+    mimetype: claimed.mimeType,
+    destination: RESUMABLE_UPLOAD_DIR,
+    filename: claimed.fileName,
+    path: dataPath(claimed),
+    size: claimed.size,
+  };
+};
+
+// Forget an upload and remove whatever is left of its data
+export const removeResumableUpload = async (upload) => {
+  await getDB()
+    .collection(RESUMABLE_UPLOADS_COLLECTION)
+    .deleteOne({ _id: upload._id });
+  await fs.promises.unlink(dataPath(upload)).catch((error) => {
+    if (error.code !== "ENOENT") throw error;
+  });
+};
+
+const removeExpiredUploads = async (now) => {
+  const expired = await getDB()
+    .collection(RESUMABLE_UPLOADS_COLLECTION)
+    .find({ expiresAt: { $lte: now } })
+    .toArray();
+
+  for (const upload of expired) {
+    await removeResumableUpload(upload);
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Removed ${expired.length} expired resumable uploads`);
+  }
+};
+
+export function startResumableUploadCleanup() {
+  if (cleanupTimer) return;
+
+  cleanupTimer = setInterval(async () => {
+    try {
+      await removeExpiredUploads(new Date());
+    } catch (error) {
+      console.error("❌ Error in resumable upload cleanup:", error.message);
+    }
+  }, RESUMABLE_CLEANUP_POLL_MS);
+}
@@ -0,0 +1,122 @@
+// Edit history for both chat collections. Every edit pushes the text it
+// replaces onto the message's `revisions` array, so disputes between users
+// and experts can be settled from the full history, and edits are refused
+// once the message is older than the edit window
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { ApiError } from "../lib/ApiError.js";
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+// MESSAGE_EDIT_WINDOW_MINUTES after sending, edits are refused; 0 turns the
+// limit off. Read lazily so dotenv has loaded by the time it is used
+export const getEditWindowMs = () => {
+  const value = parseFloat(process.env.MESSAGE_EDIT_WINDOW_MINUTES);
+  const minutes = Number.isFinite(value) && value >= 0 ? value : 15;
+  return minutes * 60 * 1000;
+};
+
+// Replace the text of a message the caller has already been authorized to
+// edit, keeping the previous text as a revision. The update only applies if
+// the text is still the one that was read, so concurrent edits cannot drop a
+// revision
+export const reviseMessageText = async ({ collection, message, newText }) => {
+  if (message.deletedForEveryone) {
+    throw new ApiError(404, "Message not found or has been deleted");
+  }
+
+  const sentAt = message.createdAt || message.uploadDate;
+  const editWindowMs = getEditWindowMs();
+  const now = new Date();
+
+  if (
+    editWindowMs > 0 &&
+    sentAt &&
+    now.getTime() - new Date(sentAt).getTime() > editWindowMs
+  ) {
+    throw new ApiError(403, "The edit window for this message has expired");
+  }
+
+  const text = String(newText);
+  if (text === message.text) {
+    return message;
+  }
+
+  const result = await collection.updateOne(
+    { _id: message._id, text: message.text },
+    {
+      $set: { text, isEdited: true, editedAt: now },
+      $push: {
+        revisions: {
+          text: message.text,
+          at: message.editedAt || sentAt || null,
+          replacedAt: now,
+        },
+      },
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ApiError(
+      409,
+      "Message update failed, message may have been edited or deleted"
+    );
+  }
+
+  return collection.findOne({ _id: message._id });
+};
+
+// Full revision history of a message, oldest first and ending with the
+// current text; visible to both participants
+export const getRevisionHistory = async ({
+  collectionName,
+  messageId,
+  participantId,
+}) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    throw new ApiError(400, "Invalid message ID");
+  }
+
+  if (!participantId) {
+    throw new ApiError(401, "Authentication required");
+  }
+
+  const db = getDB();
+  const participantObjId = toObjectId(participantId);
+
+  const message = await db.collection(collectionName).findOne({
+    _id: toObjectId(messageId),
+    $or: [{ senderId: participantObjId }, { receiverId: participantObjId }],
+    deletedForEveryone: { $ne: true },
+  });
+
+  if (!message) {
+    throw new ApiError(404, "Message not found or has been deleted");
+  }
+
+  const previous = (message.revisions || []).map((revision) => ({
+    text: revision.text,
+    at: revision.at,
+    replacedAt: revision.replacedAt,
+  }));
+
+  const revisions = [
+    ...previous,
+    {
+      text: message.text,
+      at: message.editedAt || message.createdAt || message.uploadDate || null,
+      replacedAt: null,
+    },
+  ].map((revision, index) => ({ version: index + 1, ...revision }));
+
+  return {
+    messageId: message._id.toString(),
+    senderId: message.senderId.toString(),
+    receiverId: message.receiverId.toString(),
+    isEdited: message.isEdited || false,
+    editedAt: message.editedAt || null,
+    revisions,
+  };
+};
@@ -0,0 +1,289 @@
+// Malware scanning of uploaded attachments. Uploads are stored as
+// "pending_scan" and queued here; a clean scan renders image previews and
+// makes them "active" (and so downloadable), an infected one moves the
+// stored file under the quarantine prefix and marks the attachment
+// "quarantined". Both participants get an attachmentScanned event either
+// way. Files that could not be scanned stay pending and are picked up again
+// by the retry sweep, until MAX_SCAN_ATTEMPTS failures make them
+// "scan_failed" (never downloadable). Deduplicated content is shared, so
+// infected content is quarantined for every attachment holding it
+
+import { getDB } from "../lib/db.js";
+import { getReceiverSocketId, io } from "../lib/socket.js";
+import { getScanner } from "../lib/scanner/index.js";
+import { STORAGE_PREFIXES, getStorage } from "../lib/storage/index.js";
+import { ATTACHMENTS_COLLECTION, messageImage } from "./attachment.service.js";
+import {
+  createImagePreviews,
+  discardImagePreviews,
+} from "./imagePreview.service.js";
+import { detachBlob } from "./blob.service.js";
+
+// How often attachments still pending (scanner down, server restarted
+// mid-scan) are queued again, and how old they must be to count as stuck
+const SCAN_RETRY_POLL_MS = 60 * 1000;
+const SCAN_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+// Failed scans before an attachment is given up on; with the sweep above that
+// is roughly ten minutes of the scanner being unreachable
+const MAX_SCAN_ATTEMPTS = 10;
+
+// Scans run one at a time; queued holds ids waiting or in progress
+const queued = new Set();
+let queue = Promise.resolve();
+let scanRetryTimer;
+
+const emitScanResult = (attachment, payload) => {
+  [attachment.senderId, attachment.receiverId].forEach((participantId) => {
+    const socketId = getReceiverSocketId(participantId.toString());
+    if (socketId) {
+      io.to(socketId).emit("attachmentScanned", payload);
+    }
+  });
+};
+
+// Mirror the scan state on the message so history shows it without loading
+// the attachment
+const setMessageScanStatus = (attachment, scanStatus, fields = {}) =>
+  getDB()
+    .collection(attachment.collectionName)
+    .updateOne(
+      { _id: attachment.messageId },
+      { $set: { scanStatus, ...fields } }
+    );
+
+// image is what createImagePreviews rendered for the attachment, if anything
+const markClean = async (attachment, now, image) => {
+  const result = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .updateOne(
+      { _id: attachment._id, status: "pending_scan" },
+      { $set: { status: "active", scannedAt: now, ...(image && { image }) } }
+    );
+  // Deleted while it was being scanned
+  if (result.modifiedCount === 0) {
+    await discardImagePreviews(image);
+    return;
+  }
+
+  await setMessageScanStatus(
+    attachment,
+    "clean",
+    image ? { image: messageImage(image) } : {}
+  );
+  console.log(`✅ Attachment ${attachment._id} scanned clean`);
+
+  emitScanResult(attachment, {
+    attachmentId: attachment._id.toString(),
+    messageId: attachment.messageId.toString(),
+    kind: attachment.kind,
+    status: "clean",
+    ...(image && { image: messageImage(image) }),
+  });
+};
+
+// Attachments still live at the given attachment's storage key: the
+// attachment itself and, for deduplicated content, every other upload of the
+// same bytes
+const findAttachmentsSharingContent = (attachment) =>
+  attachment.contentHash
+    ? getDB()
+        .collection(ATTACHMENTS_COLLECTION)
+        .find({
+          storageKey: attachment.storageKey,
+          status: { $in: ["pending_scan", "active"] },
+        })
+        .toArray()
+    : [attachment];
+
+const quarantineKeyFor = (attachment) =>
+  `${STORAGE_PREFIXES.quarantine}/${attachment.storageKey}`;
+
+// Quarantine an attachment and whatever shares its content. moved is true
+// when the stored object is already under the quarantine prefix
+const quarantine = async (attachment, signature, now, moved = false) => {
+  const quarantineKey = quarantineKeyFor(attachment);
+
+  const quarantined = [];
+  for (const target of await findAttachmentsSharingContent(attachment)) {
+    const result = await getDB()
+      .collection(ATTACHMENTS_COLLECTION)
+      .updateOne(
+        { _id: target._id, status: { $in: ["pending_scan", "active"] } },
+        {
+          $set: {
+            status: "quarantined",
+            storageKey: quarantineKey,
+            scanSignature: signature,
+            scannedAt: now,
+            quarantinedAt: now,
+          },
+          $unset: { image: "" },
+        }
+      );
+    // Deleted while it was being scanned
+    if (result.modifiedCount === 1) quarantined.push(target);
+  }
+  if (quarantined.length === 0) return;
+
+  // New uploads of the same content get a blob (and a scan) of their own
+  if (attachment.contentHash) {
+    await detachBlob(attachment.contentHash, attachment.storageKey);
+  }
+
+  if (!moved) {
+    try {
+      await getStorage().move(attachment.storageKey, quarantineKey);
+    } catch (error) {
+      // The records no longer point anywhere downloadable either way
+      console.error("❌ Failed to move file to quarantine:", error.message);
+    }
+  }
+
+  for (const target of quarantined) {
+    await discardImagePreviews(target.image);
+    await setMessageScanStatus(target, "quarantined");
+    console.log(
+      `🚫 Attachment ${target._id} quarantined (${signature}), sent by`,
+      target.senderId.toString()
+    );
+
+    emitScanResult(target, {
+      attachmentId: target._id.toString(),
+      messageId: target.messageId.toString(),
+      kind: target.kind,
+      status: "quarantined",
+      threat: signature,
+    });
+  }
+};
+
+// Scan one attachment and apply the result
+const scanAttachment = async (queuedAttachment) => {
+  // It may have been deleted, or quarantined with another upload of the same
+  // content, while it waited
+  const attachment = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .findOne({ _id: queuedAttachment._id, status: "pending_scan" });
+  if (!attachment) return;
+
+  // Content that another upload, referencing it a moment earlier, has
+  // already been quarantined for
+  if (attachment.contentHash) {
+    const infected = await getDB()
+      .collection(ATTACHMENTS_COLLECTION)
+      .findOne({
+        storageKey: quarantineKeyFor(attachment),
+        status: "quarantined",
+      });
+    if (infected) {
+      return quarantine(attachment, infected.scanSignature, new Date(), true);
+    }
+  }
+
+  const stream = await getStorage().createReadStream(attachment.storageKey);
+  const { clean, signature } = await getScanner().scan(stream);
+  const now = new Date();
+
+  if (clean) {
+    // Images are only decoded once their content is known to be clean
+    const image = await createImagePreviews(attachment);
+    await markClean(attachment, now, image);
+  } else {
+    await quarantine(attachment, signature || "unknown", now);
+  }
+};
+
+// Give up on an attachment that failed MAX_SCAN_ATTEMPTS scans
+const markScanFailed = async (attachment) => {
+  const result = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .updateOne(
+      { _id: attachment._id, status: "pending_scan" },
+      { $set: { status: "scan_failed", scanFailedAt: new Date() } }
+    );
+  if (result.modifiedCount === 0) return;
+
+  await setMessageScanStatus(attachment, "failed");
+  console.error(
+    `❌ Attachment ${attachment._id} could not be scanned after ${MAX_SCAN_ATTEMPTS} attempts`
+  );
+
+  emitScanResult(attachment, {
+    attachmentId: attachment._id.toString(),
+    messageId: attachment.messageId.toString(),
+    kind: attachment.kind,
+    status: "failed",
+  });
+};
+
+const recordScanFailure = async (attachment, error) => {
+  const updated = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .findOneAndUpdate(
+      { _id: attachment._id, status: "pending_scan" },
+      {
+        $inc: { scanAttempts: 1 },
+        $set: { lastScanError: error.message, lastScanAttemptAt: new Date() },
+      },
+      { returnDocument: "after" }
+    );
+
+  if (updated && updated.scanAttempts >= MAX_SCAN_ATTEMPTS) {
+    await markScanFailed(updated);
+  }
+};
+
+// Queue a freshly stored "pending_scan" attachment. Returns at once; the
+// outcome reaches clients through attachmentScanned
+export const queueAttachmentScan = (attachment) => {
+  const id = attachment._id.toString();
+  if (queued.has(id)) return;
+  queued.add(id);
+
+  queue = queue
+    .then(() => scanAttachment(attachment))
+    .catch(async (error) => {
+      console.error(`❌ Error scanning attachment ${id}:`, error.message);
+      await recordScanFailure(attachment, error).catch(() => {});
+    })
+    .finally(() => queued.delete(id));
+};
+
+// Queue attachments left pending by a failed scan or a restart
+const retryPendingScans = async (now) => {
+  const pending = await getDB()
+    .collection(ATTACHMENTS_COLLECTION)
+    .find({
+      status: "pending_scan",
+      createdAt: { $lte: new Date(now.getTime() - SCAN_RETRY_AFTER_MS) },
+    })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  pending.forEach(queueAttachmentScan);
+};
+
+// Report at startup when the scanner cannot be reached: uploads would
+// otherwise sit in "pending_scan" without any sign of why
+export const checkScanner = async () => {
+  try {
+    await getScanner().ping();
+  } catch (error) {
+    console.error(
+      `❌ Malware scanner unreachable (${error.message}); uploads stay pending until it answers. Configure CLAMAV_* or set SCANNER_DRIVER=fake for development`
+    );
+  }
+};
+
+export function startAttachmentScanRetry() {
+  if (scanRetryTimer) return;
+
+  scanRetryTimer = setInterval(async () => {
+    try {
+      await retryPendingScans(new Date());
+    } catch (error) {
+      console.error("❌ Error in attachment scan retry:", error.message);
+    }
+  }, SCAN_RETRY_POLL_MS);
+}
@@ -0,0 +1,226 @@
+// Full-text search over message text and file names in either chat
+// collection, using the message_text_search index. Callers pass the
+// counterparts the session middleware allows; results carry a snippet with
+// highlight ranges so clients can mark matches without rendering HTML
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { ApiError } from "../lib/ApiError.js";
+import { visibleToFilter } from "./deletion.service.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 120;
+
+export const SEARCH_TYPES = ["text", "file", "voice"];
+
+const toObjectId = (id) =>
+  id instanceof ObjectId ? id : new ObjectId(String(id));
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+
+  const date = new Date(isNaN(value) ? value : Number(value));
+  if (isNaN(date.getTime())) {
+    throw new ApiError(400, `Invalid ${name} date`);
+  }
+  return date;
+};
+
+const typeFilter = (type) => {
+  if (type === "voice") {
+    return { isVoice: true };
+  }
+  if (type === "file") {
+    return { isFile: true };
+  }
+  return { isVoice: { $ne: true }, isFile: { $ne: true } };
+};
+
+// Words and "quoted phrases" of a $text query, without negated terms
+const getSearchTerms = (query) => {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+  const words = query
+    .replace(/"[^"]*"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"));
+
+  return [...phrases, ...words]
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Cut a window of the text around the first match and return it with the
+// [start, end) ranges of every match inside it
+export const buildSnippet = (text, terms) => {
+  const source = text || "";
+  const lower = source.toLowerCase();
+
+  const firstMatch = Math.min(
+    ...terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0),
+    source.length
+  );
+  const start =
+    firstMatch === source.length
+      ? 0
+      : Math.max(0, firstMatch - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet = `${prefix}${source.slice(start, end)}${
+    end < source.length ? "…" : ""
+  }`;
+
+  const window = lower.slice(start, end);
+  const ranges = [];
+  terms.forEach((term) => {
+    let index = window.indexOf(term);
+    while (index >= 0) {
+      ranges.push([
+        index + prefix.length,
+        index + prefix.length + term.length,
+      ]);
+      index = window.indexOf(term, index + term.length);
+    }
+  });
+
+  // Merge overlapping ranges so clients can mark them in one pass
+  const highlights = ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+
+  return { snippet, highlights };
+};
+
+const formatResult = (msg, participantObjId, terms) => {
+  const type = msg.isVoice ? "voice" : msg.isFile ? "file" : "text";
+  const searchable = type === "file" ? msg.originalName : msg.text;
+  const counterpartId = msg.senderId.equals(participantObjId)
+    ? msg.receiverId
+    : msg.senderId;
+
+  return {
+    _id: msg._id.toString(),
+    senderId: msg.senderId.toString(),
+    receiverId: msg.receiverId.toString(),
+    counterpartId: counterpartId.toString(),
+    type,
+    text: msg.text || "",
+    fileName: msg.originalName || null,
+    time: msg.createdAt || msg.uploadDate,
+    score: msg.score,
+    ...buildSnippet(searchable, terms),
+  };
+};
+
+// Search the participant's conversations with the allowed counterparts.
+// counterpartId narrows the search to one of them; from / to bound the send
+// time and type picks text, file or voice messages
+export const searchMessages = async ({
+  collectionName,
+  participantId,
+  allowedCounterpartIds,
+  query,
+  counterpartId,
+  from,
+  to,
+  type,
+  page,
+  limit,
+}) => {
+  const q = typeof query === "string" ? query.trim() : "";
+  if (!q) {
+    throw new ApiError(400, "Search query is required");
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new ApiError(400, "Search query is too long");
+  }
+
+  if (type && !SEARCH_TYPES.includes(type)) {
+    throw new ApiError(400, "Invalid type, expected text, file or voice");
+  }
+
+  let counterparts = allowedCounterpartIds.map(String);
+  if (counterpartId) {
+    if (!counterparts.includes(String(counterpartId))) {
+      throw new ApiError(403, "Not authorized to access this conversation");
+    }
+    counterparts = [String(counterpartId)];
+  }
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+
+  if (counterparts.length === 0) {
+    return {
+      results: [],
+      page: pageNumber,
+      limit: pageSize,
+      total: 0,
+      hasMore: false,
+    };
+  }
+
+  const participantObjId = toObjectId(participantId);
+  const counterpartObjIds = counterparts.map(toObjectId);
+
+  const filter = {
+    $text: { $search: q },
+    $or: [
+      { senderId: participantObjId, receiverId: { $in: counterpartObjIds } },
+      { receiverId: participantObjId, senderId: { $in: counterpartObjIds } },
+    ],
+    deletedForEveryone: { $ne: true },
+    ...visibleToFilter(participantObjId),
+  };
+
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  if (type) {
+    Object.assign(filter, typeFilter(type));
+  }
+
+  const db = getDB();
+  const collection = db.collection(collectionName);
+
+  const [messages, total] = await Promise.all([
+    collection
+      .find(filter, {
+        projection: { score: { $meta: "textScore" }, revisions: 0 },
+      })
+      .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  const terms = getSearchTerms(q);
+
+  return {
+    results: messages.map((msg) => formatResult(msg, participantObjId, terms)),
+    page: pageNumber,
+    limit: pageSize,
+    total,
+    hasMore: pageNumber * pageSize < total,
+  };
+};
@@ -0,0 +1,246 @@
+// Session lookups shared by the HTTP session middleware and the Socket.IO
+// handlers, so both apply the same rules about who may talk to whom and when
+
+import { getDB } from "../lib/db.js";
+import { ObjectId } from "mongodb";
+import { ApiError } from "../lib/ApiError.js";
+
+const toObjectId = (id) => (typeof id === "string" ? new ObjectId(id) : id);
+
+const minutesFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Grace periods around a booked slot: chat opens SESSION_GRACE_BEFORE_MINUTES
+// before startTime and becomes read-only SESSION_GRACE_AFTER_MINUTES after
+// endTime. Read lazily so dotenv has loaded by the time they are used
+export const getSessionGracePeriods = () => ({
+  beforeMs: minutesFromEnv("SESSION_GRACE_BEFORE_MINUTES", 5) * 60 * 1000,
+  afterMs: minutesFromEnv("SESSION_GRACE_AFTER_MINUTES", 15) * 60 * 1000,
+});
+
+// Chat window of a session, or null for sessions booked without start/end
+// times (those stay open for as long as they are confirmed)
+export const getSessionWindow = (session) => {
+  const startTime = session?.startTime ? new Date(session.startTime) : null;
+  const endTime = session?.endTime ? new Date(session.endTime) : null;
+
+  if (
+    !startTime ||
+    !endTime ||
+    isNaN(startTime.getTime()) ||
+    isNaN(endTime.getTime())
+  ) {
+    return null;
+  }
+
+  const { beforeMs, afterMs } = getSessionGracePeriods();
+
+  return {
+    startTime,
+    endTime,
+    opensAt: new Date(startTime.getTime() - beforeMs),
+    closesAt: new Date(endTime.getTime() + afterMs),
+  };
+};
+
+// Work out what a set of confirmed sessions with one counterpart allows right
+// now: history is readable once any session has opened, and messages can be
+// sent only while one is open. `session` is the one that grants the access
+export const getSessionAccess = (sessions, now = new Date()) => {
+  let readable = null;
+
+  for (const session of sessions) {
+    const window = getSessionWindow(session);
+
+    if (!window || (window.opensAt <= now && now <= window.closesAt)) {
+      return { canRead: true, canWrite: true, session, window };
+    }
+
+    if (window.opensAt <= now) {
+      readable = { canRead: true, canWrite: false, session, window };
+    }
+  }
+
+  return (
+    readable || {
+      canRead: false,
+      canWrite: false,
+      session: sessions[0] || null,
+      window: getSessionWindow(sessions[0]),
+    }
+  );
+};
+
+// Find the confirmed expert-to-expert sessions between two experts, in either
+// direction (consulting or consulted)
+export const findConfirmedExpertSessions = async (expertId, otherExpertId) => {
+  if (!ObjectId.isValid(expertId) || !ObjectId.isValid(otherExpertId)) {
+    return [];
+  }
+
+  const db = getDB();
+  const expertToExpertSessionCollection = db.collection(
+    "experttoexpertsessions"
+  );
+
+  const expertObjId = toObjectId(expertId);
+  const otherExpertObjId = toObjectId(otherExpertId);
+
+  return expertToExpertSessionCollection
+    .find({
+      status: "confirmed",
+      $or: [
+        { consultingExpertID: expertObjId, expertId: otherExpertObjId },
+        { consultingExpertID: otherExpertObjId, expertId: expertObjId },
+      ],
+    })
+    .toArray();
+};
+
+// First confirmed expert-to-expert session between two experts, or null
+export const findConfirmedExpertSession = async (expertId, otherExpertId) => {
+  const sessions = await findConfirmedExpertSessions(expertId, otherExpertId);
+  return sessions[0] || null;
+};
+
+// Every confirmed expert-to-expert session an expert takes part in, on either
+// side
+export const findAllConfirmedExpertSessions = async (expertId) => {
+  if (!ObjectId.isValid(expertId)) {
+    return [];
+  }
+
+  const db = getDB();
+  const expertObjId = toObjectId(expertId);
+
+  return db
+    .collection("experttoexpertsessions")
+    .find({
+      status: "confirmed",
+      $or: [{ consultingExpertID: expertObjId }, { expertId: expertObjId }],
+    })
+    .toArray();
+};
+
+// Counterparts whose conversation the participant may read right now, given
+// their confirmed sessions. getCounterpartId picks the other side of a session
+export const getReadableCounterpartIds = (sessions, getCounterpartId) => {
+  const byCounterpart = new Map();
+
+  sessions.forEach((session) => {
+    const counterpartId = getCounterpartId(session)?.toString();
+    if (!counterpartId) return;
+    if (!byCounterpart.has(counterpartId)) {
+      byCounterpart.set(counterpartId, []);
+    }
+    byCounterpart.get(counterpartId).push(session);
+  });
+
+  return [...byCounterpart.entries()]
+    .filter(([, group]) => getSessionAccess(group).canRead)
+    .map(([counterpartId]) => counterpartId);
+};
+
+// Find the confirmed user-to-expert sessions between a user and an expert
+export const findConfirmedUserExpertSessions = async (userId, expertId) => {
+  if (!ObjectId.isValid(userId) || !ObjectId.isValid(expertId)) {
+    return [];
+  }
+
+  const db = getDB();
+  const userToExpertSessionCollection = db.collection("usertoexpertsessions");
+
+  return userToExpertSessionCollection
+    .find({
+      userId: toObjectId(userId),
+      expertId: toObjectId(expertId),
+      status: "confirmed",
+    })
+    .toArray();
+};
+
+// Find the confirmed sessions that let a participant talk to a counterpart:
+// user <-> expert for users, and for experts either a user they consult or
+// (when expertToExpert is set) another expert
+export const findCounterpartSessions = async (
+  { userId, expertId },
+  counterpartId,
+  { expertToExpert = false } = {}
+) => {
+  if (userId) {
+    return findConfirmedUserExpertSessions(userId, counterpartId);
+  }
+
+  if (expertId && expertToExpert) {
+    return findConfirmedExpertSessions(expertId, counterpartId);
+  }
+
+  if (expertId) {
+    return findConfirmedUserExpertSessions(counterpartId, expertId);
+  }
+
+  return [];
+};
+
+// The other participant of a stored message, or null when there is no such
+// message
+export const findMessageCounterpart = async (
+  collectionName,
+  messageId,
+  participantId
+) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    return null;
+  }
+
+  const db = getDB();
+  const message = await db
+    .collection(collectionName)
+    .findOne(
+      { _id: new ObjectId(String(messageId)) },
+      { projection: { senderId: 1, receiverId: 1 } }
+    );
+
+  if (!message?.senderId || !message?.receiverId) {
+    return null;
+  }
+
+  return message.senderId.equals(toObjectId(participantId))
+    ? message.receiverId.toString()
+    : message.senderId.toString();
+};
+
+// Resolve the other participant of the message a write request targets
+// (edit/delete routes carry the message in the body rather than /:id). A
+// message decides its own conversation: a receiver id sent alongside it must
+// name the same counterpart (403 otherwise), and is only used on its own by
+// conversation-wide routes
+export const resolveCounterpartFromRequest = async (
+  req,
+  collectionName,
+  participantId
+) => {
+  const body = req.body || {};
+  const directId = body.reciverID || body.receiverID || body.receiverId;
+  const messageId =
+    body.messageID || body.messageId || body.voiceId || body.fileId;
+
+  if (!messageId) {
+    return directId ? String(directId) : null;
+  }
+
+  const counterpartId = await findMessageCounterpart(
+    collectionName,
+    messageId,
+    participantId
+  );
+  if (counterpartId && directId && String(directId) !== counterpartId) {
+    throw new ApiError(
+      403,
+      "receiverId does not belong to the conversation of this message"
+    );
+  }
+  return counterpartId;
+};
@@ -0,0 +1,206 @@
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { getStorage } from "../src/lib/storage/index.js";
+import {
+  ATTACHMENTS_COLLECTION,
+  createAttachmentMessage,
+  formatAttachmentFields,
+  getAttachmentForParticipant,
+  listConversationAttachments,
+  releaseAttachments,
+} from "../src/services/attachment.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+// Keep console.log chatter from the code under test out of the test
+// runner's output, which it can garble
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+
+describe("attachments", () => {
+  let root;
+  let db;
+  const senderId = new ObjectId();
+  const receiverId = new ObjectId();
+
+  const create = async (kind = "file", extra = {}) => {
+    const { attachment } = await createAttachmentMessage({
+      collectionName: "messages",
+      kind,
+      file: {
+        originalname: "report.pdf",
+        filename: "stored-report.pdf",
+        mimetype: "application/pdf",
+        size: 1234,
+      },
+      storageKey: `files/${new ObjectId()}.pdf`,
+      senderId,
+      receiverId,
+      duration: 7,
+      ...extra,
+    });
+    return attachment;
+  };
+
+  const setStatus = (attachment, status) =>
+    db
+      .collection(ATTACHMENTS_COLLECTION)
+      .updateOne({ _id: attachment._id }, { $set: { status } });
+
+  const load = (attachment, participantId = receiverId) =>
+    getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: attachment._id.toString(),
+      participantId,
+      kind: attachment.kind,
+    });
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.STORAGE_LOCAL_ROOT = path.join(root, "store");
+  });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("links the message and its attachment under one id", async () => {
+    const attachment = await create("file", { mimeType: "text/plain" });
+    const message = await db
+      .collection("messages")
+      .findOne({ _id: attachment._id });
+
+    assert.ok(attachment.messageId.equals(attachment._id));
+    assert.ok(message.attachmentId.equals(attachment._id));
+    assert.equal(attachment.status, "pending_scan");
+    assert.equal(attachment.mimeType, "text/plain");
+    assert.equal(attachment.declaredMimeType, "application/pdf");
+    assert.equal(attachment.duration, null);
+
+    assert.deepEqual(formatAttachmentFields(message), {
+      isFile: true,
+      fileId: attachment._id.toString(),
+      fileName: "report.pdf",
+      fileType: "text/plain",
+      fileSize: 1234,
+      image: null,
+      scanStatus: "pending",
+    });
+  });
+
+  test("describes voice notes on their message", async () => {
+    const attachment = await create("voice");
+    const message = await db
+      .collection("messages")
+      .findOne({ _id: attachment._id });
+
+    assert.equal(message.text, "Voice message");
+    assert.equal(formatAttachmentFields(message).voiceDuration, 7);
+    assert.deepEqual(formatAttachmentFields({ text: "plain" }), {});
+  });
+
+  test("removes the attachment when its message cannot be written", async () => {
+    mock.method(db.collection("messages"), "insertOne", async () => {
+      throw new Error("write failed");
+    });
+
+    await assert.rejects(create(), /write failed/);
+    assert.equal(
+      await db.collection(ATTACHMENTS_COLLECTION).countDocuments({}),
+      0
+    );
+  });
+
+  test("serves attachments to participants once scanned clean", async () => {
+    const attachment = await create();
+    await assert.rejects(load(attachment), { statusCode: 409 });
+
+    await setStatus(attachment, "active");
+    assert.ok((await load(attachment))._id.equals(attachment._id));
+    assert.ok(await load(attachment, senderId));
+
+    await assert.rejects(load(attachment, new ObjectId()), {
+      statusCode: 403,
+    });
+    await assert.rejects(
+      getAttachmentForParticipant({
+        collectionName: "messages",
+        attachmentId: attachment._id.toString(),
+        participantId: receiverId,
+        kind: "voice",
+      }),
+      { statusCode: 404 }
+    );
+  });
+
+  test("refuses attachments that failed their scan", async () => {
+    const attachment = await create();
+
+    await setStatus(attachment, "quarantined");
+    await assert.rejects(load(attachment), { statusCode: 410 });
+    await setStatus(attachment, "scan_failed");
+    await assert.rejects(load(attachment), { statusCode: 422 });
+  });
+
+  test("goes with its message", async () => {
+    const hidden = await create();
+    const deleted = await create();
+    await setStatus(hidden, "active");
+    await setStatus(deleted, "active");
+    await db
+      .collection("messages")
+      .updateOne({ _id: hidden._id }, { $set: { hiddenFor: [receiverId] } });
+    await db
+      .collection("messages")
+      .updateOne({ _id: deleted._id }, { $set: { deletedForEveryone: true } });
+
+    await assert.rejects(load(hidden), { statusCode: 404 });
+    assert.ok(await load(hidden, senderId));
+    await assert.rejects(load(deleted, senderId), { statusCode: 404 });
+
+    const listed = await listConversationAttachments({
+      collectionName: "messages",
+      participantId: senderId,
+      counterpartId: receiverId,
+      kind: "file",
+    });
+    assert.deepEqual(
+      listed.map((attachment) => attachment._id),
+      [hidden._id]
+    );
+  });
+
+  test("releases the stored file of a message deleted for everyone", async () => {
+    const attachment = await create();
+    const upload = path.join(root, "upload.pdf");
+    await fs.promises.writeFile(upload, "%PDF-1.4\n");
+    await getStorage().putFile(attachment.storageKey, upload);
+
+    const quarantined = await create();
+    await setStatus(quarantined, "quarantined");
+
+    await releaseAttachments([
+      { attachmentId: attachment._id },
+      { attachmentId: quarantined._id },
+      { text: "no attachment" },
+    ]);
+
+    const attachments = db.collection(ATTACHMENTS_COLLECTION);
+    const released = await attachments.findOne({ _id: attachment._id });
+    assert.equal(released.status, "deleted");
+    assert.equal(released.storageKey, undefined);
+    assert.equal(await getStorage().stat(attachment.storageKey), null);
+
+    // Quarantined files stay where they are
+    const kept = await attachments.findOne({ _id: quarantined._id });
+    assert.equal(kept.status, "quarantined");
+  });
+});
@@ -0,0 +1,117 @@
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { setDB } from "../src/lib/db.js";
+import { getStorage } from "../src/lib/storage/index.js";
+import {
+  BLOBS_COLLECTION,
+  releaseBlob,
+  storeAttachmentContent,
+} from "../src/services/blob.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+// Keep console.log chatter from the code under test out of the test
+// runner's output, which it can garble
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+
+describe("blob reference counting", () => {
+  let root;
+  let db;
+  let count = 0;
+
+  // A multer upload of the given content
+  const upload = async (content) => {
+    count += 1;
+    const filePath = path.join(root, `upload-${count}`);
+    await fs.promises.writeFile(filePath, content);
+    return { path: filePath, size: Buffer.byteLength(content) };
+  };
+
+  const blobRecord = (contentHash) =>
+    db.collection(BLOBS_COLLECTION).findOne({ _id: contentHash });
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.STORAGE_LOCAL_ROOT = path.join(root, "store");
+  });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("stores new content under a blob key with one reference", async () => {
+    const file = await upload("first content");
+
+    const { storageKey, contentHash } = await storeAttachmentContent(
+      file,
+      "text/plain"
+    );
+
+    assert.match(contentHash, /^[0-9a-f]{64}$/);
+    assert.ok(storageKey.startsWith(`blobs/${contentHash.slice(0, 2)}/`));
+    assert.equal((await getStorage().stat(storageKey)).size, 13);
+    assert.equal((await blobRecord(contentHash)).refCount, 1);
+    assert.equal(fs.existsSync(file.path), false);
+  });
+
+  test("references content already stored instead of copying it", async () => {
+    const first = await storeAttachmentContent(
+      await upload("shared content"),
+      "text/plain"
+    );
+    const secondFile = await upload("shared content");
+    const second = await storeAttachmentContent(secondFile, "text/plain");
+
+    assert.equal(second.storageKey, first.storageKey);
+    assert.equal(second.contentHash, first.contentHash);
+    assert.equal((await blobRecord(first.contentHash)).refCount, 2);
+    assert.equal(fs.existsSync(secondFile.path), false);
+  });
+
+  test("removes the stored object with its last reference", async () => {
+    const { storageKey, contentHash } = await storeAttachmentContent(
+      await upload("released content"),
+      "text/plain"
+    );
+    await storeAttachmentContent(
+      await upload("released content"),
+      "text/plain"
+    );
+
+    await releaseBlob(contentHash);
+    assert.equal((await blobRecord(contentHash)).refCount, 1);
+    assert.ok(await getStorage().stat(storageKey));
+
+    await releaseBlob(contentHash);
+    assert.equal(await blobRecord(contentHash), null);
+    assert.equal(await getStorage().stat(storageKey), null);
+  });
+
+  test("stores content uploaded again after release afresh", async () => {
+    const first = await storeAttachmentContent(
+      await upload("stored again"),
+      "text/plain"
+    );
+    await releaseBlob(first.contentHash);
+
+    const second = await storeAttachmentContent(
+      await upload("stored again"),
+      "text/plain"
+    );
+
+    assert.notEqual(second.storageKey, first.storageKey);
+    assert.equal((await blobRecord(second.contentHash)).refCount, 1);
+    assert.ok(await getStorage().stat(second.storageKey));
+  });
+
+  test("ignores releases without a content hash", async () => {
+    await assert.doesNotReject(releaseBlob(null));
+  });
+});
@@ -0,0 +1,111 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { findConversationPage } from "../src/services/conversation.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+describe("conversation pages", () => {
+  let db;
+  let ids;
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+  const start = new Date("2026-01-01T10:00:00Z").getTime();
+
+  const page = (options = {}) =>
+    findConversationPage({
+      collectionName: "messages",
+      participantId: userId,
+      counterpartId: expertId,
+      ...options,
+    });
+
+  const texts = (result) => result.messages.map((msg) => msg.text);
+
+  beforeEach(async () => {
+    db = createMemoryDb();
+    setDB(db);
+
+    // Five messages a minute apart, the last two in the same millisecond
+    ids = [];
+    for (let i = 0; i < 5; i += 1) {
+      const _id = new ObjectId();
+      ids.push(_id);
+      await db.collection("messages").insertOne({
+        _id,
+        senderId: i % 2 ? expertId : userId,
+        receiverId: i % 2 ? userId : expertId,
+        text: `m${i}`,
+        createdAt: new Date(start + Math.min(i, 3) * 60000),
+      });
+    }
+    // Another conversation of the same user
+    await db.collection("messages").insertOne({
+      senderId: userId,
+      receiverId: new ObjectId(),
+      text: "elsewhere",
+      createdAt: new Date(start),
+    });
+  });
+
+  test("returns the newest page oldest to newest", async () => {
+    const result = await page({ limit: 2 });
+
+    assert.deepEqual(texts(result), ["m3", "m4"]);
+    assert.equal(result.hasMoreBefore, true);
+    assert.equal(result.hasMoreAfter, false);
+    assert.equal(result.beforeCursor, ids[3].toString());
+  });
+
+  test("walks back with before and forward with after", async () => {
+    const older = await page({ before: ids[3].toString(), limit: 2 });
+    assert.deepEqual(texts(older), ["m1", "m2"]);
+    assert.equal(older.hasMoreBefore, true);
+    assert.equal(older.hasMoreAfter, true);
+
+    const oldest = await page({ before: older.beforeCursor, limit: 2 });
+    assert.deepEqual(texts(oldest), ["m0"]);
+    assert.equal(oldest.hasMoreBefore, false);
+
+    const newer = await page({ after: ids[1].toString(), limit: 2 });
+    assert.deepEqual(texts(newer), ["m2", "m3"]);
+    assert.equal(newer.hasMoreAfter, true);
+  });
+
+  test("breaks createdAt ties on _id", async () => {
+    const result = await page({ after: ids[3].toString() });
+    assert.deepEqual(texts(result), ["m4"]);
+  });
+
+  test("keeps pages stable when new messages arrive", async () => {
+    const first = await page({ limit: 2 });
+    await db.collection("messages").insertOne({
+      senderId: expertId,
+      receiverId: userId,
+      text: "m5",
+      createdAt: new Date(start + 10 * 60000),
+    });
+
+    const older = await page({ before: first.beforeCursor, limit: 2 });
+    assert.deepEqual(texts(older), ["m1", "m2"]);
+  });
+
+  test("accepts a timestamp cursor", async () => {
+    const result = await page({ before: String(start + 2 * 60000) });
+    assert.deepEqual(texts(result), ["m0", "m1"]);
+  });
+
+  test("refuses a cursor from another conversation", async () => {
+    const other = await db
+      .collection("messages")
+      .findOne({ text: "elsewhere" });
+    await assert.rejects(page({ before: other._id.toString() }), {
+      statusCode: 400,
+    });
+  });
+
+  test("clamps the page size", async () => {
+    assert.equal((await page({ limit: -5 })).limit, 1);
+    assert.equal((await page({ limit: 1000 })).limit, 100);
+  });
+});
@@ -0,0 +1,131 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import {
+  getConversationSummaries,
+  withConversationSummaries,
+} from "../src/services/conversation.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+describe("sidebar summaries", () => {
+  let db;
+  const userId = new ObjectId();
+  const chattyExpertId = new ObjectId();
+  const quietExpertId = new ObjectId();
+  const silentExpertId = new ObjectId();
+  const at = (minute) => new Date(Date.UTC(2026, 0, 1, 10, minute));
+
+  const summaries = () =>
+    getConversationSummaries({
+      collectionName: "messages",
+      participantId: userId.toString(),
+      counterpartIds: [chattyExpertId, quietExpertId, silentExpertId].map(
+        String
+      ),
+    });
+
+  const insert = (message) => db.collection("messages").insertOne(message);
+
+  beforeEach(async () => {
+    db = createMemoryDb();
+    setDB(db);
+
+    await insert({
+      senderId: chattyExpertId,
+      receiverId: userId,
+      text: "read already",
+      createdAt: at(1),
+      readAt: at(2),
+    });
+    await insert({
+      senderId: chattyExpertId,
+      receiverId: userId,
+      text: "unread one",
+      createdAt: at(3),
+    });
+    await insert({
+      senderId: chattyExpertId,
+      receiverId: userId,
+      text: "",
+      createdAt: at(4),
+      deletedForEveryone: true,
+    });
+    await insert({
+      senderId: chattyExpertId,
+      receiverId: userId,
+      text: "hidden from me",
+      createdAt: at(5),
+      hiddenFor: [userId],
+    });
+    await insert({
+      senderId: chattyExpertId,
+      receiverId: userId,
+      text: "unread two",
+      createdAt: at(6),
+    });
+
+    // A legacy voice message dated only by uploadDate
+    await insert({
+      senderId: userId,
+      receiverId: quietExpertId,
+      isVoice: true,
+      uploadDate: at(8),
+    });
+    // Someone else's conversation with the same expert
+    await insert({
+      senderId: new ObjectId(),
+      receiverId: quietExpertId,
+      text: "not mine",
+      createdAt: at(9),
+    });
+  });
+
+  test("counts unread messages and previews the newest visible one", async () => {
+    const chatty = (await summaries())[chattyExpertId.toString()];
+
+    assert.equal(chatty.unreadCount, 2);
+    assert.equal(chatty.lastMessage.text, "unread two");
+    assert.equal(chatty.lastMessage.isMine, false);
+    assert.deepEqual(chatty.lastActivityAt, at(6));
+  });
+
+  test("previews voice messages and dates legacy ones by uploadDate", async () => {
+    const quiet = (await summaries())[quietExpertId.toString()];
+
+    assert.equal(quiet.unreadCount, 0);
+    assert.equal(quiet.lastMessage.type, "voice");
+    assert.equal(quiet.lastMessage.text, "Voice message");
+    assert.equal(quiet.lastMessage.isMine, true);
+    assert.deepEqual(quiet.lastActivityAt, at(8));
+  });
+
+  test("orders the sidebar by last activity, silent counterparts last", async () => {
+    const sidebar = withConversationSummaries(
+      [silentExpertId, chattyExpertId, quietExpertId].map((_id) => ({ _id })),
+      await summaries()
+    );
+
+    assert.deepEqual(
+      sidebar.map((entry) => entry._id),
+      [quietExpertId, chattyExpertId, silentExpertId]
+    );
+    assert.equal(sidebar[2].unreadCount, 0);
+    assert.equal(sidebar[2].lastMessage, null);
+    assert.equal(sidebar[2].isOnline, false);
+  });
+
+  test("shows a deleted last message as deleted", async () => {
+    await insert({
+      senderId: userId,
+      receiverId: chattyExpertId,
+      text: "",
+      createdAt: at(7),
+      deletedForEveryone: true,
+    });
+
+    const chatty = (await summaries())[chattyExpertId.toString()];
+    assert.equal(chatty.lastMessage.type, "deleted");
+    assert.equal(chatty.lastMessage.text, "Message deleted");
+  });
+});
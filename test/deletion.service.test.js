@@ -0,0 +1,200 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import {
+  deleteConversationForScope,
+  deleteMessageForScope,
+  formatTombstone,
+  parseDeleteScope,
+  visibleToFilter,
+} from "../src/services/deletion.service.js";
+import {
+  getRevisionHistory,
+  reviseMessageText,
+} from "../src/services/revision.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+const MINUTE = 60 * 1000;
+
+describe("message deletion", () => {
+  let db;
+  let messages;
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+
+  const insertMessage = async ({ from = userId, to = expertId, ...fields }) => {
+    const { insertedId } = await messages.insertOne({
+      senderId: from,
+      receiverId: to,
+      text: "hello",
+      createdAt: new Date(),
+      ...fields,
+    });
+    return insertedId;
+  };
+
+  const remove = (messageId, scope, participantId = userId) =>
+    deleteMessageForScope({
+      collectionName: "messages",
+      messageId: messageId.toString(),
+      participantId,
+      scope,
+    });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+    messages = db.collection("messages");
+  });
+
+  afterEach(() => {
+    delete process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES;
+  });
+
+  test("defaults to everyone and refuses unknown scopes", () => {
+    assert.equal(parseDeleteScope(undefined), "everyone");
+    assert.equal(parseDeleteScope("me"), "me");
+    assert.throws(() => parseDeleteScope("them"), { statusCode: 400 });
+  });
+
+  test("hides a message only for the caller with scope me", async () => {
+    const messageId = await insertMessage({});
+
+    await remove(messageId, "me", expertId);
+
+    const forExpert = await messages.findOne({
+      _id: messageId,
+      ...visibleToFilter(expertId),
+    });
+    const forUser = await messages.findOne({
+      _id: messageId,
+      ...visibleToFilter(userId),
+    });
+    assert.equal(forExpert, null);
+    assert.equal(forUser.text, "hello");
+
+    assert.equal(
+      (await remove(messageId, "me", expertId)).alreadyDeleted,
+      true
+    );
+  });
+
+  test("turns the sender's message into a tombstone for everyone", async () => {
+    const messageId = await insertMessage({
+      replyTo: { messageId: new ObjectId(), text: "quoted" },
+    });
+
+    const result = await remove(messageId, "everyone");
+    assert.ok(result.deletedAt);
+
+    const tombstone = await messages.findOne({ _id: messageId });
+    assert.equal(tombstone.deletedForEveryone, true);
+    assert.equal(tombstone.text, "");
+    assert.equal(tombstone.replyTo, undefined);
+    assert.equal(tombstone.deletedBy.toString(), userId.toString());
+    assert.deepEqual(Object.keys(formatTombstone(tombstone)).sort(), [
+      "_id",
+      "deletedAt",
+      "isDeleted",
+      "receiverId",
+      "senderId",
+      "text",
+      "time",
+    ]);
+
+    assert.equal((await remove(messageId, "everyone")).alreadyDeleted, true);
+  });
+
+  test("keeps the edit history on the tombstone but out of history reads", async () => {
+    const messageId = await insertMessage({ text: "first" });
+    await reviseMessageText({
+      collection: messages,
+      message: await messages.findOne({ _id: messageId }),
+      newText: "second",
+    });
+
+    await remove(messageId, "everyone");
+
+    const tombstone = await messages.findOne({ _id: messageId });
+    assert.deepEqual(
+      tombstone.revisions.map((revision) => revision.text),
+      ["first"]
+    );
+    await assert.rejects(
+      getRevisionHistory({
+        collectionName: "messages",
+        messageId: messageId.toString(),
+        participantId: expertId,
+      }),
+      { statusCode: 404 }
+    );
+  });
+
+  test("lets only the sender delete for everyone", async () => {
+    const messageId = await insertMessage({});
+    await assert.rejects(remove(messageId, "everyone", expertId), {
+      statusCode: 403,
+    });
+  });
+
+  test("refuses to delete for everyone after the window", async () => {
+    process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES = "10";
+    const messageId = await insertMessage({
+      createdAt: new Date(Date.now() - 11 * MINUTE),
+    });
+
+    await assert.rejects(remove(messageId, "everyone"), {
+      statusCode: 403,
+      message: "This message is too old to be deleted for everyone",
+    });
+    assert.equal((await remove(messageId, "me")).alreadyDeleted, undefined);
+  });
+
+  test("deletes only the caller's recent messages of a conversation for everyone", async () => {
+    process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES = "10";
+    const recent = await insertMessage({});
+    const old = await insertMessage({
+      createdAt: new Date(Date.now() - 11 * MINUTE),
+    });
+    const theirs = await insertMessage({ from: expertId, to: userId });
+
+    const result = await deleteConversationForScope({
+      collectionName: "messages",
+      participantId: userId.toString(),
+      counterpartId: expertId.toString(),
+      scope: "everyone",
+    });
+
+    assert.equal(result.deletedCount, 1);
+    assert.equal(result.skippedCount, 1);
+    assert.equal(
+      (await messages.findOne({ _id: recent })).deletedForEveryone,
+      true
+    );
+    assert.equal(
+      (await messages.findOne({ _id: old })).deletedForEveryone,
+      undefined
+    );
+    assert.equal(
+      (await messages.findOne({ _id: theirs })).deletedForEveryone,
+      undefined
+    );
+  });
+
+  test("hides a whole conversation for the caller with scope me", async () => {
+    await insertMessage({});
+    await insertMessage({ from: expertId, to: userId });
+
+    const result = await deleteConversationForScope({
+      collectionName: "messages",
+      participantId: userId.toString(),
+      counterpartId: expertId.toString(),
+      scope: "me",
+    });
+
+    assert.equal(result.deletedCount, 2);
+    assert.equal(await messages.countDocuments(visibleToFilter(userId)), 0);
+    assert.equal(await messages.countDocuments(visibleToFilter(expertId)), 2);
+  });
+});
@@ -0,0 +1,204 @@
+import { after, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import { parseRange, sendStoredFile } from "../src/lib/download.js";
+import { getStorage } from "../src/lib/storage/index.js";
+
+// Keep console.log chatter from the code under test out of the test
+// runner's output, which it can garble
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+
+describe("parseRange", () => {
+  test("parses a single byte range", () => {
+    assert.deepEqual(parseRange("bytes=2-5", 10), { start: 2, end: 5 });
+    assert.deepEqual(parseRange("bytes=0-0", 10), { start: 0, end: 0 });
+  });
+
+  test("runs an open-ended range to the end of the file", () => {
+    assert.deepEqual(parseRange("bytes=7-", 10), { start: 7, end: 9 });
+  });
+
+  test("clamps the end to the file size", () => {
+    assert.deepEqual(parseRange("bytes=2-100", 10), { start: 2, end: 9 });
+  });
+
+  test("reads a suffix range from the end of the file", () => {
+    assert.deepEqual(parseRange("bytes=-3", 10), { start: 7, end: 9 });
+    assert.deepEqual(parseRange("bytes=-30", 10), { start: 0, end: 9 });
+  });
+
+  test("is unsatisfiable (null) when the range starts past the end", () => {
+    assert.equal(parseRange("bytes=10-", 10), null);
+    assert.equal(parseRange("bytes=12-20", 10), null);
+    assert.equal(parseRange("bytes=-0", 10), null);
+  });
+
+  test("ignores (undefined) anything but one valid byte range", () => {
+    assert.equal(parseRange("bytes=5-3", 10), undefined);
+    assert.equal(parseRange("bytes=-", 10), undefined);
+    assert.equal(parseRange("bytes=0-1,4-5", 10), undefined);
+    assert.equal(parseRange("items=0-1", 10), undefined);
+  });
+});
+
+describe("sendStoredFile", () => {
+  const content = "0123456789";
+  let root;
+  let server;
+  let baseUrl;
+
+  const get = (url, headers = {}) => fetch(`${baseUrl}${url}`, { headers });
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.STORAGE_LOCAL_ROOT = root;
+
+    const upload = path.join(root, "upload.txt");
+    await fs.promises.writeFile(upload, content);
+    await getStorage().putFile("files/data.txt", upload);
+
+    const app = express();
+    const send = (options) => async (req, res) => {
+      try {
+        await sendStoredFile(req, res, {
+          contentType: "text/plain",
+          fileName: "data.txt",
+          ...options,
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+      }
+    };
+    app.get("/file", send({ storageKey: "files/data.txt" }));
+    app.get(
+      "/hashed",
+      send({ storageKey: "files/data.txt", contentHash: "abc123" })
+    );
+    app.get("/missing", send({ storageKey: "files/missing.txt" }));
+
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  test("sends the whole file with validators", async () => {
+    const res = await get("/file");
+
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), content);
+    assert.equal(res.headers.get("content-length"), "10");
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.match(res.headers.get("etag"), /^"[0-9a-f]+-[0-9a-f]+"$/);
+    assert.ok(res.headers.get("last-modified"));
+    assert.equal(
+      res.headers.get("content-disposition"),
+      'attachment; filename="data.txt"'
+    );
+  });
+
+  test("uses the content hash as ETag for deduplicated content", async () => {
+    const res = await get("/hashed");
+    assert.equal(res.headers.get("etag"), '"abc123"');
+  });
+
+  test("answers 304 when If-None-Match lists the ETag", async () => {
+    const res = await get("/hashed", { "If-None-Match": 'W/"x", "abc123"' });
+    assert.equal(res.status, 304);
+  });
+
+  test("answers 304 when unmodified since If-Modified-Since", async () => {
+    const { headers } = await get("/file");
+    const res = await get("/file", {
+      "If-Modified-Since": headers.get("last-modified"),
+    });
+    assert.equal(res.status, 304);
+  });
+
+  test("sends a requested byte range with 206", async () => {
+    const res = await get("/file", { Range: "bytes=2-5" });
+
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-range"), "bytes 2-5/10");
+    assert.equal(res.headers.get("content-length"), "4");
+    assert.equal(await res.text(), "2345");
+  });
+
+  test("sends the whole file for an invalid range", async () => {
+    const res = await get("/file", { Range: "bytes=5-3" });
+
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), content);
+  });
+
+  test("answers 416 for a range past the end of the file", async () => {
+    const res = await get("/file", { Range: "bytes=10-" });
+
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get("content-range"), "bytes */10");
+  });
+
+  test("honours the range while If-Range matches the ETag", async () => {
+    const res = await get("/hashed", {
+      Range: "bytes=0-1",
+      "If-Range": '"abc123"',
+    });
+
+    assert.equal(res.status, 206);
+    assert.equal(await res.text(), "01");
+  });
+
+  test("honours the range while If-Range matches Last-Modified", async () => {
+    const { headers } = await get("/file");
+    const res = await get("/file", {
+      Range: "bytes=0-1",
+      "If-Range": headers.get("last-modified"),
+    });
+
+    assert.equal(res.status, 206);
+  });
+
+  test("sends the whole file when If-Range is stale", async () => {
+    const res = await get("/hashed", {
+      Range: "bytes=0-1",
+      "If-Range": '"other"',
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), content);
+  });
+
+  test("never honours If-Range with a weak ETag", async () => {
+    const res = await get("/hashed", {
+      Range: "bytes=0-1",
+      "If-Range": 'W/"abc123"',
+    });
+
+    assert.equal(res.status, 200);
+  });
+
+  test("answers HEAD with headers only", async () => {
+    const res = await fetch(`${baseUrl}/file`, { method: "HEAD" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-length"), "10");
+    assert.equal(await res.text(), "");
+  });
+
+  test("throws 404 for a missing object", async () => {
+    const res = await get("/missing");
+
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).message, "File not found on server");
+  });
+});
@@ -0,0 +1,209 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+import { buffer } from "stream/consumers";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { getStorage } from "../src/lib/storage/index.js";
+import { ATTACHMENTS_COLLECTION } from "../src/services/attachment.service.js";
+import {
+  buildConversationExport,
+  parseExportFormat,
+  parseTimezone,
+  renderTranscript,
+  streamExportArchive,
+} from "../src/services/export.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+describe("conversation export", () => {
+  let root;
+  let exportData;
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+  const fileId = new ObjectId();
+  const voiceId = new ObjectId();
+  const ids = {};
+  const at = (minute) => new Date(Date.UTC(2026, 0, 31, 8, minute));
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.STORAGE_LOCAL_ROOT = path.join(root, "store");
+
+    const db = createMemoryDb();
+    setDB(db);
+
+    await db
+      .collection("user")
+      .insertOne({ _id: userId, firstName: "Ada", lastName: "Lovelace" });
+    await db.collection("expert").insertOne({ _id: expertId, name: "Dr. <B>" });
+
+    const insert = async (name, message) => {
+      const { insertedId } = await db.collection("messages").insertOne({
+        senderId: userId,
+        receiverId: expertId,
+        ...message,
+      });
+      ids[name] = insertedId.toString();
+    };
+
+    await insert("question", { text: "Is <script> ok?", createdAt: at(1) });
+    await insert("answer", {
+      senderId: expertId,
+      receiverId: userId,
+      text: "Yes, fixed",
+      isEdited: true,
+      createdAt: at(2),
+      replyTo: {
+        messageId: new ObjectId(ids.question),
+        senderId: userId,
+        text: "Is <script> ok?",
+      },
+    });
+    await insert("hidden", {
+      text: "deleted for me",
+      createdAt: at(3),
+      hiddenFor: [userId],
+    });
+    await insert("deleted", {
+      text: "",
+      deletedForEveryone: true,
+      createdAt: at(4),
+    });
+    await insert("file", {
+      isFile: true,
+      originalName: "plan v2.pdf",
+      attachmentId: fileId,
+      createdAt: at(5),
+    });
+    // A legacy voice note dated by uploadDate, still waiting for its scan
+    await insert("voice", {
+      isVoice: true,
+      attachmentId: voiceId,
+      uploadDate: at(6),
+    });
+
+    const upload = path.join(root, "plan.pdf");
+    await fs.promises.writeFile(upload, "%PDF-1.4\n");
+    await getStorage().putFile("files/plan.pdf", upload);
+
+    await db.collection(ATTACHMENTS_COLLECTION).insertOne({
+      _id: fileId,
+      status: "active",
+      storageKey: "files/plan.pdf",
+      mimeType: "application/pdf",
+      size: 9,
+    });
+    await db.collection(ATTACHMENTS_COLLECTION).insertOne({
+      _id: voiceId,
+      status: "pending_scan",
+      storageKey: "voice/note.ogg",
+      fileName: "note.ogg",
+      mimeType: "audio/ogg",
+      duration: 4,
+    });
+
+    exportData = await buildConversationExport({
+      collectionName: "messages",
+      participantId: userId.toString(),
+      counterpartId: expertId.toString(),
+      timezone: "Asia/Kolkata",
+    });
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("lists the conversation as the participant sees it", () => {
+    assert.deepEqual(
+      exportData.messages.map((entry) => [entry.id, entry.type]),
+      [
+        [ids.question, "text"],
+        [ids.answer, "text"],
+        [ids.deleted, "deleted"],
+        [ids.file, "file"],
+        [ids.voice, "voice"],
+      ]
+    );
+    assert.deepEqual(
+      exportData.participants.map((participant) => participant.name),
+      ["Ada Lovelace", "Dr. <B>"]
+    );
+
+    const [question, answer] = exportData.messages;
+    assert.equal(question.localTime, "2026-01-31 13:31:00");
+    assert.equal(answer.edited, true);
+    assert.deepEqual(answer.replyTo, {
+      messageId: ids.question,
+      senderName: "Ada Lovelace",
+      text: "Is <script> ok?",
+    });
+  });
+
+  test("links attachments and bundles only active ones", () => {
+    const file = exportData.messages[3].attachment;
+    const voice = exportData.messages[4].attachment;
+
+    assert.equal(file.url, `/api/message/files/download/${fileId}`);
+    assert.equal(file.storageKey, "files/plan.pdf");
+    assert.equal(voice.fileName, `voice-message-${voiceId}.ogg`);
+    assert.equal(voice.duration, 4);
+    assert.equal(voice.storageKey, null);
+  });
+
+  test("renders JSON without storage keys", () => {
+    const json = JSON.parse(renderTranscript(exportData, "json"));
+
+    assert.equal(json.messages.length, 5);
+    assert.equal(json.messages[3].attachment.storageKey, undefined);
+    assert.equal(json.timezone, "Asia/Kolkata");
+  });
+
+  test("renders plain text with quotes, edits and deletions", () => {
+    const lines = renderTranscript(exportData, "txt").split("\n");
+
+    assert.equal(lines[0], "Conversation between Ada Lovelace and Dr. <B>");
+    assert.ok(
+      lines.includes(
+        '[2026-01-31 13:32:00] Dr. <B>: (replying to Ada Lovelace: "Is <script> ok?")'
+      )
+    );
+    assert.ok(lines.includes("  Yes, fixed (edited)"));
+    assert.ok(
+      lines.includes("[2026-01-31 13:34:00] Ada Lovelace: [message deleted]")
+    );
+  });
+
+  test("escapes message text in HTML", () => {
+    const html = renderTranscript(exportData, "html");
+
+    assert.ok(html.includes("Is &lt;script&gt; ok?"));
+    assert.ok(!html.includes("<script>"));
+    assert.ok(html.includes("<title>Conversation between Ada Lovelace"));
+  });
+
+  test("zips the transcript with the stored attachments", async () => {
+    const res = new PassThrough();
+    const zipped = buffer(res);
+    await streamExportArchive(res, exportData, "txt", "chat");
+    const names = (await zipped).toString("latin1");
+
+    assert.ok(names.includes("chat.txt"));
+    assert.ok(names.includes(`attachments/${ids.file}-plan_v2.pdf`));
+    assert.ok(!names.includes("voice-message"));
+  });
+
+  test("validates the format and timezone", () => {
+    assert.equal(parseExportFormat(undefined), "json");
+    assert.equal(parseExportFormat("HTML"), "html");
+    assert.throws(() => parseExportFormat("pdf"), { statusCode: 400 });
+
+    assert.equal(parseTimezone(undefined), "UTC");
+    assert.throws(() => parseTimezone("Mars/Olympus"), {
+      statusCode: 400,
+      message: "Unknown timezone: Mars/Olympus",
+    });
+  });
+});
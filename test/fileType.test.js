@@ -0,0 +1,159 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { detectFileType, verifyFileType } from "../src/lib/fileType.js";
+
+describe("file type detection", () => {
+  let root;
+  let count = 0;
+
+  const write = async (content) => {
+    count += 1;
+    const filePath = path.join(root, `sample-${count}`);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  };
+
+  const detect = async (content) => detectFileType(await write(content));
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("recognises images by their magic bytes", async () => {
+    assert.equal(
+      (await detect(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]))).mime,
+      "image/jpeg"
+    );
+    assert.equal(
+      (
+        await detect(
+          Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])
+        )
+      ).mime,
+      "image/png"
+    );
+    assert.equal((await detect("GIF89a\x01\x00")).mime, "image/gif");
+    assert.equal((await detect("RIFF\0\0\0\0WEBPVP8 ")).mime, "image/webp");
+  });
+
+  test("recognises documents, audio and archives", async () => {
+    assert.equal((await detect("%PDF-1.7\n")).mime, "application/pdf");
+    assert.equal((await detect("RIFF\0\0\0\0WAVEfmt ")).mime, "audio/wav");
+    assert.equal((await detect("ID3\x04\0\0")).mime, "audio/mpeg");
+    assert.equal(
+      (await detect(Buffer.from("PK\x03\x04plain.txt", "latin1"))).mime,
+      "application/zip"
+    );
+  });
+
+  test("recognises the formats browsers and phones record voice in", async () => {
+    const webm = await detect(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f]));
+    assert.equal(webm.mime, "audio/webm");
+    assert.equal((await detect("OggS\0\x02")).mime, "audio/ogg");
+    assert.equal(
+      (await detect(Buffer.from([0xff, 0xf1, 0x50, 0x80, 0x02]))).mime,
+      "audio/aac"
+    );
+    assert.equal(
+      (await detect(Buffer.from([0xff, 0xfb, 0x90, 0x64, 0x00]))).mime,
+      "audio/mpeg"
+    );
+    const m4a = await detect("\0\0\0\x20ftypM4A \0\0\0\0");
+    assert.ok(m4a.family.includes("audio/mp4"));
+  });
+
+  test("tells Office Open XML files from plain ZIPs by entry names", async () => {
+    const docx = await detect(
+      Buffer.from("PK\x03\x04[Content_Types].xml word/document.xml", "latin1")
+    );
+    assert.equal(
+      docx.mime,
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    );
+  });
+
+  test("treats UTF-8 without NUL bytes as text", async () => {
+    const detected = await detect("name,city\nZoë,Zürich\n");
+    assert.equal(detected.mime, "text/plain");
+    assert.deepEqual(detected.family, ["text/plain", "text/csv"]);
+  });
+
+  test("returns null for unknown binary content", async () => {
+    assert.equal(await detect(Buffer.from([0x00, 0x01, 0x02, 0x03])), null);
+  });
+
+  test("accepts content matching the declared type", async () => {
+    const file = {
+      path: await write("%PDF-1.4\n"),
+      mimetype: "application/pdf",
+    };
+    assert.equal(
+      await verifyFileType(file, ["application/pdf"]),
+      "application/pdf"
+    );
+  });
+
+  test("keeps the declared type within a detected family", async () => {
+    const file = { path: await write("a,b\n1,2\n"), mimetype: "text/csv" };
+    assert.equal(
+      await verifyFileType(file, ["text/plain", "text/csv"]),
+      "text/csv"
+    );
+  });
+
+  test("rejects renamed executables with 415", async () => {
+    const file = {
+      path: await write(Buffer.from("MZ\x90\x00\x03\x00", "latin1")),
+      mimetype: "image/png",
+    };
+    await assert.rejects(verifyFileType(file, ["image/png"]), {
+      statusCode: 415,
+    });
+  });
+
+  test("rejects content that does not match the declared type", async () => {
+    const file = { path: await write("%PDF-1.4\n"), mimetype: "image/png" };
+    await assert.rejects(
+      verifyFileType(file, ["image/png", "application/pdf"]),
+      { statusCode: 415, message: /does not match its declared type/ }
+    );
+  });
+
+  test("accepts declared types with parameters or aliases", async () => {
+    const webm = {
+      path: await write(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f])),
+      mimetype: "audio/webm;codecs=opus",
+    };
+    assert.equal(await verifyFileType(webm, ["audio/webm"]), "audio/webm");
+
+    const m4a = {
+      path: await write("\0\0\0\x20ftypM4A \0\0\0\0"),
+      mimetype: "audio/x-m4a",
+    };
+    assert.equal(await verifyFileType(m4a, ["audio/mp4"]), "audio/mp4");
+  });
+
+  test("rejects audio declared as another audio type", async () => {
+    const file = { path: await write("ID3\x04\0\0"), mimetype: "audio/webm" };
+    await assert.rejects(verifyFileType(file, ["audio/mpeg", "audio/webm"]), {
+      statusCode: 415,
+      message: /does not match its declared type/,
+    });
+  });
+
+  test("rejects detected types outside the allow-list", async () => {
+    const file = {
+      path: await write("GIF89a\x01\x00"),
+      mimetype: "image/gif",
+    };
+    await assert.rejects(verifyFileType(file, ["image/png"]), {
+      statusCode: 415,
+      message: /not an allowed file type/,
+    });
+  });
+});
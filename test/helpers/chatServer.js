@@ -0,0 +1,148 @@
+// The chat server as src/index.js assembles it (REST routes plus Socket.IO)
+// on a free port, backed by the in-memory database. Resolves to helpers for
+// seeding participants and sessions and for talking to the server over HTTP
+// and sockets. The server's console.log chatter is muted while it runs
+
+import { mock } from "node:test";
+import express from "express";
+import cookieParser from "cookie-parser";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { io as connectClient } from "socket.io-client";
+import { setDB } from "../../src/lib/db.js";
+import { app, io, server } from "../../src/lib/socket.js";
+import messageRoute from "../../src/routes/message.route.js";
+import expertMessageRoute from "../../src/routes/Expert.message.route.js";
+import { createMemoryDb } from "./memoryDb.js";
+
+const HOUR = 60 * 60 * 1000;
+
+let routesMounted = false;
+
+export const startChatServer = async () => {
+  process.env.ACCESS_TOKEN_SECRET ||= "test-secret";
+
+  if (!routesMounted) {
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use("/api/message", messageRoute);
+    app.use("/api/message", expertMessageRoute);
+    routesMounted = true;
+  }
+
+  const db = createMemoryDb();
+  setDB(db);
+
+  const quietLog = mock.method(console, "log", () => {});
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const sockets = [];
+
+  const addParticipant = async (role) => {
+    const _id = new ObjectId();
+    await db
+      .collection(role === "user" ? "user" : "expert")
+      .insertOne({ _id, name: `${role}-${_id}` });
+    return {
+      id: _id.toString(),
+      token: jwt.sign({ _id, role }, process.env.ACCESS_TOKEN_SECRET, {
+        expiresIn: "1h",
+      }),
+    };
+  };
+
+  // A confirmed session, by default open now
+  const bookSession = async ({
+    userId,
+    expertId,
+    consultingExpertId,
+    startTime = new Date(Date.now() - HOUR),
+    endTime = new Date(Date.now() + HOUR),
+  }) => {
+    const session = {
+      expertId: new ObjectId(expertId),
+      status: "confirmed",
+      startTime,
+      endTime,
+    };
+    if (consultingExpertId) {
+      session.consultingExpertID = new ObjectId(consultingExpertId);
+      return db.collection("experttoexpertsessions").insertOne(session);
+    }
+    session.userId = new ObjectId(userId);
+    return db.collection("usertoexpertsessions").insertOne(session);
+  };
+
+  // Connect a socket; resolves once connected, rejects on connect_error
+  const connect = (token, options = {}) =>
+    new Promise((resolve, reject) => {
+      const socket = connectClient(url, {
+        auth: token ? { token } : {},
+        transports: ["websocket"],
+        reconnection: false,
+        forceNew: true,
+        ...options,
+      });
+      sockets.push(socket);
+      socket.once("connect", () => resolve(socket));
+      socket.once("connect_error", reject);
+    });
+
+  // Emit and resolve to the acknowledgement
+  const emit = (socket, eventName, payload) =>
+    socket.timeout(2000).emitWithAck(eventName, payload);
+
+  // Resolve to the next `eventName` payload, or null if none arrives in time
+  const nextEvent = (socket, eventName, ms = 300) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        socket.off(eventName, onEvent);
+        resolve(null);
+      }, ms);
+      const onEvent = (payload, ack) => {
+        clearTimeout(timer);
+        if (typeof ack === "function") ack();
+        resolve(payload);
+      };
+      socket.once(eventName, onEvent);
+    });
+
+  const request = async (path, { token, method = "GET", body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body) headers["Content-Type"] = "application/json";
+    const res = await fetch(`${url}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  };
+
+  // Closes every socket and the HTTP server
+  const close = async () => {
+    sockets.forEach((socket) => socket.disconnect());
+    await new Promise((resolve) => io.close(() => resolve()));
+    quietLog.mock.restore();
+  };
+
+  return {
+    db,
+    url,
+    addParticipant,
+    bookSession,
+    connect,
+    emit,
+    nextEvent,
+    request,
+    close,
+  };
+};
@@ -0,0 +1,200 @@
+// In-memory stand-in for the MongoDB database, enough of the driver's
+// collection API for the services under test. Queries, updates and
+// aggregations are evaluated by mingo; documents are copied in and out so
+// callers never share them with the store
+
+import "mingo/init/system";
+import { Aggregator, Query } from "mingo";
+import { updateObject } from "mingo/updater";
+import { ObjectId } from "mongodb";
+
+const copy = (value) => {
+  if (value instanceof ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, copy(item)])
+    );
+  }
+  return value;
+};
+
+const serialize = (doc) =>
+  JSON.stringify(doc, (key, value) =>
+    value instanceof ObjectId ? `ObjectId(${value})` : value
+  );
+
+// Apply an update document in place; true when it changed anything
+const applyUpdate = (doc, update, inserting) => {
+  const before = serialize(doc);
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (operator === "$setOnInsert") {
+      if (inserting) updateObject(doc, { $set: fields });
+    } else {
+      updateObject(doc, { [operator]: fields });
+    }
+  });
+  return serialize(doc) !== before;
+};
+
+// Plain equality fields of a filter, the starting point of an upsert
+const upsertBase = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        (value === null ||
+          typeof value !== "object" ||
+          value instanceof ObjectId ||
+          value instanceof Date)
+    )
+  );
+
+const createCursor = (run) => {
+  const options = {};
+  const cursor = {
+    sort(sort) {
+      options.sort = sort;
+      return cursor;
+    },
+    limit(limit) {
+      options.limit = limit;
+      return cursor;
+    },
+    project(projection) {
+      options.projection = projection;
+      return cursor;
+    },
+    async toArray() {
+      return run(options).map(copy);
+    },
+    async *[Symbol.asyncIterator]() {
+      yield* await cursor.toArray();
+    },
+  };
+  return cursor;
+};
+
+const createCollection = () => {
+  let docs = [];
+
+  const matching = (filter = {}) => {
+    const query = new Query(filter);
+    return docs.filter((doc) => query.test(doc));
+  };
+
+  const collection = {
+    find(filter = {}, { projection, sort, limit } = {}) {
+      return createCursor((options) => {
+        let result = new Query(filter).find(
+          docs,
+          options.projection || projection
+        );
+        if (options.sort || sort) result = result.sort(options.sort || sort);
+        if (options.limit || limit) {
+          result = result.limit(options.limit || limit);
+        }
+        return result.all();
+      });
+    },
+
+    async findOne(filter = {}, options = {}) {
+      const [doc] = await collection
+        .find(filter, { ...options, limit: 1 })
+        .toArray();
+      return doc || null;
+    },
+
+    async insertOne(doc) {
+      if (!doc._id) doc._id = new ObjectId();
+      if (docs.some((stored) => String(stored._id) === String(doc._id))) {
+        const error = new Error("E11000 duplicate key error");
+        error.code = 11000;
+        throw error;
+      }
+      docs.push(copy(doc));
+      return { acknowledged: true, insertedId: doc._id };
+    },
+
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const [doc] = matching(filter);
+      if (doc) {
+        const modified = applyUpdate(doc, update, false);
+        return { matchedCount: 1, modifiedCount: modified ? 1 : 0 };
+      }
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0 };
+
+      const inserted = upsertBase(filter);
+      applyUpdate(inserted, update, true);
+      const { insertedId } = await collection.insertOne(inserted);
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: insertedId };
+    },
+
+    async updateMany(filter, update) {
+      const matched = matching(filter);
+      const modified = matched.filter((doc) => applyUpdate(doc, update, false));
+      return { matchedCount: matched.length, modifiedCount: modified.length };
+    },
+
+    async findOneAndUpdate(
+      filter,
+      update,
+      { upsert = false, returnDocument = "before" } = {}
+    ) {
+      const [doc] = matching(filter);
+      if (!doc) {
+        if (!upsert) return null;
+        const { upsertedId } = await collection.updateOne(filter, update, {
+          upsert,
+        });
+        return returnDocument === "after"
+          ? collection.findOne({ _id: upsertedId })
+          : null;
+      }
+
+      const before = copy(doc);
+      applyUpdate(doc, update, false);
+      return returnDocument === "after" ? copy(doc) : before;
+    },
+
+    async deleteOne(filter) {
+      const [doc] = matching(filter);
+      if (!doc) return { deletedCount: 0 };
+      docs = docs.filter((stored) => stored !== doc);
+      return { deletedCount: 1 };
+    },
+
+    async deleteMany(filter) {
+      const matched = matching(filter);
+      docs = docs.filter((doc) => !matched.includes(doc));
+      return { deletedCount: matched.length };
+    },
+
+    async countDocuments(filter) {
+      return matching(filter).length;
+    },
+
+    aggregate(pipeline) {
+      return createCursor(() => new Aggregator(pipeline).run(docs));
+    },
+
+    async createIndex(keys, { name } = {}) {
+      return name;
+    },
+  };
+
+  return collection;
+};
+
+export const createMemoryDb = () => {
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection());
+      return collections.get(name);
+    },
+  };
+};
@@ -0,0 +1,117 @@
+// Local S3-compatible stand-in for the s3 storage driver: an HTTP server
+// answering the path-style object calls the driver makes (PUT, copy, GET with
+// Range, HEAD, DELETE) from an in-memory map. Signatures are not checked
+
+import http from "http";
+
+const errorBody = (code) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`;
+
+// Payloads the SDK streams with aws-chunked encoding (size;extensions\r\n
+// data\r\n ... 0\r\n trailers) are decoded to their bytes
+const decodeAwsChunked = (buffer) => {
+  const chunks = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf("\r\n", offset);
+    const size = parseInt(
+      buffer.subarray(offset, lineEnd).toString().split(";")[0],
+      16
+    );
+    if (!size) break;
+    chunks.push(buffer.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+};
+
+const readBody = async (req) => {
+  const parts = [];
+  for await (const part of req) parts.push(part);
+  const body = Buffer.concat(parts);
+
+  const chunked =
+    String(req.headers["content-encoding"] || "").includes("aws-chunked") ||
+    String(req.headers["x-amz-content-sha256"] || "").startsWith("STREAMING");
+  return chunked ? decodeAwsChunked(body) : body;
+};
+
+// Start the stand-in on a free port. Resolves to { endpoint, objects, close }
+// where objects maps "bucket/key" to { body, contentType, lastModified }
+export const startS3Server = async () => {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const name = decodeURIComponent(url.pathname.slice(1));
+    const object = objects.get(name);
+
+    const notFound = () => {
+      res.writeHead(404, { "Content-Type": "application/xml" });
+      res.end(req.method === "HEAD" ? undefined : errorBody("NoSuchKey"));
+    };
+
+    if (req.method === "PUT") {
+      const copySource = req.headers["x-amz-copy-source"];
+      if (copySource) {
+        const source = objects.get(decodeURIComponent(copySource));
+        if (!source) return notFound();
+        objects.set(name, { ...source, lastModified: new Date() });
+        res.writeHead(200, { "Content-Type": "application/xml" });
+        return res.end(
+          `<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><ETag>"copy"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`
+        );
+      }
+
+      objects.set(name, {
+        body: await readBody(req),
+        contentType: req.headers["content-type"],
+        lastModified: new Date(),
+      });
+      res.writeHead(200, { ETag: '"stored"' });
+      return res.end();
+    }
+
+    if (req.method === "DELETE") {
+      objects.delete(name);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (req.method === "HEAD" || req.method === "GET") {
+      if (!object) return notFound();
+
+      const headers = {
+        "Content-Type": object.contentType || "application/octet-stream",
+        "Last-Modified": object.lastModified.toUTCString(),
+        ETag: '"stored"',
+      };
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+      if (req.method === "GET" && range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Number(range[2]) : object.body.length - 1;
+        const part = object.body.subarray(start, end + 1);
+        res.writeHead(206, {
+          ...headers,
+          "Content-Length": part.length,
+          "Content-Range": `bytes ${start}-${end}/${object.body.length}`,
+        });
+        return res.end(part);
+      }
+
+      res.writeHead(200, { ...headers, "Content-Length": object.body.length });
+      return res.end(req.method === "GET" ? object.body : undefined);
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
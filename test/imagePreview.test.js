@@ -0,0 +1,183 @@
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { buffer } from "stream/consumers";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { getStorage } from "../src/lib/storage/index.js";
+import {
+  ATTACHMENTS_COLLECTION,
+  createAttachmentMessage,
+  getAttachmentForParticipant,
+} from "../src/services/attachment.service.js";
+import { storeAttachmentContent } from "../src/services/blob.service.js";
+import { getImageVariantKey } from "../src/services/imagePreview.service.js";
+import { queueAttachmentScan } from "../src/services/scan.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+// Keep console.log chatter from the code under test out of the test
+// runner's output, which it can garble
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+describe("image previews", () => {
+  let root;
+  let db;
+  let count = 0;
+  const senderId = new ObjectId();
+  const receiverId = new ObjectId();
+
+  // A 2000x1000 JPEG carrying EXIF
+  const photo = () =>
+    sharp({
+      create: {
+        width: 2000,
+        height: 1000,
+        channels: 3,
+        background: { r: 200, g: 80, b: 40 },
+      },
+    })
+      .jpeg()
+      .withExif({ IFD0: { Copyright: "somewhere private" } })
+      .toBuffer();
+
+  const uploadImage = async (content, mimeType = "image/jpeg") => {
+    count += 1;
+    const filePath = path.join(root, `upload-${count}`);
+    await fs.promises.writeFile(filePath, content);
+    const file = {
+      path: filePath,
+      size: content.length,
+      originalname: `photo-${count}.jpg`,
+      filename: `photo-${count}.jpg`,
+      mimetype: mimeType,
+    };
+
+    const { storageKey, contentHash } = await storeAttachmentContent(
+      file,
+      mimeType
+    );
+    const { attachment } = await createAttachmentMessage({
+      collectionName: "messages",
+      kind: "file",
+      file,
+      storageKey,
+      contentHash,
+      senderId,
+      receiverId,
+    });
+    return attachment;
+  };
+
+  const scan = async (attachment) => {
+    queueAttachmentScan(attachment);
+    for (let i = 0; i < 200; i += 1) {
+      const current = await db
+        .collection(ATTACHMENTS_COLLECTION)
+        .findOne({ _id: attachment._id });
+      if (current.status !== "pending_scan") return current;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`Attachment ${attachment._id} stayed pending_scan`);
+  };
+
+  const load = (attachment) =>
+    getAttachmentForParticipant({
+      collectionName: "messages",
+      attachmentId: attachment._id.toString(),
+      participantId: receiverId,
+      kind: "file",
+    });
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.STORAGE_LOCAL_ROOT = path.join(root, "store");
+    process.env.SCANNER_DRIVER = "fake";
+  });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("renders nothing and serves nothing before the scan", async () => {
+    const attachment = await uploadImage(await photo());
+
+    assert.equal(attachment.image, undefined);
+    assert.equal(
+      (await db.collection("messages").findOne({ _id: attachment.messageId }))
+        .image,
+      undefined
+    );
+    await assert.rejects(load(attachment), { statusCode: 409 });
+  });
+
+  test("renders previews once the scan passes", async () => {
+    const attachment = await uploadImage(await photo());
+    const scanned = await scan(attachment);
+
+    assert.equal(scanned.status, "active");
+    assert.equal(scanned.image.width, 2000);
+    assert.equal(scanned.image.height, 1000);
+    assert.match(scanned.image.placeholder, /^data:image\/webp;base64,/);
+
+    const message = await db
+      .collection("messages")
+      .findOne({ _id: attachment.messageId });
+    assert.deepEqual(message.image, {
+      width: 2000,
+      height: 1000,
+      placeholder: scanned.image.placeholder,
+    });
+
+    const preview = await buffer(
+      await getStorage().createReadStream(
+        getImageVariantKey(await load(attachment), "preview")
+      )
+    );
+    const metadata = await sharp(preview).metadata();
+    assert.equal(metadata.format, "webp");
+    assert.equal(metadata.width, 1280);
+    assert.equal(metadata.exif, undefined);
+  });
+
+  test("renders no previews for quarantined images", async () => {
+    const infected = Buffer.concat([await photo(), Buffer.from(EICAR)]);
+    const attachment = await uploadImage(infected);
+    const scanned = await scan(attachment);
+
+    assert.equal(scanned.status, "quarantined");
+    assert.equal(scanned.image, undefined);
+    const previews = path.join(root, "store", "image-previews");
+    const rendered = fs.existsSync(previews)
+      ? await fs.promises.readdir(previews)
+      : [];
+    assert.equal(
+      rendered.some((name) => name.startsWith(`photo-${count}-`)),
+      false
+    );
+  });
+
+  test("leaves other files without previews", async () => {
+    const attachment = await uploadImage(
+      Buffer.from("%PDF-1.4 not an image"),
+      "application/pdf"
+    );
+    const scanned = await scan(attachment);
+
+    assert.equal(scanned.status, "active");
+    assert.equal(scanned.image, undefined);
+    assert.throws(() => getImageVariantKey(scanned, "thumbnail"), {
+      statusCode: 404,
+    });
+  });
+});
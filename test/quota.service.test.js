@@ -0,0 +1,161 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { ATTACHMENTS_COLLECTION } from "../src/services/attachment.service.js";
+import {
+  assertStorageQuota,
+  getStorageQuota,
+  getStorageUsageReport,
+  getStorageUsed,
+  releaseStorageReservation,
+  reserveStorage,
+} from "../src/services/quota.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+const MB = 1024 * 1024;
+
+describe("storage quotas", () => {
+  let db;
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+  const otherExpertId = new ObjectId();
+  const savedEnv = {
+    STORAGE_QUOTA_USER_MB: process.env.STORAGE_QUOTA_USER_MB,
+    STORAGE_QUOTA_EXPERT_MB: process.env.STORAGE_QUOTA_EXPERT_MB,
+  };
+
+  const attach = (attachment) =>
+    db.collection(ATTACHMENTS_COLLECTION).insertOne({
+      senderId: userId,
+      receiverId: expertId,
+      collectionName: "messages",
+      kind: "file",
+      status: "active",
+      ...attachment,
+    });
+
+  const reserve = (size) =>
+    reserveStorage({ participantId: userId, role: "user", size });
+
+  beforeEach(async () => {
+    db = createMemoryDb();
+    setDB(db);
+    process.env.STORAGE_QUOTA_USER_MB = "1";
+    delete process.env.STORAGE_QUOTA_EXPERT_MB;
+
+    await attach({ size: 300 * 1024 });
+    await attach({ size: 100 * 1024, kind: "voice", status: "pending_scan" });
+    await attach({ size: 50 * 1024, receiverId: otherExpertId });
+    // Freed or quarantined files no longer count
+    await attach({ size: 5 * MB, status: "deleted" });
+    await attach({ size: 5 * MB, status: "quarantined" });
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("reads quotas per role, with 0 meaning unlimited", () => {
+    assert.equal(getStorageQuota("user"), MB);
+    assert.equal(getStorageQuota("expert"), 2048 * MB);
+
+    process.env.STORAGE_QUOTA_USER_MB = "0";
+    assert.equal(getStorageQuota("user"), null);
+  });
+
+  test("counts only attachments still stored", async () => {
+    assert.equal(await getStorageUsed(userId), 450 * 1024);
+  });
+
+  test("refuses an upload that would exceed the quota", async () => {
+    await assert.doesNotReject(
+      assertStorageQuota({ participantId: userId, role: "user", size: 500 })
+    );
+    await assert.rejects(
+      assertStorageQuota({
+        participantId: userId,
+        role: "user",
+        size: 600 * 1024,
+      }),
+      {
+        statusCode: 413,
+        message:
+          "Storage quota exceeded: 450KB of 1MB used, this file needs 600KB",
+      }
+    );
+  });
+
+  test("counts uploads in progress until their reservation is released", async () => {
+    const first = await reserve(400 * 1024);
+
+    // 450KB stored and 400KB reserved leave no room for another 400KB
+    await assert.rejects(reserve(400 * 1024), { statusCode: 413 });
+    await assert.rejects(
+      assertStorageQuota({
+        participantId: userId,
+        role: "user",
+        size: 400 * 1024,
+      }),
+      { statusCode: 413 }
+    );
+
+    await releaseStorageReservation(first);
+    assert.ok(await reserve(400 * 1024));
+  });
+
+  test("does not keep the reservation of a refused upload", async () => {
+    await assert.rejects(reserve(MB), { statusCode: 413 });
+    assert.equal(
+      await db.collection("storageReservations").countDocuments({}),
+      0
+    );
+  });
+
+  test("ignores and clears reservations left by abandoned uploads", async () => {
+    await db.collection("storageReservations").insertOne({
+      participantId: userId,
+      size: MB,
+      createdAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    const reservation = await reserve(400 * 1024);
+    await releaseStorageReservation(reservation);
+    assert.equal(
+      await db.collection("storageReservations").countDocuments({}),
+      0
+    );
+  });
+
+  test("does not reserve without a quota", async () => {
+    process.env.STORAGE_QUOTA_USER_MB = "0";
+    assert.equal(await reserve(10 * MB), null);
+  });
+
+  test("reports usage by kind and by conversation", async () => {
+    const report = await getStorageUsageReport({
+      participantId: userId,
+      role: "user",
+    });
+
+    assert.equal(report.used, 450 * 1024);
+    assert.equal(report.remaining, MB - 450 * 1024);
+    assert.deepEqual(report.byType, {
+      file: { bytes: 350 * 1024, count: 2 },
+      voice: { bytes: 100 * 1024, count: 1 },
+    });
+    assert.deepEqual(
+      report.byConversation.map(({ counterpartId, bytes }) => [
+        counterpartId,
+        bytes,
+      ]),
+      [
+        [expertId.toString(), 400 * 1024],
+        [otherExpertId.toString(), 50 * 1024],
+      ]
+    );
+  });
+});
@@ -0,0 +1,116 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { summarizeReactions } from "../src/services/reaction.service.js";
+import { startChatServer } from "./helpers/chatServer.js";
+
+describe("summarizeReactions", () => {
+  test("groups reactions by emoji and marks the viewer's own", () => {
+    const alice = new ObjectId();
+    const bob = new ObjectId();
+
+    assert.deepEqual(
+      summarizeReactions(
+        [
+          { emoji: "👍", userId: alice },
+          { emoji: "🎉", userId: bob },
+          { emoji: "👍", userId: bob },
+        ],
+        bob
+      ),
+      [
+        {
+          emoji: "👍",
+          count: 2,
+          userIds: [alice.toString(), bob.toString()],
+          reactedByMe: true,
+        },
+        { emoji: "🎉", count: 1, userIds: [bob.toString()], reactedByMe: true },
+      ]
+    );
+    assert.deepEqual(summarizeReactions(undefined), []);
+  });
+});
+
+describe("message reactions", () => {
+  let chat;
+  let user;
+  let expert;
+  let expertSocket;
+  let messageId;
+
+  before(async () => {
+    chat = await startChatServer();
+    user = await chat.addParticipant("user");
+    expert = await chat.addParticipant("expert");
+    await chat.bookSession({ userId: user.id, expertId: expert.id });
+    expertSocket = await chat.connect(expert.token);
+
+    const { insertedId } = await chat.db.collection("messages").insertOne({
+      senderId: new ObjectId(expert.id),
+      receiverId: new ObjectId(user.id),
+      text: "react to me",
+      createdAt: new Date(),
+    });
+    messageId = insertedId.toString();
+  });
+
+  after(() => chat.close());
+
+  const react = (method, emoji, token = user.token) =>
+    chat.request("/api/message/react", {
+      token,
+      method,
+      body: { messageId, emoji },
+    });
+
+  test("adds a reaction once and tells the other side", async () => {
+    const pushed = chat.nextEvent(expertSocket, "messageReaction", 1000);
+    const added = await react("POST", "👍");
+
+    assert.equal(added.status, 200);
+    assert.equal(added.body.changed, true);
+    assert.deepEqual(added.body.reactions, [
+      { emoji: "👍", count: 1, userIds: [user.id], reactedByMe: true },
+    ]);
+    const payload = await pushed;
+    assert.equal(payload.action, "added");
+    assert.equal(payload.userId, user.id);
+
+    // The same emoji again changes nothing and pushes nothing
+    const repeated = chat.nextEvent(expertSocket, "messageReaction");
+    const again = await react("POST", "👍");
+    assert.equal(again.body.changed, false);
+    assert.equal(again.body.reactions[0].count, 1);
+    assert.equal(await repeated, null);
+  });
+
+  test("removes the caller's reaction", async () => {
+    const pushed = chat.nextEvent(expertSocket, "messageReaction", 1000);
+    const removed = await react("DELETE", "👍");
+
+    assert.equal(removed.body.changed, true);
+    assert.deepEqual(removed.body.reactions, []);
+    assert.equal((await pushed)?.action, "removed");
+  });
+
+  test("refuses missing or oversized emoji", async () => {
+    for (const emoji of [undefined, "  ", "x".repeat(33)]) {
+      const response = await react("POST", emoji);
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, "A valid emoji is required");
+    }
+  });
+
+  test("refuses messages deleted for everyone", async () => {
+    await chat.db
+      .collection("messages")
+      .updateOne(
+        { _id: new ObjectId(messageId) },
+        { $set: { deletedForEveryone: true } }
+      );
+
+    const response = await react("POST", "👍");
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,146 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import {
+  formatReceipt,
+  markConversationRead,
+  markDelivered,
+} from "../src/services/receipt.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+const MINUTE = 60 * 1000;
+
+describe("receipts", () => {
+  let messages;
+  const readerId = new ObjectId();
+  const counterpartId = new ObjectId();
+  const start = Date.now() - 60 * MINUTE;
+
+  const insertMessage = async (fields) => {
+    const { insertedId } = await messages.insertOne({
+      senderId: counterpartId,
+      receiverId: readerId,
+      text: "hello",
+      ...fields,
+    });
+    return insertedId;
+  };
+
+  const readUpTo = (messageId) =>
+    markConversationRead({
+      collectionName: "messages",
+      readerId,
+      counterpartId: counterpartId.toString(),
+      upToMessageId: messageId.toString(),
+    });
+
+  const statusOf = async (messageId) =>
+    formatReceipt(await messages.findOne({ _id: messageId })).status;
+
+  beforeEach(() => {
+    const db = createMemoryDb();
+    setDB(db);
+    messages = db.collection("messages");
+  });
+
+  test("reports sent, delivered and read", () => {
+    assert.equal(formatReceipt({}).status, "sent");
+    assert.equal(
+      formatReceipt({ deliveredAt: new Date() }).status,
+      "delivered"
+    );
+    assert.equal(
+      formatReceipt({ deliveredAt: new Date(), readAt: new Date() }).status,
+      "read"
+    );
+  });
+
+  test("marks undelivered messages delivered once", async () => {
+    const messageId = await insertMessage({ createdAt: new Date(start) });
+
+    await markDelivered("messages", counterpartId, [messageId]);
+    const { deliveredAt } = await messages.findOne({ _id: messageId });
+    assert.ok(deliveredAt);
+
+    await markDelivered("messages", counterpartId, [messageId]);
+    assert.deepEqual(
+      (await messages.findOne({ _id: messageId })).deliveredAt,
+      deliveredAt
+    );
+  });
+
+  test("reads the counterpart's messages up to the given one", async () => {
+    const first = await insertMessage({ createdAt: new Date(start) });
+    const own = await insertMessage({
+      senderId: readerId,
+      receiverId: counterpartId,
+      createdAt: new Date(start + MINUTE),
+    });
+    const upTo = await insertMessage({
+      createdAt: new Date(start + 2 * MINUTE),
+    });
+    const later = await insertMessage({
+      createdAt: new Date(start + 3 * MINUTE),
+    });
+
+    const result = await readUpTo(upTo);
+
+    assert.deepEqual(
+      result.messageIds.sort(),
+      [first, upTo].map(String).sort()
+    );
+    assert.equal(await statusOf(first), "read");
+    assert.equal(await statusOf(own), "sent");
+    assert.equal(await statusOf(later), "sent");
+    // Read implies delivered
+    assert.ok((await messages.findOne({ _id: first })).deliveredAt);
+
+    assert.deepEqual(await readUpTo(upTo), { messageIds: [], readAt: null });
+  });
+
+  test("reads legacy messages that only carry uploadDate", async () => {
+    const legacy = await insertMessage({ uploadDate: new Date(start) });
+    const upTo = await insertMessage({ createdAt: new Date(start + MINUTE) });
+    const laterLegacy = await insertMessage({
+      uploadDate: new Date(start + 2 * MINUTE),
+    });
+
+    await readUpTo(upTo);
+
+    assert.equal(await statusOf(legacy), "read");
+    assert.equal(await statusOf(laterLegacy), "sent");
+  });
+
+  test("reads up to a legacy message", async () => {
+    const first = await insertMessage({ createdAt: new Date(start) });
+    const upTo = await insertMessage({
+      uploadDate: new Date(start + MINUTE),
+    });
+    const later = await insertMessage({
+      createdAt: new Date(start + 2 * MINUTE),
+    });
+
+    await readUpTo(upTo);
+
+    assert.equal(await statusOf(first), "read");
+    assert.equal(await statusOf(upTo), "read");
+    assert.equal(await statusOf(later), "sent");
+  });
+
+  test("reads only the message itself when it has no date", async () => {
+    const dated = await insertMessage({ createdAt: new Date(start) });
+    const undated = await insertMessage({});
+
+    assert.deepEqual((await readUpTo(undated)).messageIds, [String(undated)]);
+    assert.equal(await statusOf(dated), "sent");
+  });
+
+  test("refuses a message from another conversation", async () => {
+    const elsewhere = await insertMessage({
+      senderId: new ObjectId(),
+      createdAt: new Date(start),
+    });
+    await assert.rejects(readUpTo(elsewhere), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,116 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { buildReplySnapshot } from "../src/services/conversation.service.js";
+import { createMessage } from "../src/services/message.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+describe("replies", () => {
+  let db;
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+
+  const insert = async (message) => {
+    const { insertedId } = await db.collection("messages").insertOne({
+      senderId: expertId,
+      receiverId: userId,
+      createdAt: new Date(),
+      ...message,
+    });
+    return insertedId.toString();
+  };
+
+  const snapshot = (replyToId) =>
+    buildReplySnapshot({
+      collectionName: "messages",
+      replyToId,
+      senderId: userId.toString(),
+      receiverId: expertId.toString(),
+    });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+  });
+
+  test("stores a snapshot of the quoted message on the reply", async () => {
+    const originalId = await insert({ text: "what time works?" });
+
+    const reply = await createMessage({
+      senderId: userId.toString(),
+      receiverId: expertId.toString(),
+      text: "noon",
+      replyToId: originalId,
+    });
+    const { createdAt, ...quoted } = reply.replyTo;
+    assert.deepEqual(quoted, {
+      messageId: originalId,
+      senderId: expertId.toString(),
+      type: "text",
+      text: "what time works?",
+    });
+    assert.ok(createdAt instanceof Date);
+
+    // The stored quote is a copy, unaffected by later edits of the original
+    await db
+      .collection("messages")
+      .updateOne(
+        { _id: new ObjectId(originalId) },
+        { $set: { text: "edited" } }
+      );
+    const stored = await db
+      .collection("messages")
+      .findOne({ _id: new ObjectId(reply._id) });
+    assert.equal(stored.replyTo.text, "what time works?");
+  });
+
+  test("quotes files by name, voice notes generically and long text cut short", async () => {
+    const file = await snapshot(
+      await insert({ isFile: true, originalName: "plan.pdf" })
+    );
+    assert.equal(file.type, "file");
+    assert.equal(file.text, "plan.pdf");
+
+    const voice = await snapshot(await insert({ isVoice: true }));
+    assert.equal(voice.text, "Voice message");
+
+    const long = await snapshot(await insert({ text: "a".repeat(500) }));
+    assert.equal(long.text.length, 200);
+  });
+
+  test("dates legacy quotes by uploadDate", async () => {
+    const uploadDate = new Date("2025-06-01T12:00:00Z");
+    const quoted = await snapshot(
+      await insert({ isFile: true, createdAt: undefined, uploadDate })
+    );
+    assert.deepEqual(quoted.createdAt, uploadDate);
+  });
+
+  test("has no snapshot without replyToId", async () => {
+    assert.equal(await snapshot(undefined), null);
+  });
+
+  test("refuses malformed ids", async () => {
+    await assert.rejects(snapshot("not-an-id"), {
+      statusCode: 400,
+      message: "Invalid replyToId",
+    });
+  });
+
+  test("refuses messages the sender cannot quote", async () => {
+    const elsewhere = await insert({
+      receiverId: new ObjectId(),
+      text: "another conversation",
+    });
+    const deleted = await insert({ text: "", deletedForEveryone: true });
+    const hidden = await insert({ text: "gone for me", hiddenFor: [userId] });
+
+    for (const replyToId of [elsewhere, deleted, hidden]) {
+      await assert.rejects(snapshot(replyToId), {
+        statusCode: 400,
+        message: "Replied message not found in this conversation",
+      });
+    }
+  });
+});
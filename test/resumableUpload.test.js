@@ -0,0 +1,198 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import { PassThrough, Readable } from "stream";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import {
+  RESUMABLE_UPLOADS_COLLECTION,
+  claimCompletedUpload,
+  createResumableUpload,
+  removeResumableUpload,
+  writeUploadChunk,
+} from "../src/services/resumableUpload.service.js";
+import { startChatServer } from "./helpers/chatServer.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+const checksumOf = (data) =>
+  `sha256 ${crypto.createHash("sha256").update(data).digest("base64")}`;
+
+describe("resumable upload chunks", () => {
+  let db;
+  let upload;
+  const ownerId = new ObjectId();
+
+  const findUpload = () =>
+    db.collection(RESUMABLE_UPLOADS_COLLECTION).findOne({ _id: upload._id });
+
+  const write = (data, { offset = 0, stream = Readable.from([data]) } = {}) =>
+    writeUploadChunk({
+      upload,
+      stream,
+      offset: String(offset),
+      checksum: checksumOf(data),
+    });
+
+  beforeEach(async () => {
+    db = createMemoryDb();
+    setDB(db);
+    upload = await createResumableUpload({
+      ownerId,
+      target: {
+        collectionName: "messages",
+        kind: "file",
+        receiverId: new ObjectId(),
+      },
+      details: { originalName: "notes.txt", mimeType: "text/plain", size: 10 },
+      fileName: `resumable-test-${new ObjectId()}.txt`,
+      maxSize: 1024,
+    });
+  });
+
+  afterEach(() => removeResumableUpload(upload));
+
+  test("advances the offset chunk by chunk and completes", async () => {
+    assert.equal(await write("01234"), 5);
+    upload = await findUpload();
+    assert.equal(await write("56789", { offset: 5 }), 10);
+    upload = await findUpload();
+
+    const file = await claimCompletedUpload(upload);
+    assert.equal(await fs.promises.readFile(file.path, "utf8"), "0123456789");
+    assert.equal(file.originalname, "notes.txt");
+    await assert.rejects(claimCompletedUpload(upload), { statusCode: 409 });
+  });
+
+  test("refuses a chunk at another offset", async () => {
+    await assert.rejects(write("56789", { offset: 5 }), { statusCode: 409 });
+  });
+
+  test("keeps the offset when the checksum does not match, and takes the retry", async () => {
+    await assert.rejects(
+      writeUploadChunk({
+        upload,
+        stream: Readable.from(["01234"]),
+        offset: "0",
+        checksum: checksumOf("other"),
+      }),
+      { statusCode: 460 }
+    );
+    assert.equal((await findUpload()).offset, 0);
+
+    assert.equal(await write("01234"), 5);
+  });
+
+  test("refuses a second chunk at the same offset while one is written", async () => {
+    const slow = new PassThrough();
+    const first = write("01234", { stream: slow });
+    slow.write("012");
+
+    // Wait for the first chunk to hold the lock
+    for (let i = 0; i < 100 && !(await findUpload()).chunkLockId; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    await assert.rejects(write("abcde"), {
+      statusCode: 409,
+      message: /Another chunk is being written/,
+    });
+
+    slow.end("34");
+    assert.equal(await first, 5);
+
+    upload = await findUpload();
+    assert.equal(upload.chunkLockId, null);
+    await write("56789", { offset: 5 });
+    const file = await claimCompletedUpload(await findUpload());
+    assert.equal(await fs.promises.readFile(file.path, "utf8"), "0123456789");
+  });
+
+  test("takes over a lock that has expired", async () => {
+    await db.collection(RESUMABLE_UPLOADS_COLLECTION).updateOne(
+      { _id: upload._id },
+      {
+        $set: {
+          chunkLockId: new ObjectId(),
+          chunkLockedUntil: new Date(Date.now() - 1000),
+        },
+      }
+    );
+
+    assert.equal(await write("01234"), 5);
+  });
+});
+
+describe("resumable upload init", () => {
+  let chat;
+  let user;
+  let expert;
+
+  const init = (body) =>
+    chat.request(`/api/message/uploads/${expert.id}`, {
+      token: user.token,
+      method: "POST",
+      body: {
+        kind: "file",
+        fileName: "photo.png",
+        mimeType: "image/png",
+        size: 10,
+        ...body,
+      },
+    });
+
+  before(async () => {
+    chat = await startChatServer();
+    user = await chat.addParticipant("user");
+    expert = await chat.addParticipant("expert");
+    await chat.bookSession({ userId: user.id, expertId: expert.id });
+  });
+
+  after(() => chat.close());
+
+  test("refuses a replyToId from another conversation", async () => {
+    const { insertedId } = await chat.db.collection("messages").insertOne({
+      senderId: new ObjectId(),
+      receiverId: new ObjectId(user.id),
+      text: "someone else's message",
+      createdAt: new Date(),
+    });
+
+    const res = await init({ replyToId: insertedId.toString() });
+
+    assert.equal(res.status, 400);
+    assert.equal(
+      res.body.message,
+      "Replied message not found in this conversation"
+    );
+    assert.equal(
+      await chat.db.collection(RESUMABLE_UPLOADS_COLLECTION).countDocuments({}),
+      0
+    );
+  });
+
+  test("accepts a replyToId from this conversation", async () => {
+    const { insertedId } = await chat.db.collection("messages").insertOne({
+      senderId: new ObjectId(expert.id),
+      receiverId: new ObjectId(user.id),
+      text: "send me the photo",
+      createdAt: new Date(),
+    });
+
+    const res = await init({ replyToId: insertedId.toString() });
+    assert.equal(res.status, 201);
+
+    const cancelled = await chat.request(
+      `/api/message/uploads/${expert.id}/${res.body.uploadId}`,
+      { token: user.token, method: "DELETE" }
+    );
+    assert.equal(cancelled.status, 204);
+  });
+});
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { editMessageText } from "../src/services/message.service.js";
+import {
+  getRevisionHistory,
+  reviseMessageText,
+} from "../src/services/revision.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+const MINUTE = 60 * 1000;
+
+describe("edit history", () => {
+  let db;
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+  const editWindow = process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+
+  const insert = async (message) => {
+    const { insertedId } = await db.collection("messages").insertOne({
+      senderId: userId,
+      receiverId: expertId,
+      text: "first",
+      createdAt: new Date(),
+      ...message,
+    });
+    return insertedId.toString();
+  };
+
+  const edit = (messageId, newText) =>
+    editMessageText({ messageId, userId: userId.toString(), newText });
+
+  const history = (messageId, participantId = expertId) =>
+    getRevisionHistory({
+      collectionName: "messages",
+      messageId,
+      participantId,
+    });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+    delete process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+  });
+
+  afterEach(() => {
+    if (editWindow === undefined) {
+      delete process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+    } else {
+      process.env.MESSAGE_EDIT_WINDOW_MINUTES = editWindow;
+    }
+  });
+
+  test("keeps every replaced text, oldest first", async () => {
+    const messageId = await insert();
+    await edit(messageId, "second");
+    const edited = await edit(messageId, "third");
+
+    assert.equal(edited.isEdited, true);
+    assert.equal(edited.revisionCount, 2);
+
+    const { revisions } = await history(messageId);
+    assert.deepEqual(
+      revisions.map(({ version, text, replacedAt }) => [
+        version,
+        text,
+        replacedAt === null,
+      ]),
+      [
+        [1, "first", false],
+        [2, "second", false],
+        [3, "third", true],
+      ]
+    );
+  });
+
+  test("does not record a revision for unchanged text", async () => {
+    const messageId = await insert();
+    const result = await edit(messageId, "first");
+
+    assert.equal(result.isEdited, false);
+    assert.equal((await history(messageId)).revisions.length, 1);
+  });
+
+  test("refuses edits after the edit window", async () => {
+    process.env.MESSAGE_EDIT_WINDOW_MINUTES = "15";
+    const messageId = await insert({
+      createdAt: new Date(Date.now() - 16 * MINUTE),
+    });
+
+    await assert.rejects(edit(messageId, "too late"), {
+      statusCode: 403,
+      message: "The edit window for this message has expired",
+    });
+
+    // 0 turns the limit off
+    process.env.MESSAGE_EDIT_WINDOW_MINUTES = "0";
+    assert.equal((await edit(messageId, "any time")).text, "any time");
+  });
+
+  test("refuses an edit based on text that has since changed", async () => {
+    const messageId = await insert();
+    const collection = db.collection("messages");
+    const stale = await collection.findOne({ _id: new ObjectId(messageId) });
+    await edit(messageId, "changed meanwhile");
+
+    await assert.rejects(
+      reviseMessageText({ collection, message: stale, newText: "lost" }),
+      { statusCode: 409 }
+    );
+    assert.equal((await history(messageId)).revisions.length, 2);
+  });
+
+  test("shows the history to participants only", async () => {
+    const messageId = await insert();
+
+    assert.equal((await history(messageId, userId)).revisions.length, 1);
+    await assert.rejects(history(messageId, new ObjectId()), {
+      statusCode: 404,
+    });
+    await assert.rejects(history("nope"), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,197 @@
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { createFakeScanner } from "../src/lib/scanner/fake.scanner.js";
+import { getStorage } from "../src/lib/storage/index.js";
+import {
+  ATTACHMENTS_COLLECTION,
+  createAttachmentMessage,
+} from "../src/services/attachment.service.js";
+import {
+  BLOBS_COLLECTION,
+  storeAttachmentContent,
+} from "../src/services/blob.service.js";
+import { queueAttachmentScan } from "../src/services/scan.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+// Keep console.log chatter from the code under test out of the test
+// runner's output, which it can garble
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+describe("fake scanner", () => {
+  const scanner = createFakeScanner();
+
+  test("passes content without a signature", async () => {
+    assert.deepEqual(await scanner.scan(Readable.from(["harmless"])), {
+      clean: true,
+      signature: null,
+    });
+  });
+
+  test("flags the EICAR test string", async () => {
+    assert.deepEqual(await scanner.scan(Readable.from([`x${EICAR}x`])), {
+      clean: false,
+      signature: "Eicar-Test-Signature",
+    });
+  });
+
+  test("finds a signature split across chunks", async () => {
+    const chunks = [EICAR.slice(0, 20), EICAR.slice(20)].map((chunk) =>
+      Buffer.from(chunk)
+    );
+    assert.equal((await scanner.scan(Readable.from(chunks))).clean, false);
+  });
+
+  test("matches custom signatures", async () => {
+    const custom = createFakeScanner({ signatures: { Bad: "bad bytes" } });
+    assert.deepEqual(await custom.scan(Readable.from(["some bad bytes"])), {
+      clean: false,
+      signature: "Bad",
+    });
+  });
+});
+
+describe("attachment scanning", () => {
+  let root;
+  let db;
+  let count = 0;
+  const senderId = new ObjectId();
+  const receiverId = new ObjectId();
+
+  // Store content the way the upload controllers do and return the pending
+  // attachment
+  const uploadAttachment = async (content) => {
+    count += 1;
+    const filePath = path.join(root, `upload-${count}`);
+    await fs.promises.writeFile(filePath, content);
+    const file = {
+      path: filePath,
+      size: Buffer.byteLength(content),
+      originalname: `file-${count}.txt`,
+      filename: `file-${count}.txt`,
+      mimetype: "text/plain",
+    };
+
+    const { storageKey, contentHash } = await storeAttachmentContent(
+      file,
+      "text/plain"
+    );
+    const { attachment } = await createAttachmentMessage({
+      collectionName: "messages",
+      kind: "file",
+      file,
+      storageKey,
+      contentHash,
+      senderId,
+      receiverId,
+    });
+    return attachment;
+  };
+
+  const findAttachment = (attachment) =>
+    db.collection(ATTACHMENTS_COLLECTION).findOne({ _id: attachment._id });
+
+  const findMessage = (attachment) =>
+    db.collection("messages").findOne({ _id: attachment.messageId });
+
+  // Wait for the background scan to move an attachment on from `status`
+  const waitForStatusChange = async (attachment, status = "pending_scan") => {
+    for (let i = 0; i < 100; i += 1) {
+      const current = await findAttachment(attachment);
+      if (current.status !== status) return current;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`Attachment ${attachment._id} stayed ${status}`);
+  };
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    process.env.STORAGE_DRIVER = "local";
+    process.env.STORAGE_LOCAL_ROOT = path.join(root, "store");
+    process.env.SCANNER_DRIVER = "fake";
+  });
+
+  beforeEach(() => {
+    db = createMemoryDb();
+    setDB(db);
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("makes clean content active", async () => {
+    const attachment = await uploadAttachment("nothing to see here");
+    assert.equal((await findMessage(attachment)).scanStatus, "pending");
+
+    queueAttachmentScan(attachment);
+    const scanned = await waitForStatusChange(attachment);
+
+    assert.equal(scanned.status, "active");
+    assert.ok(scanned.scannedAt);
+    assert.equal((await findMessage(attachment)).scanStatus, "clean");
+    assert.ok(await getStorage().stat(attachment.storageKey));
+  });
+
+  test("quarantines infected content out of the blob store", async () => {
+    const attachment = await uploadAttachment(EICAR);
+
+    queueAttachmentScan(attachment);
+    const scanned = await waitForStatusChange(attachment);
+
+    assert.equal(scanned.status, "quarantined");
+    assert.equal(scanned.scanSignature, "Eicar-Test-Signature");
+    assert.ok(scanned.storageKey.startsWith("quarantine/"));
+    assert.ok(await getStorage().stat(scanned.storageKey));
+    assert.equal(await getStorage().stat(attachment.storageKey), null);
+    assert.equal((await findMessage(attachment)).scanStatus, "quarantined");
+    assert.equal(
+      await db
+        .collection(BLOBS_COLLECTION)
+        .findOne({ _id: attachment.contentHash }),
+      null
+    );
+  });
+
+  test("quarantines every attachment sharing infected content", async () => {
+    const first = await uploadAttachment(EICAR);
+    const second = await uploadAttachment(EICAR);
+    assert.equal(second.storageKey, first.storageKey);
+
+    queueAttachmentScan(first);
+    queueAttachmentScan(second);
+
+    assert.equal((await waitForStatusChange(first)).status, "quarantined");
+    assert.equal((await waitForStatusChange(second)).status, "quarantined");
+    assert.equal((await findMessage(second)).scanStatus, "quarantined");
+  });
+
+  test("gives up as scan_failed after repeated failures", async () => {
+    const attachment = await uploadAttachment("about to go missing");
+    // The stored object disappears, so every scan fails
+    await getStorage().delete(attachment.storageKey);
+
+    let current = attachment;
+    for (let attempt = 1; current.status === "pending_scan"; attempt += 1) {
+      assert.ok(attempt <= 10, "still pending after 10 failed scans");
+      queueAttachmentScan(attachment);
+      for (let i = 0; i < 100; i += 1) {
+        current = await findAttachment(attachment);
+        if ((current.scanAttempts || 0) >= attempt) break;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    }
+
+    assert.equal(current.status, "scan_failed");
+    assert.equal(current.scanAttempts, 10);
+    assert.match(current.lastScanError, /ENOENT/);
+    assert.equal((await findMessage(attachment)).scanStatus, "failed");
+  });
+});
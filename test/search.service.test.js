@@ -0,0 +1,188 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import {
+  buildSnippet,
+  searchMessages,
+} from "../src/services/search.service.js";
+
+describe("buildSnippet", () => {
+  test("marks every match, merging overlaps", () => {
+    assert.deepEqual(buildSnippet("Invoice and invoices", ["invoice"]), {
+      snippet: "Invoice and invoices",
+      highlights: [
+        [0, 7],
+        [12, 19],
+      ],
+    });
+    assert.deepEqual(
+      buildSnippet("the final invoice", ["final invoice", "invoice"])
+        .highlights,
+      [[4, 17]]
+    );
+  });
+
+  test("cuts long text around the first match", () => {
+    const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+    const { snippet, highlights } = buildSnippet(text, ["needle"]);
+
+    assert.ok(snippet.startsWith("…"));
+    assert.ok(snippet.endsWith("…"));
+    assert.equal(snippet.slice(...highlights[0]), "needle");
+  });
+
+  test("returns the start of the text when nothing matches", () => {
+    assert.deepEqual(buildSnippet("hello", ["bye"]), {
+      snippet: "hello",
+      highlights: [],
+    });
+    assert.deepEqual(buildSnippet(undefined, ["bye"]), {
+      snippet: "",
+      highlights: [],
+    });
+  });
+});
+
+// $text needs a real text index, so the search runs against a collection
+// that records the query it is given and answers with canned messages
+const createRecordingDb = (messages) => {
+  const calls = {};
+  const cursor = {
+    sort(sort) {
+      calls.sort = sort;
+      return cursor;
+    },
+    skip(skip) {
+      calls.skip = skip;
+      return cursor;
+    },
+    limit(limit) {
+      calls.limit = limit;
+      return cursor;
+    },
+    toArray: async () => messages,
+  };
+  const collection = {
+    find(filter, options) {
+      calls.filter = filter;
+      calls.options = options;
+      return cursor;
+    },
+    countDocuments: async () => messages.length + 40,
+  };
+  return { calls, db: { collection: () => collection } };
+};
+
+describe("searchMessages", () => {
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+  const otherExpertId = new ObjectId();
+  let recording;
+
+  const search = (options) =>
+    searchMessages({
+      collectionName: "messages",
+      participantId: userId.toString(),
+      allowedCounterpartIds: [expertId.toString(), otherExpertId.toString()],
+      ...options,
+    });
+
+  beforeEach(() => {
+    recording = createRecordingDb([
+      {
+        _id: new ObjectId(),
+        senderId: expertId,
+        receiverId: userId,
+        isFile: true,
+        originalName: "Invoice-March.pdf",
+        text: "",
+        createdAt: new Date("2026-03-01T10:00:00Z"),
+        score: 1.5,
+      },
+    ]);
+    setDB(recording.db);
+  });
+
+  test("searches the allowed conversations for visible messages", async () => {
+    const result = await search({ query: 'invoice -draft "march"' });
+    const { filter, options } = recording.calls;
+
+    assert.deepEqual(filter.$text, { $search: 'invoice -draft "march"' });
+    assert.deepEqual(filter.$or, [
+      { senderId: userId, receiverId: { $in: [expertId, otherExpertId] } },
+      { receiverId: userId, senderId: { $in: [expertId, otherExpertId] } },
+    ]);
+    assert.deepEqual(filter.deletedForEveryone, { $ne: true });
+    assert.deepEqual(filter.hiddenFor, { $ne: userId });
+    assert.deepEqual(options.projection.score, { $meta: "textScore" });
+
+    const [hit] = result.results;
+    assert.equal(hit.type, "file");
+    assert.equal(hit.counterpartId, expertId.toString());
+    assert.equal(hit.snippet, "Invoice-March.pdf");
+    assert.deepEqual(hit.highlights, [
+      [0, 7],
+      [8, 13],
+    ]);
+    assert.equal(result.total, 41);
+    assert.equal(result.hasMore, true);
+  });
+
+  test("narrows by counterpart, type, dates and page", async () => {
+    await search({
+      query: "invoice",
+      counterpartId: expertId.toString(),
+      type: "voice",
+      from: "2026-03-01",
+      to: "1775000000000",
+      page: "3",
+      limit: "500",
+    });
+    const { filter, skip, limit } = recording.calls;
+
+    assert.deepEqual(filter.$or[0].receiverId, { $in: [expertId] });
+    assert.equal(filter.isVoice, true);
+    assert.deepEqual(filter.createdAt, {
+      $gte: new Date("2026-03-01"),
+      $lte: new Date(1775000000000),
+    });
+    assert.equal(limit, 50);
+    assert.equal(skip, 100);
+  });
+
+  test("treats text messages as neither files nor voice notes", async () => {
+    await search({ query: "hello", type: "text" });
+    const { filter } = recording.calls;
+
+    assert.deepEqual(filter.isFile, { $ne: true });
+    assert.deepEqual(filter.isVoice, { $ne: true });
+  });
+
+  test("refuses conversations outside the allowed counterparts", async () => {
+    await assert.rejects(
+      search({ query: "invoice", counterpartId: new ObjectId().toString() }),
+      { statusCode: 403 }
+    );
+  });
+
+  test("returns no results without allowed counterparts", async () => {
+    const result = await search({
+      query: "invoice",
+      allowedCounterpartIds: [],
+    });
+    assert.deepEqual(result.results, []);
+    assert.equal(recording.calls.filter, undefined);
+  });
+
+  test("validates the query, type and dates", async () => {
+    for (const [options, message] of [
+      [{ query: "  " }, "Search query is required"],
+      [{ query: "x".repeat(201) }, "Search query is too long"],
+      [{ query: "x", type: "video" }, /Invalid type/],
+      [{ query: "x", from: "someday" }, "Invalid from date"],
+    ]) {
+      await assert.rejects(search(options), { statusCode: 400, message });
+    }
+  });
+});
@@ -0,0 +1,236 @@
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import { sessionMiddleware } from "../src/middleware/sessionvalidation.js";
+import { ExpertSessionMiddleware } from "../src/middleware/expertSessionValidation.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+// Keep console.log chatter from the code under test out of the test
+// runner's output, which it can garble
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+
+const HOUR = 60 * 60 * 1000;
+
+// Run a middleware and report whether it passed or what it answered
+const run = async (middleware, req) => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  await middleware({ params: {}, body: {}, ...req }, res, () => {
+    passed = true;
+  });
+  return { passed, status: res.statusCode, message: res.body?.message };
+};
+
+describe("session middleware", () => {
+  let db;
+  const userId = new ObjectId();
+  const endedExpertId = new ObjectId();
+  const openExpertId = new ObjectId();
+  let endedMessageId;
+  let openMessageId;
+
+  const user = { _id: userId.toString() };
+
+  beforeEach(async () => {
+    db = createMemoryDb();
+    setDB(db);
+
+    const now = Date.now();
+    await db.collection("usertoexpertsessions").insertOne({
+      userId,
+      expertId: endedExpertId,
+      status: "confirmed",
+      startTime: new Date(now - 5 * HOUR),
+      endTime: new Date(now - 4 * HOUR),
+    });
+    await db.collection("usertoexpertsessions").insertOne({
+      userId,
+      expertId: openExpertId,
+      status: "confirmed",
+      startTime: new Date(now - HOUR),
+      endTime: new Date(now + HOUR),
+    });
+
+    endedMessageId = new ObjectId();
+    openMessageId = new ObjectId();
+    await db.collection("messages").insertOne({
+      _id: endedMessageId,
+      senderId: userId,
+      receiverId: endedExpertId,
+      text: "said during the ended session",
+      createdAt: new Date(now - 4.5 * HOUR),
+    });
+    await db.collection("messages").insertOne({
+      _id: openMessageId,
+      senderId: userId,
+      receiverId: openExpertId,
+      text: "said during the open session",
+      createdAt: new Date(now - HOUR / 2),
+    });
+  });
+
+  test("lets a conversation route through inside the session window", async () => {
+    const result = await run(sessionMiddleware, {
+      method: "GET",
+      user,
+      params: { id: openExpertId.toString() },
+    });
+    assert.equal(result.passed, true);
+  });
+
+  test("keeps an ended session readable but refuses writes", async () => {
+    const read = await run(sessionMiddleware, {
+      method: "GET",
+      user,
+      params: { id: endedExpertId.toString() },
+    });
+    assert.equal(read.passed, true);
+
+    const write = await run(sessionMiddleware, {
+      method: "POST",
+      user,
+      params: { id: endedExpertId.toString() },
+    });
+    assert.equal(write.status, 403);
+    assert.match(write.message, /read-only/);
+  });
+
+  test("refuses counterparts without a confirmed session", async () => {
+    const result = await run(sessionMiddleware, {
+      method: "GET",
+      user,
+      params: { id: new ObjectId().toString() },
+    });
+    assert.equal(result.status, 403);
+    assert.equal(result.message, "Not authorized to access this conversation");
+  });
+
+  test("checks edits against the session of the message's conversation", async () => {
+    const ended = await run(sessionMiddleware, {
+      method: "PUT",
+      user,
+      body: { messageID: endedMessageId.toString(), text: "rewritten" },
+    });
+    assert.equal(ended.status, 403);
+    assert.match(ended.message, /read-only/);
+
+    const open = await run(sessionMiddleware, {
+      method: "PUT",
+      user,
+      body: { messageID: openMessageId.toString(), text: "rewritten" },
+    });
+    assert.equal(open.passed, true);
+  });
+
+  test("refuses a receiverId naming another counterpart than the message", async () => {
+    // The message is from the ended session; the open one must not vouch
+    // for it
+    const result = await run(sessionMiddleware, {
+      method: "PUT",
+      user,
+      body: {
+        messageID: endedMessageId.toString(),
+        receiverId: openExpertId.toString(),
+        text: "rewritten",
+      },
+    });
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 403);
+    assert.match(result.message, /does not belong to the conversation/);
+  });
+
+  test("accepts a receiverId matching the message's counterpart", async () => {
+    const result = await run(sessionMiddleware, {
+      method: "DELETE",
+      user,
+      body: {
+        messageID: openMessageId.toString(),
+        receiverId: openExpertId.toString(),
+      },
+    });
+    assert.equal(result.passed, true);
+  });
+
+  test("uses the body receiverId on conversation-wide routes", async () => {
+    const result = await run(sessionMiddleware, {
+      method: "DELETE",
+      user,
+      body: { receiverId: endedExpertId.toString() },
+    });
+    assert.equal(result.status, 403);
+    assert.match(result.message, /read-only/);
+  });
+});
+
+describe("expert session middleware", () => {
+  const expertId = new ObjectId();
+  const endedExpertId = new ObjectId();
+  const openExpertId = new ObjectId();
+  let endedMessageId;
+
+  beforeEach(async () => {
+    const db = createMemoryDb();
+    setDB(db);
+
+    const now = Date.now();
+    await db.collection("experttoexpertsessions").insertOne({
+      consultingExpertID: expertId,
+      expertId: endedExpertId,
+      status: "confirmed",
+      startTime: new Date(now - 5 * HOUR),
+      endTime: new Date(now - 4 * HOUR),
+    });
+    await db.collection("experttoexpertsessions").insertOne({
+      consultingExpertID: expertId,
+      expertId: openExpertId,
+      status: "confirmed",
+      startTime: new Date(now - HOUR),
+      endTime: new Date(now + HOUR),
+    });
+
+    endedMessageId = new ObjectId();
+    await db.collection("expertMessages").insertOne({
+      _id: endedMessageId,
+      senderId: expertId,
+      receiverId: endedExpertId,
+      text: "said during the ended session",
+      createdAt: new Date(now - 4.5 * HOUR),
+    });
+  });
+
+  test("refuses a receiverId that disagrees with the message", async () => {
+    const result = await run(ExpertSessionMiddleware, {
+      method: "PUT",
+      expert: { _id: expertId.toString() },
+      body: {
+        messageId: endedMessageId.toString(),
+        receiverId: openExpertId.toString(),
+      },
+    });
+    assert.equal(result.status, 403);
+    assert.match(result.message, /does not belong to the conversation/);
+  });
+
+  test("refuses edits once the message's session has ended", async () => {
+    const result = await run(ExpertSessionMiddleware, {
+      method: "PUT",
+      expert: { _id: expertId.toString() },
+      body: { messageId: endedMessageId.toString() },
+    });
+    assert.equal(result.status, 403);
+    assert.match(result.message, /read-only/);
+  });
+});
@@ -0,0 +1,136 @@
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { setDB } from "../src/lib/db.js";
+import {
+  findCounterpartSessions,
+  findMessageCounterpart,
+} from "../src/services/session.service.js";
+import { createMemoryDb } from "./helpers/memoryDb.js";
+
+describe("counterpart sessions", () => {
+  const userId = new ObjectId();
+  const expertId = new ObjectId();
+  const otherExpertId = new ObjectId();
+  const pendingExpertId = new ObjectId();
+  const consultedExpertId = new ObjectId();
+
+  beforeEach(async () => {
+    const db = createMemoryDb();
+    setDB(db);
+
+    for (const session of [
+      { userId, expertId, status: "confirmed" },
+      { userId, expertId: pendingExpertId, status: "pending" },
+      { userId: new ObjectId(), expertId: otherExpertId, status: "confirmed" },
+    ]) {
+      await db.collection("usertoexpertsessions").insertOne(session);
+    }
+    await db.collection("experttoexpertsessions").insertOne({
+      consultingExpertID: expertId,
+      expertId: consultedExpertId,
+      status: "confirmed",
+    });
+  });
+
+  const ids = (sessions) => sessions.map((session) => session._id.toString());
+
+  test("finds a user's confirmed session with that expert only", async () => {
+    const withExpert = await findCounterpartSessions(
+      { userId: userId.toString() },
+      expertId.toString()
+    );
+    assert.equal(withExpert.length, 1);
+
+    // Another expert's confirmed session with someone else does not count
+    assert.deepEqual(
+      await findCounterpartSessions(
+        { userId: userId.toString() },
+        otherExpertId.toString()
+      ),
+      []
+    );
+  });
+
+  test("ignores sessions that are not confirmed", async () => {
+    assert.deepEqual(
+      await findCounterpartSessions(
+        { userId: userId.toString() },
+        pendingExpertId.toString()
+      ),
+      []
+    );
+  });
+
+  test("finds the same session from the expert's side", async () => {
+    const fromUser = await findCounterpartSessions(
+      { userId: userId.toString() },
+      expertId.toString()
+    );
+    const fromExpert = await findCounterpartSessions(
+      { expertId: expertId.toString() },
+      userId.toString()
+    );
+    assert.deepEqual(ids(fromExpert), ids(fromUser));
+  });
+
+  test("finds expert-to-expert sessions in either direction", async () => {
+    const consulting = await findCounterpartSessions(
+      { expertId: expertId.toString() },
+      consultedExpertId.toString(),
+      { expertToExpert: true }
+    );
+    const consulted = await findCounterpartSessions(
+      { expertId: consultedExpertId.toString() },
+      expertId.toString(),
+      { expertToExpert: true }
+    );
+    assert.equal(consulting.length, 1);
+    assert.deepEqual(ids(consulted), ids(consulting));
+
+    // Without expertToExpert the counterpart is taken to be a user
+    assert.deepEqual(
+      await findCounterpartSessions(
+        { expertId: expertId.toString() },
+        consultedExpertId.toString()
+      ),
+      []
+    );
+  });
+
+  test("finds nothing for invalid ids", async () => {
+    assert.deepEqual(
+      await findCounterpartSessions({ userId: userId.toString() }, "nope"),
+      []
+    );
+  });
+});
+
+describe("message counterpart", () => {
+  test("is the other side of the stored message", async () => {
+    const db = createMemoryDb();
+    setDB(db);
+    const senderId = new ObjectId();
+    const receiverId = new ObjectId();
+    const { insertedId } = await db
+      .collection("messages")
+      .insertOne({ senderId, receiverId, text: "hi" });
+
+    assert.equal(
+      await findMessageCounterpart("messages", insertedId, senderId),
+      receiverId.toString()
+    );
+    assert.equal(
+      await findMessageCounterpart(
+        "messages",
+        insertedId.toString(),
+        receiverId.toString()
+      ),
+      senderId.toString()
+    );
+    assert.equal(
+      await findMessageCounterpart("messages", new ObjectId(), senderId),
+      null
+    );
+  });
+});
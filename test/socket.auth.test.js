@@ -0,0 +1,85 @@
+import { after, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { startChatServer } from "./helpers/chatServer.js";
+
+describe("socket authentication", () => {
+  let chat;
+  let quietErrors;
+
+  // The server logs every refused handshake
+  before(async () => {
+    chat = await startChatServer();
+    quietErrors = mock.method(console, "error", () => {});
+  });
+
+  after(async () => {
+    quietErrors.mock.restore();
+    await chat.close();
+  });
+
+  const refusal = (token) =>
+    chat.connect(token).then(
+      () => assert.fail("the handshake should have been refused"),
+      (error) => error
+    );
+
+  test("refuses a handshake without a token", async () => {
+    const error = await refusal(null);
+    assert.equal(error.message, "Unauthorized Request: No token provided");
+    assert.deepEqual(error.data, { status: 401 });
+  });
+
+  test("refuses a token signed with another secret", async () => {
+    const token = jwt.sign(
+      { _id: new ObjectId(), role: "user" },
+      "not-the-secret"
+    );
+    assert.equal((await refusal(token)).message, "Invalid token format");
+  });
+
+  test("refuses a token whose participant no longer exists", async () => {
+    const token = jwt.sign(
+      { _id: new ObjectId(), role: "expert" },
+      process.env.ACCESS_TOKEN_SECRET
+    );
+    assert.equal(
+      (await refusal(token)).message,
+      "Invalid Access Token: Expert not found"
+    );
+  });
+
+  test("takes the identity from the token, not the query string", async () => {
+    const user = await chat.addParticipant("user");
+    const observer = await chat.connect(
+      (await chat.addParticipant("expert")).token
+    );
+
+    const online = chat.nextEvent(observer, "getOnlineUsers", 1000);
+    const forgedId = new ObjectId().toString();
+    await chat.connect(user.token, { query: { userId: forgedId } });
+
+    const onlineUsers = await online;
+    assert.ok(onlineUsers.includes(user.id));
+    assert.ok(!onlineUsers.includes(forgedId));
+  });
+
+  test("drops the socket once its token expires", async () => {
+    const user = await chat.addParticipant("user");
+    const token = jwt.sign(
+      { _id: new ObjectId(user.id), role: "user" },
+      process.env.ACCESS_TOKEN_SECRET,
+      { expiresIn: 1 }
+    );
+    const socket = await chat.connect(token);
+
+    const expired = chat.nextEvent(socket, "tokenExpired", 2000);
+    const disconnected = new Promise((resolve) =>
+      socket.once("disconnect", resolve)
+    );
+
+    assert.deepEqual(await expired, { message: "Token has expired" });
+    assert.equal(await disconnected, "io server disconnect");
+  });
+});
@@ -0,0 +1,142 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { startChatServer } from "./helpers/chatServer.js";
+
+describe("socket message events", () => {
+  let chat;
+  let user;
+  let expert;
+  let userSocket;
+  let expertSocket;
+
+  before(async () => {
+    chat = await startChatServer();
+    user = await chat.addParticipant("user");
+    expert = await chat.addParticipant("expert");
+    await chat.bookSession({ userId: user.id, expertId: expert.id });
+    userSocket = await chat.connect(user.token);
+    expertSocket = await chat.connect(expert.token);
+  });
+
+  after(() => chat.close());
+
+  test("stores sendMessage as the socket identity and delivers it", async () => {
+    const received = chat.nextEvent(expertSocket, "newMessage");
+    const ack = await chat.emit(userSocket, "sendMessage", {
+      senderId: new ObjectId().toString(),
+      receiverId: expert.id,
+      text: "hello over the socket",
+    });
+
+    assert.equal(ack.success, true);
+    assert.equal(ack.message.senderId, user.id);
+    assert.equal((await received)?.text, "hello over the socket");
+
+    const stored = await chat.db
+      .collection("messages")
+      .findOne({ _id: new ObjectId(ack.message._id) });
+    assert.equal(stored.senderId.toString(), user.id);
+  });
+
+  test("refuses sendMessage without a session", async () => {
+    const stranger = await chat.addParticipant("expert");
+    const ack = await chat.emit(userSocket, "sendMessage", {
+      receiverId: stranger.id,
+      text: "hello?",
+    });
+    assert.deepEqual(ack, {
+      success: false,
+      message: "Not authorized to access this conversation",
+    });
+  });
+
+  test("lets only the sender edit a message", async () => {
+    const delivered = chat.nextEvent(expertSocket, "newMessage");
+    const sent = await chat.emit(userSocket, "sendMessage", {
+      receiverId: expert.id,
+      text: "first draft",
+    });
+    await delivered;
+
+    const forged = await chat.emit(expertSocket, "messageEdited", {
+      messageId: sent.message._id,
+      newText: "not yours",
+    });
+    assert.equal(forged.success, false);
+
+    const edited = await chat.emit(userSocket, "messageEdited", {
+      messageId: sent.message._id,
+      newText: "second draft",
+    });
+    assert.equal(edited.success, true);
+    assert.equal(edited.message.text, "second draft");
+  });
+});
+
+describe("expert room events", () => {
+  let chat;
+  let expertA;
+  let expertB;
+  let socketA;
+  let socketB;
+  let roomId;
+
+  before(async () => {
+    chat = await startChatServer();
+    expertA = await chat.addParticipant("expert");
+    expertB = await chat.addParticipant("expert");
+    await chat.bookSession({
+      consultingExpertId: expertA.id,
+      expertId: expertB.id,
+    });
+    roomId = [expertA.id, expertB.id].sort().join("-");
+
+    socketA = await chat.connect(expertA.token);
+    socketB = await chat.connect(expertB.token);
+    assert.equal((await chat.emit(socketA, "joinRoom", roomId)).success, true);
+    assert.equal((await chat.emit(socketB, "joinRoom", roomId)).success, true);
+  });
+
+  after(() => chat.close());
+
+  test("does not relay edits and deletes sent by clients", async () => {
+    const relayed = Promise.all(
+      [
+        "expertMessageEdited",
+        "expertMessageDeleted",
+        "allExpertMessagesDeleted",
+        "conversationDeleted",
+      ].map((eventName) => {
+        const received = chat.nextEvent(socketB, eventName);
+        socketA.emit(eventName, {
+          roomId,
+          _id: new ObjectId().toString(),
+          text: "forged",
+        });
+        return received;
+      })
+    );
+
+    assert.deepEqual(await relayed, [null, null, null, null]);
+  });
+
+  test("broadcasts an edit once it is stored through the REST route", async () => {
+    const delivered = chat.nextEvent(socketB, "newExpertMessage", 1000);
+    const sent = await chat.request(
+      `/api/message/expert-messages/send/${expertB.id}`,
+      { token: expertA.token, method: "POST", body: { text: "before" } }
+    );
+    assert.equal(sent.status, 201);
+    assert.equal((await delivered)?.text, "before");
+
+    const received = chat.nextEvent(socketB, "expertMessageEdited", 1000);
+    const edited = await chat.request("/api/message/expert-message/edit", {
+      token: expertA.token,
+      method: "PUT",
+      body: { messageID: sent.body._id, newText: "after" },
+    });
+    assert.equal(edited.status, 200);
+    assert.equal((await received)?.text, "after");
+  });
+});
@@ -0,0 +1,56 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startChatServer } from "./helpers/chatServer.js";
+
+describe("multi-device presence", () => {
+  let chat;
+  let user;
+  let expert;
+  let observer;
+
+  before(async () => {
+    chat = await startChatServer();
+    user = await chat.addParticipant("user");
+    expert = await chat.addParticipant("expert");
+    await chat.bookSession({ userId: user.id, expertId: expert.id });
+    observer = await chat.connect(expert.token);
+  });
+
+  after(() => chat.close());
+
+  const disconnect = (socket) =>
+    new Promise((resolve) => {
+      socket.once("disconnect", resolve);
+      socket.disconnect();
+    });
+
+  test("keeps a user online until their last device disconnects", async () => {
+    let announced = chat.nextEvent(observer, "getOnlineUsers", 1000);
+    const phone = await chat.connect(user.token);
+    assert.ok((await announced).includes(user.id));
+
+    // A second device is not announced again
+    announced = chat.nextEvent(observer, "getOnlineUsers");
+    const laptop = await chat.connect(user.token);
+    assert.equal(await announced, null);
+
+    // Both devices get messages sent to the user
+    const onPhone = chat.nextEvent(phone, "newMessage", 1000);
+    const onLaptop = chat.nextEvent(laptop, "newMessage", 1000);
+    const sent = await chat.emit(observer, "sendMessage", {
+      receiverId: user.id,
+      text: "to every device",
+    });
+    assert.equal(sent.success, true);
+    assert.equal((await onPhone)?.text, "to every device");
+    assert.equal((await onLaptop)?.text, "to every device");
+
+    announced = chat.nextEvent(observer, "getOnlineUsers");
+    await disconnect(phone);
+    assert.equal(await announced, null);
+
+    announced = chat.nextEvent(observer, "getOnlineUsers", 1000);
+    await disconnect(laptop);
+    assert.ok(!(await announced).includes(user.id));
+  });
+});
@@ -0,0 +1,74 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startChatServer } from "./helpers/chatServer.js";
+
+describe("expert room joins", () => {
+  let chat;
+  let expertA;
+  let expertB;
+  let expertC;
+  let socketA;
+
+  before(async () => {
+    chat = await startChatServer();
+    expertA = await chat.addParticipant("expert");
+    expertB = await chat.addParticipant("expert");
+    expertC = await chat.addParticipant("expert");
+    await chat.bookSession({
+      consultingExpertId: expertB.id,
+      expertId: expertA.id,
+    });
+    socketA = await chat.connect(expertA.token);
+  });
+
+  after(() => chat.close());
+
+  const room = (...expertIds) => expertIds.sort().join("-");
+
+  test("lets a participant with a confirmed session join", async () => {
+    const roomId = room(expertA.id, expertB.id);
+    assert.deepEqual(await chat.emit(socketA, "joinRoom", roomId), {
+      success: true,
+      roomId,
+    });
+  });
+
+  test("refuses users", async () => {
+    const user = await chat.addParticipant("user");
+    const socket = await chat.connect(user.token);
+    const ack = await chat.emit(socket, "joinRoom", room(expertA.id, user.id));
+    assert.equal(ack.message, "Only experts can join expert rooms");
+  });
+
+  test("refuses malformed and unsorted room ids", async () => {
+    for (const roomId of [
+      expertA.id,
+      [expertA.id, expertB.id].sort().reverse().join("-"),
+      `${room(expertA.id, expertB.id)}-${expertC.id}`,
+      { roomId: room(expertA.id, expertB.id) },
+    ]) {
+      const ack = await chat.emit(socketA, "joinRoom", roomId);
+      assert.deepEqual(ack, { success: false, message: "Invalid room ID" });
+    }
+  });
+
+  test("refuses rooms of other experts", async () => {
+    const ack = await chat.emit(
+      socketA,
+      "joinRoom",
+      room(expertB.id, expertC.id)
+    );
+    assert.equal(ack.message, "Not a participant of this room");
+  });
+
+  test("refuses pairs without a confirmed session and says why", async () => {
+    const roomId = room(expertA.id, expertC.id);
+    const error = chat.nextEvent(socketA, "joinRoomError");
+    const ack = await chat.emit(socketA, "joinRoom", roomId);
+
+    const message =
+      "Not authorized to access this session or session not found";
+    assert.deepEqual(ack, { success: false, message });
+    assert.deepEqual(await error, { roomId, message });
+  });
+});
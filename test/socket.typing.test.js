@@ -0,0 +1,86 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startChatServer } from "./helpers/chatServer.js";
+
+describe("typing indicators", () => {
+  let chat;
+  let user;
+  let expert;
+  let userSocket;
+  let expertSocket;
+
+  before(async () => {
+    chat = await startChatServer();
+    user = await chat.addParticipant("user");
+    expert = await chat.addParticipant("expert");
+    await chat.bookSession({ userId: user.id, expertId: expert.id });
+    userSocket = await chat.connect(user.token);
+    expertSocket = await chat.connect(expert.token);
+  });
+
+  after(() => chat.close());
+
+  test("forwards typing once per throttle interval, then stopTyping", async () => {
+    let typing = chat.nextEvent(expertSocket, "typing");
+    const ack = await chat.emit(userSocket, "typing", {
+      receiverId: expert.id,
+    });
+    assert.deepEqual(ack, { success: true });
+    assert.deepEqual(await typing, {
+      senderId: user.id,
+      receiverId: expert.id,
+    });
+
+    typing = chat.nextEvent(expertSocket, "typing");
+    await chat.emit(userSocket, "typing", { receiverId: expert.id });
+    assert.equal(await typing, null);
+
+    const stopped = chat.nextEvent(expertSocket, "stopTyping");
+    await chat.emit(userSocket, "stopTyping", { receiverId: expert.id });
+    assert.deepEqual(await stopped, {
+      senderId: user.id,
+      receiverId: expert.id,
+    });
+  });
+
+  test("stops typing when the message is sent", async () => {
+    await chat.emit(userSocket, "typing", { receiverId: expert.id });
+
+    const stopped = chat.nextEvent(expertSocket, "stopTyping");
+    const delivered = chat.nextEvent(expertSocket, "newMessage");
+    await chat.emit(userSocket, "sendMessage", {
+      receiverId: expert.id,
+      text: "done typing",
+    });
+    assert.equal((await stopped)?.senderId, user.id);
+    await delivered;
+  });
+
+  test("stops typing when the typist disconnects", async () => {
+    const laptop = await chat.connect(user.token);
+    await chat.emit(laptop, "typing", { receiverId: expert.id });
+
+    const stopped = chat.nextEvent(expertSocket, "stopTyping");
+    laptop.disconnect();
+    assert.equal((await stopped)?.senderId, user.id);
+  });
+
+  test("refuses targets outside the typist's sessions", async () => {
+    const stranger = await chat.addParticipant("expert");
+    const direct = await chat.emit(userSocket, "typing", {
+      receiverId: stranger.id,
+    });
+    assert.equal(direct.message, "Not authorized to access this conversation");
+
+    // Expert rooms need to have been joined first
+    const room = await chat.emit(expertSocket, "typing", {
+      roomId: [expert.id, stranger.id].sort().join("-"),
+    });
+    assert.equal(room.message, "Not authorized to access this conversation");
+
+    assert.deepEqual(await chat.emit(userSocket, "typing", {}), {
+      success: false,
+      message: "receiverId or roomId is required",
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { text } from "stream/consumers";
+import { createLocalDriver } from "../src/lib/storage/local.driver.js";
+
+describe("local storage driver", () => {
+  let root;
+  let storage;
+
+  // A temp file as multer leaves it, to be handed to putFile
+  const upload = async (content) => {
+    const filePath = path.join(root, `upload-${Date.now()}-${Math.random()}`);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  };
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    storage = createLocalDriver({ root: path.join(root, "store") });
+  });
+
+  after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  test("puts a file under its key and takes the temp file", async () => {
+    const filePath = await upload("hello world");
+
+    await storage.putFile("files/ab/hello.txt", filePath);
+
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(
+      await fs.promises.readFile(
+        path.join(root, "store", "files/ab/hello.txt"),
+        "utf8"
+      ),
+      "hello world"
+    );
+  });
+
+  test("stats an object, and null for a missing one", async () => {
+    await storage.putFile("files/stat.txt", await upload("12345"));
+
+    const stats = await storage.stat("files/stat.txt");
+    assert.equal(stats.size, 5);
+    assert.ok(stats.lastModified instanceof Date);
+
+    assert.equal(await storage.stat("files/missing.txt"), null);
+  });
+
+  test("streams an object whole or by inclusive byte range", async () => {
+    await storage.putFile("files/range.txt", await upload("0123456789"));
+
+    assert.equal(
+      await text(await storage.createReadStream("files/range.txt")),
+      "0123456789"
+    );
+    assert.equal(
+      await text(
+        await storage.createReadStream("files/range.txt", { start: 2, end: 5 })
+      ),
+      "2345"
+    );
+  });
+
+  test("moves an object to another key", async () => {
+    await storage.putFile("files/move.txt", await upload("moved"));
+
+    await storage.move("files/move.txt", "quarantine/move.txt");
+
+    assert.equal(await storage.stat("files/move.txt"), null);
+    assert.equal((await storage.stat("quarantine/move.txt")).size, 5);
+  });
+
+  test("deletes an object, and ignores one already gone", async () => {
+    await storage.putFile("files/delete.txt", await upload("bye"));
+
+    await storage.delete("files/delete.txt");
+    assert.equal(await storage.stat("files/delete.txt"), null);
+
+    await assert.doesNotReject(storage.delete("files/delete.txt"));
+  });
+
+  test("refuses keys that leave the storage root", async () => {
+    await assert.rejects(storage.stat("../outside.txt"), /Invalid storage key/);
+    await assert.rejects(
+      storage.putFile("files/../../outside.txt", await upload("x")),
+      /Invalid storage key/
+    );
+  });
+});
@@ -0,0 +1,105 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { text } from "stream/consumers";
+import { createS3Driver } from "../src/lib/storage/s3.driver.js";
+import { startS3Server } from "./helpers/s3Server.js";
+
+describe("s3 storage driver", () => {
+  let root;
+  let s3;
+  let storage;
+
+  const upload = async (content) => {
+    const filePath = path.join(root, `upload-${Date.now()}-${Math.random()}`);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  };
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chatapp-test-"));
+    s3 = await startS3Server();
+    storage = createS3Driver({
+      bucket: "chat",
+      region: "us-east-1",
+      endpoint: s3.endpoint,
+      accessKeyId: "test",
+      secretAccessKey: "test",
+      forcePathStyle: true,
+      prefix: "app/",
+    });
+  });
+
+  after(async () => {
+    await s3.close();
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  test("requires a bucket", () => {
+    assert.throws(() => createS3Driver({}), /S3_BUCKET is required/);
+  });
+
+  test("uploads a file under the key prefix and removes the temp file", async () => {
+    const filePath = await upload("hello s3");
+
+    await storage.putFile("files/hello.txt", filePath, {
+      contentType: "text/plain",
+    });
+
+    const stored = s3.objects.get("chat/app/files/hello.txt");
+    assert.equal(stored.body.toString(), "hello s3");
+    assert.equal(stored.contentType, "text/plain");
+    assert.equal(fs.existsSync(filePath), false);
+  });
+
+  test("stats an object, and null for a missing one", async () => {
+    await storage.putFile("files/stat.txt", await upload("12345"));
+
+    const stats = await storage.stat("files/stat.txt");
+    assert.equal(stats.size, 5);
+    assert.ok(stats.lastModified instanceof Date);
+
+    assert.equal(await storage.stat("files/missing.txt"), null);
+  });
+
+  test("streams an object whole or by inclusive byte range", async () => {
+    await storage.putFile("files/range.txt", await upload("0123456789"));
+
+    assert.equal(
+      await text(await storage.createReadStream("files/range.txt")),
+      "0123456789"
+    );
+    assert.equal(
+      await text(
+        await storage.createReadStream("files/range.txt", { start: 2, end: 5 })
+      ),
+      "2345"
+    );
+    assert.equal(
+      await text(
+        await storage.createReadStream("files/range.txt", { start: 7 })
+      ),
+      "789"
+    );
+  });
+
+  test("moves an object by copying and deleting it", async () => {
+    await storage.putFile("files/move me.txt", await upload("moved"));
+
+    await storage.move("files/move me.txt", "quarantine/move me.txt");
+
+    assert.equal(await storage.stat("files/move me.txt"), null);
+    assert.equal((await storage.stat("quarantine/move me.txt")).size, 5);
+  });
+
+  test("deletes an object, and ignores one already gone", async () => {
+    await storage.putFile("files/delete.txt", await upload("bye"));
+
+    await storage.delete("files/delete.txt");
+    assert.equal(await storage.stat("files/delete.txt"), null);
+
+    await assert.doesNotReject(storage.delete("files/delete.txt"));
+  });
+});
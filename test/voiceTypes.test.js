@@ -0,0 +1,24 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { isAllowedVoiceType } from "../src/controller/voice.controller.js";
+import { isAllowedVoiceType as isAllowedExpertVoiceType } from "../src/controller/expert.voiceController.js";
+
+for (const [chat, isAllowed] of [
+  ["user", isAllowedVoiceType],
+  ["expert", isAllowedExpertVoiceType],
+]) {
+  describe(`${chat} voice types`, () => {
+    test("accepts listed types, with parameters or in any case", () => {
+      assert.equal(isAllowed("audio/mpeg"), true);
+      assert.equal(isAllowed("audio/webm;codecs=opus"), true);
+      assert.equal(isAllowed("Audio/OGG"), true);
+      assert.equal(isAllowed("audio/x-m4a"), true);
+    });
+
+    test("refuses audio types that are not listed", () => {
+      assert.equal(isAllowed("audio/flac"), false);
+      assert.equal(isAllowed("audio/x-ms-wma"), false);
+      assert.equal(isAllowed("video/mp4"), false);
+    });
+  });
+}